@@ -2,12 +2,15 @@
  * Vercel Edge: Chat endpoint using OpenRouter with METRC MCP tools.
  * POST body: { message: string, messages?: [], license_number?: string }
  * OpenRouter key: from OPENROUTER_KEY_URL (Railway edge, rotated) or fallback OPENROUTER_API_KEY.
- * METRC_* for tools.
+ * METRC_* for tools, or per-request X-Metrc-Vendor-Key / X-Metrc-User-Key headers.
  */
 
 export const config = { runtime: 'edge' };
 
 import { getOpenAITools, executeTool } from '../lib/metrc-edge.js';
+import { describeCoercions } from '../lib/coerce.js';
+import { describeResultMeta } from '../lib/output-format.js';
+import { readRequestCredentials, credentialFingerprint, VENDOR_KEY_HEADER, USER_KEY_HEADER } from '../lib/credentials.js';
 
 const OPENROUTER_URL = 'https://openrouter.ai/api/v1/chat/completions';
 const DEFAULT_MODEL = process.env.OPENROUTER_MODEL || 'openai/gpt-4o';
@@ -25,7 +28,7 @@ function getCorsHeaders(req) {
   return {
     'Access-Control-Allow-Origin': matched,
     'Access-Control-Allow-Methods': 'POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Headers': `Content-Type, Authorization, ${VENDOR_KEY_HEADER}, ${USER_KEY_HEADER}`,
   };
 }
 
@@ -47,23 +50,20 @@ async function getApiKey() {
   return key;
 }
 
-// Store req in module scope for jsonResponse calls that don't pass it
-let _currentReq = null;
-
-function jsonResponse(body, status = 200, headers = {}) {
+// req is passed explicitly: module scope is shared by concurrent requests, so nothing request-specific lives there
+function jsonResponse(req, body, status = 200, headers = {}) {
   return new Response(JSON.stringify(body), {
     status,
-    headers: { 'Content-Type': 'application/json', ...getCorsHeaders(_currentReq), ...headers },
+    headers: { 'Content-Type': 'application/json', ...getCorsHeaders(req), ...headers },
   });
 }
 
 export default async function handler(req) {
-  _currentReq = req;
   if (req.method === 'OPTIONS') {
     return new Response(null, { status: 204, headers: getCorsHeaders(req) });
   }
   if (req.method !== 'POST') {
-    return jsonResponse({ error: 'Method not allowed' }, 405);
+    return jsonResponse(req, { error: 'Method not allowed' }, 405);
   }
 
   // Bearer token auth — opt-in via MCP_API_KEY env var
@@ -71,7 +71,7 @@ export default async function handler(req) {
   if (apiKey) {
     const auth = req.headers.get('authorization');
     if (!auth || auth !== `Bearer ${apiKey}`) {
-      return jsonResponse({ error: 'Unauthorized' }, 401);
+      return jsonResponse(req, { error: 'Unauthorized' }, 401);
     }
   }
 
@@ -79,7 +79,15 @@ export default async function handler(req) {
   try {
     body = await req.json();
   } catch {
-    return jsonResponse({ error: 'Invalid JSON body' }, 400);
+    return jsonResponse(req, { error: 'Invalid JSON body' }, 400);
+  }
+
+  let toolContext = { actor: 'chat' };
+  try {
+    const credentials = readRequestCredentials(req.headers);
+    if (credentials) toolContext = { ...toolContext, credentials, tenant: await credentialFingerprint(credentials) };
+  } catch (err) {
+    return jsonResponse(req, { error: err.message }, 400);
   }
 
   const { message, messages: existingMessages, license_number: defaultLicense } = body;
@@ -88,7 +96,7 @@ export default async function handler(req) {
     messages.push({ role: 'user', content: message.trim() });
   }
   if (messages.length === 0) {
-    return jsonResponse({ error: 'Provide "message" or "messages" in the request body' }, 400);
+    return jsonResponse(req, { error: 'Provide "message" or "messages" in the request body' }, 400);
   }
 
   let systemPrompt = `You are a helpful assistant with access to METRC (cannabis tracking) tools for the Colorado sandbox. When the user asks about facilities, packages, harvests, plants, items, locations, or other METRC data, use the provided tools. Call tools with the correct arguments (e.g. license_number from metrc_get_facilities when needed). Summarize results clearly.`;
@@ -97,7 +105,7 @@ export default async function handler(req) {
   }
 
   const tools = getOpenAITools();
-  const apiKey = await getApiKey();
+  const openRouterKey = await getApiKey();
   const model = body.model || DEFAULT_MODEL;
 
   const requestMessages = [{ role: 'system', content: systemPrompt }, ...messages];
@@ -116,7 +124,7 @@ export default async function handler(req) {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        Authorization: `Bearer ${apiKey}`,
+        Authorization: `Bearer ${openRouterKey}`,
         'HTTP-Referer': req.headers.get('origin') || req.url || '',
       },
       body: JSON.stringify(payload),
@@ -124,13 +132,13 @@ export default async function handler(req) {
 
     if (!res.ok) {
       console.error(`[Chat] OpenRouter request failed: ${res.status}`);
-      return jsonResponse({ error: 'OpenRouter request failed', status: res.status }, 502);
+      return jsonResponse(req, { error: 'OpenRouter request failed', status: res.status }, 502);
     }
 
     const data = await res.json();
     const choice = data.choices?.[0];
     if (!choice) {
-      return jsonResponse({ error: 'No choices in OpenRouter response', raw: data }, 502);
+      return jsonResponse(req, { error: 'No choices in OpenRouter response', raw: data }, 502);
     }
 
     lastResponse = choice;
@@ -139,7 +147,7 @@ export default async function handler(req) {
 
     if (!toolCalls || toolCalls.length === 0) {
       const content = delta.content ?? choice.text ?? '';
-      return jsonResponse({
+      return jsonResponse(req, {
         message: typeof content === 'string' ? content : (content[0]?.text ?? ''),
         role: 'assistant',
         finish_reason: choice.finish_reason,
@@ -163,8 +171,16 @@ export default async function handler(req) {
         if (tc.function?.arguments) args = JSON.parse(tc.function.arguments);
       } catch (_) {}
       let text;
+      let coercions = [];
+      let resultMeta = null;
       try {
-        text = await executeTool(name, args);
+        text = await executeTool(name, args, {
+          ...toolContext,
+          onCoerce: (changes) => { coercions = changes; },
+          onResultMeta: (meta) => { resultMeta = meta; },
+        });
+        if (resultMeta) text += `\n\n${describeResultMeta(resultMeta)}`;
+        if (coercions.length > 0) text += `\n\n${describeCoercions(coercions)}`;
       } catch (err) {
         text = `Error: ${err.message}`;
       }
@@ -179,7 +195,7 @@ export default async function handler(req) {
   }
 
   const content = lastResponse?.message?.content ?? lastResponse?.text ?? 'Tool loop limit reached.';
-  return jsonResponse({
+  return jsonResponse(req, {
     message: typeof content === 'string' ? content : (content[0]?.text ?? ''),
     role: 'assistant',
     finish_reason: 'max_tool_rounds',
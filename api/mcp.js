@@ -1,11 +1,37 @@
 /**
- * Vercel Edge: MCP-over-HTTP endpoint for METRC tools.
- * POST with JSON-RPC body: { method: "tools/list" } or { method: "tools/call", params: { name, arguments } }.
+ * Vercel Edge: MCP-over-HTTP endpoint for METRC tools (Streamable HTTP transport).
+ *
+ * POST a JSON-RPC message: initialize, notifications/initialized, ping, tools/list, tools/call,
+ * resources/list, resources/read (metrc://skills/*), prompts/list, prompts/get.
+ * A JSON array body is a JSON-RPC batch: calls run concurrently (MCP_BATCH_CONCURRENCY, default 4)
+ * and the response array keeps request order. Over SSE, each response is sent as soon as its call finishes.
+ *   - initialize returns an `Mcp-Session-Id` header; send it back on later requests.
+ *   - With `Accept: text/event-stream`, tools/call answers as an SSE stream carrying
+ *     notifications/progress (when params._meta.progressToken is set) and then the result.
+ *   - Otherwise the response is plain JSON (sessionless clients keep working, including bare
+ *     { method, params } bodies without jsonrpc or id).
+ * GET answers 405: the server sends no messages outside a response, so it offers no standalone SSE stream.
+ * DELETE with a session terminates it.
+ *
+ * Per-request METRC credentials: send X-Metrc-Vendor-Key and X-Metrc-User-Key to run tools
+ * against your own METRC account. Keys given on initialize are bound to the session, and a
+ * session rejects requests that present a different key pair.
+ *
+ * Protocol handling lives in lib/mcp-protocol.js, sessions/SSE in lib/mcp-transport.js;
+ * this file owns HTTP, CORS and auth.
  */
 
 export const config = { runtime: 'edge' };
 
 import { getToolsList, executeTool } from '../lib/metrc-edge.js';
+import { createMcpDispatcher, dispatchBatch, errorResponse, JSONRPC_ERRORS } from '../lib/mcp-protocol.js';
+import {
+  createSession,
+  getSession,
+  closeSession,
+  createResponseStream,
+} from '../lib/mcp-transport.js';
+import { readRequestCredentials, credentialFingerprint, VENDOR_KEY_HEADER, USER_KEY_HEADER } from '../lib/credentials.js';
 
 const DEFAULT_ORIGIN = 'https://f8ai.github.io';
 const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || DEFAULT_ORIGIN)
@@ -13,89 +39,172 @@ const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || DEFAULT_ORIGIN)
   .map((s) => s.trim())
   .filter(Boolean);
 
+const SESSION_HEADER = 'Mcp-Session-Id';
+const DEFAULT_BATCH_CONCURRENCY = 4;
+const BATCH_CONCURRENCY = (() => {
+  const n = Number(process.env.MCP_BATCH_CONCURRENCY || DEFAULT_BATCH_CONCURRENCY);
+  return Number.isInteger(n) && n >= 1 ? n : DEFAULT_BATCH_CONCURRENCY;
+})();
+
 function getCorsHeaders(req) {
   const origin = req?.headers?.get?.('origin') || '';
   const matched = ALLOWED_ORIGINS.includes(origin) ? origin : ALLOWED_ORIGINS[0];
   return {
     'Access-Control-Allow-Origin': matched,
-    'Access-Control-Allow-Methods': 'POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'POST, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': `Content-Type, Authorization, Mcp-Protocol-Version, ${SESSION_HEADER}, Last-Event-ID, ${VENDOR_KEY_HEADER}, ${USER_KEY_HEADER}`,
+    'Access-Control-Expose-Headers': SESSION_HEADER,
   };
 }
 
-// Store req in module scope — safe in Edge runtime (one request per isolate)
-let _currentReq = null;
-
-function jsonResponse(body, status = 200) {
+function jsonResponse(req, body, status = 200, headers = {}) {
   return new Response(JSON.stringify(body), {
     status,
-    headers: { 'Content-Type': 'application/json', ...getCorsHeaders(_currentReq) },
+    headers: { 'Content-Type': 'application/json', ...getCorsHeaders(req), ...headers },
+  });
+}
+
+function sseResponse(req, stream, headers = {}) {
+  return new Response(stream, {
+    status: 200,
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      ...getCorsHeaders(req),
+      ...headers,
+    },
   });
 }
 
-export default async function handler(req) {
-  _currentReq = req;
-  if (req.method === 'OPTIONS') {
-    return new Response(null, { status: 204, headers: getCorsHeaders(req) });
-  }
-  if (req.method !== 'POST') {
-    return jsonResponse({ error: 'Method not allowed' }, 405);
-  }
-
-  // Bearer token auth — opt-in via MCP_API_KEY env var
-  const apiKey = process.env.MCP_API_KEY;
-  if (apiKey) {
-    const auth = req.headers.get('authorization');
-    if (!auth || auth !== `Bearer ${apiKey}`) {
-      return jsonResponse({ error: 'Unauthorized' }, 401);
+function acceptsEventStream(req) {
+  return (req.headers.get('accept') || '').includes('text/event-stream');
+}
+
+/** Edge default: skill markdown is bundled with the function and read via fetch. */
+async function fetchSkill(file) {
+  const res = await fetch(file);
+  if (!res.ok) throw new Error(`Skill file unavailable (${res.status})`);
+  return res.text();
+}
+
+/**
+ * Create the HTTP handler. serve.js passes an fs-based `loadSkill` since
+ * Node's fetch cannot read file: URLs, and may pass a file-backed audit `journal`
+ * (lib/audit-file.js); on Edge the executor's memory journal is used.
+ */
+export function createMcpHandler({ loadSkill = fetchSkill, journal } = {}) {
+  const dispatch = createMcpDispatcher({ listTools: getToolsList, executeTool, loadSkill });
+
+  return async function handler(req) {
+    if (req.method === 'OPTIONS') {
+      return new Response(null, { status: 204, headers: getCorsHeaders(req) });
     }
-  }
-
-  let body;
-  try {
-    body = await req.json();
-  } catch {
-    return jsonResponse({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } }, 400);
-  }
-
-  const { jsonrpc, id, method, params } = body;
-  const startMs = Date.now();
-
-  if (method === 'tools/list') {
-    const tools = getToolsList();
-    console.log(`[MCP] tools/list → ${tools.length} tools (${Date.now() - startMs}ms)`);
-    return jsonResponse({ jsonrpc: jsonrpc || '2.0', id: id ?? 1, result: { tools } });
-  }
-
-  if (method === 'tools/call') {
-    const name = params?.name;
-    const args = params?.arguments ?? {};
-    if (!name) {
-      console.log(`[MCP] tools/call → ERROR missing tool name`);
-      return jsonResponse({ jsonrpc: jsonrpc || '2.0', id: id ?? 1, error: { code: -32602, message: 'Missing tool name' } }, 400);
+    // No GET stream: nothing is ever sent outside the response to a POST (spec: answer 405)
+    if (!['POST', 'DELETE'].includes(req.method)) {
+      return jsonResponse(req, { error: 'Method not allowed' }, 405, { Allow: 'POST, DELETE, OPTIONS' });
+    }
+
+    // Bearer token auth — opt-in via MCP_API_KEY env var
+    const apiKey = process.env.MCP_API_KEY;
+    if (apiKey) {
+      const auth = req.headers.get('authorization');
+      if (!auth || auth !== `Bearer ${apiKey}`) {
+        return jsonResponse(req, { error: 'Unauthorized' }, 401);
+      }
     }
+
+    // A session id that is unknown (expired, or created on another Edge isolate) must be re-initialized.
+    // No sessionless fallback: the session may hold METRC keys, and without them the call would run on env keys.
+    const sessionId = req.headers.get(SESSION_HEADER);
+    const session = sessionId ? getSession(sessionId) : null;
+    if (sessionId && !session) {
+      const message = 'Session not found. Send initialize again to start a new session.';
+      return jsonResponse(req, errorResponse(null, JSONRPC_ERRORS.INVALID_REQUEST, message), 404);
+    }
+
+    // Resolve the METRC account for this request: session-bound keys, else request headers, else env
+    let requestCredentials;
     try {
-      const text = await executeTool(name, args);
-      const resultLen = typeof text === 'string' ? text.length : 0;
-      console.log(`[MCP] tools/call ${name} → OK ${resultLen} chars (${Date.now() - startMs}ms)`);
-      return jsonResponse({
-        jsonrpc: jsonrpc || '2.0',
-        id: id ?? 1,
-        result: { content: [{ type: 'text', text }] },
-      });
+      requestCredentials = readRequestCredentials(req.headers);
     } catch (err) {
-      console.error(`[MCP] tools/call ${name} → ERROR (${Date.now() - startMs}ms)`);
-      return jsonResponse({
-        jsonrpc: jsonrpc || '2.0',
-        id: id ?? 1,
-        result: {
-          content: [{ type: 'text', text: `Error: ${err.message}` }],
-          isError: true,
-        },
-      });
+      return jsonResponse(req, { error: err.message }, 400);
+    }
+    const requestTenant = requestCredentials ? await credentialFingerprint(requestCredentials) : null;
+    if (session?.tenant && requestTenant && requestTenant !== session.tenant) {
+      console.warn(`[MCP] session ${session.id} rejected credentials for another tenant`);
+      return jsonResponse(req, { error: 'Credentials do not match this session' }, 403);
     }
-  }
+    const context = {
+      ...(session?.credentials
+        ? { credentials: session.credentials, tenant: session.tenant }
+        : requestCredentials ? { credentials: requestCredentials, tenant: requestTenant } : {}),
+      ...(session?.clientInfo?.name && { actor: session.clientInfo.name }),
+      ...(journal && { journal }),
+    };
 
-  console.log(`[MCP] unknown method: ${method}`);
-  return jsonResponse({ jsonrpc: jsonrpc || '2.0', id: id ?? 1, error: { code: -32601, message: `Method not found: ${method}` } }, 404);
+    if (req.method === 'DELETE') {
+      if (!session) {
+        return jsonResponse(req, errorResponse(null, JSONRPC_ERRORS.INVALID_REQUEST, `Missing ${SESSION_HEADER}`), 400);
+      }
+      closeSession(session.id);
+      console.log(`[MCP] session ${session.id} terminated`);
+      return new Response(null, { status: 204, headers: getCorsHeaders(req) });
+    }
+
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return jsonResponse(req, errorResponse(null, JSONRPC_ERRORS.PARSE_ERROR, 'Parse error'), 400);
+    }
+
+    const sessionHeaders = session ? { [SESSION_HEADER]: session.id } : {};
+
+    if (Array.isArray(body)) {
+      if (body.length === 0) {
+        return jsonResponse(req, errorResponse(null, JSONRPC_ERRORS.INVALID_REQUEST, 'Invalid Request: empty batch'), 400);
+      }
+      const hasToolCall = body.some((m) => m?.method === 'tools/call' && m.id !== undefined);
+      if (hasToolCall && acceptsEventStream(req)) {
+        // Progress from every call, and each response as soon as its call finishes; responses carry
+        // their id, so a fast call is not held back by a slow one earlier in the batch
+        const stream = createResponseStream(async (notify) => {
+          await dispatchBatch(body, dispatch, { concurrency: BATCH_CONCURRENCY, notify, context, onResponse: notify });
+          return null;
+        });
+        return sseResponse(req, stream, sessionHeaders);
+      }
+      const startMs = Date.now();
+      const responses = await dispatchBatch(body, dispatch, { concurrency: BATCH_CONCURRENCY, context });
+      console.log(`[MCP] batch of ${body.length} → ${responses.length} responses (${Date.now() - startMs}ms)`);
+      if (responses.length === 0) return new Response(null, { status: 202, headers: { ...getCorsHeaders(req), ...sessionHeaders } });
+      return jsonResponse(req, responses, 200, sessionHeaders);
+    }
+
+    // Stream tool calls when the client accepts SSE so progress can flow back before the result
+    if (body?.method === 'tools/call' && body.id !== undefined && acceptsEventStream(req)) {
+      const stream = createResponseStream((notify) => dispatch(body, { notify, context }));
+      return sseResponse(req, stream, sessionHeaders);
+    }
+
+    const response = await dispatch(body, { context });
+    // Notifications are accepted without a body
+    if (response === null) return new Response(null, { status: 202, headers: { ...getCorsHeaders(req), ...sessionHeaders } });
+
+    // A successful initialize opens a session; its id goes back in the response header
+    if (body?.method === 'initialize' && response.result) {
+      const created = createSession({
+        protocolVersion: response.result.protocolVersion,
+        clientInfo: body.params?.clientInfo,
+        credentials: requestCredentials,
+        tenant: requestTenant,
+      });
+      sessionHeaders[SESSION_HEADER] = created.id;
+    }
+    const status = response.error?.code === JSONRPC_ERRORS.INVALID_REQUEST ? 400 : 200;
+    return jsonResponse(req, response, status, sessionHeaders);
+  };
 }
+
+export default createMcpHandler();
@@ -0,0 +1,65 @@
+/**
+ * Plant and plant batch additive applications (Edge-safe).
+ *
+ * METRC records fertilizer, pesticide and other applications with
+ * POST /plants/v2/additives (by plant label) and POST /plantbatches/v2/additives (by batch
+ * name). buildAdditive() maps tool arguments to that payload. additiveErrors() enforces
+ * what the input schema cannot express: a pesticide application must name its EPA
+ * registration number, supplier, application device and active ingredients, which
+ * state inspectors check against the product label.
+ */
+
+export const ADDITIVE_TYPES = ['Fertilizer', 'Pesticide', 'Other'];
+
+// Arguments a Pesticide application must carry (in addition to the always-required ones)
+const PESTICIDE_FIELDS = {
+  epa_registration_number: 'EPA registration number from the product label',
+  product_supplier: 'product supplier',
+  application_device: 'application device or applicator',
+};
+
+/**
+ * Type-specific checks, as "<pointer>: <message>" strings like lib/validate.js.
+ *
+ * @param {object} args - Tool arguments (already schema-validated)
+ * @returns {string[]}
+ */
+export function additiveErrors(args) {
+  const errors = [];
+  if (args.additive_type !== 'Pesticide') return errors;
+  for (const [field, what] of Object.entries(PESTICIDE_FIELDS)) {
+    if (args[field] == null || String(args[field]).trim() === '') errors.push(`/${field}: required for Pesticide additives (${what})`);
+  }
+  const ingredients = args.active_ingredients || [];
+  if (ingredients.length === 0) {
+    errors.push('/active_ingredients: required for Pesticide additives (name and percentage of each active ingredient)');
+  }
+  ingredients.forEach((ing, i) => {
+    if (ing.percentage == null) errors.push(`/active_ingredients/${i}/percentage: required for Pesticide additives`);
+  });
+  const total = ingredients.reduce((sum, ing) => sum + (Number(ing.percentage) || 0), 0);
+  if (total > 100) errors.push(`/active_ingredients: percentages add up to ${total}, more than 100`);
+  return errors;
+}
+
+/**
+ * Build one additive application for POST /plants/v2/additives or /plantbatches/v2/additives.
+ *
+ * @param {object} args - Tool arguments
+ * @param {object} target - { PlantLabels } or { PlantBatchName }
+ * @returns {object}
+ */
+export function buildAdditive(args, target) {
+  return {
+    AdditiveType: args.additive_type,
+    ProductTradeName: args.product_trade_name,
+    EpaRegistrationNumber: args.epa_registration_number ?? null,
+    ProductSupplier: args.product_supplier ?? null,
+    ApplicationDevice: args.application_device ?? null,
+    TotalAmountApplied: args.total_amount_applied,
+    TotalAmountUnitOfMeasure: args.unit_of_measure,
+    ActiveIngredients: (args.active_ingredients || []).map((ing) => ({ Name: ing.name, Percentage: ing.percentage ?? null })),
+    ...target,
+    ActualDate: args.actual_date,
+  };
+}
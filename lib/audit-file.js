@@ -0,0 +1,52 @@
+/**
+ * JSONL audit journal for Node (server.js, serve.js). Not Edge-safe.
+ *
+ * Appends one JSON line per METRC write to METRC_AUDIT_FILE and answers
+ * metrc_get_audit_log by scanning the file. The file is append-only; rotate or
+ * archive it externally.
+ *
+ * Uses process.env: METRC_AUDIT_FILE (path; when unset, createJournalFromEnv in lib/audit.js is used).
+ */
+
+import { mkdirSync } from 'fs';
+import { appendFile, readFile } from 'fs/promises';
+import { dirname } from 'path';
+import { filterEntries, createJournalFromEnv } from './audit.js';
+
+/** @param {string} file - JSONL path (created on first write) */
+export function createFileJournal(file) {
+  // Serialize appends so concurrent tool calls never interleave lines
+  let pending = Promise.resolve();
+  return {
+    append(entry) {
+      pending = pending.then(async () => {
+        mkdirSync(dirname(file), { recursive: true });
+        await appendFile(file, `${JSON.stringify(entry)}\n`);
+      }).catch((err) => console.error(`[METRC] Could not write audit entry ${entry.operation_id}: ${err.message}`));
+      return pending;
+    },
+    async query(filter) {
+      await pending;
+      let text;
+      try {
+        text = await readFile(file, 'utf-8');
+      } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+      }
+      const entries = [];
+      for (const line of text.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          entries.push(JSON.parse(line));
+        } catch {}
+      }
+      return filterEntries(entries, filter);
+    },
+  };
+}
+
+/** File journal when METRC_AUDIT_FILE is set, otherwise the env-configured memory journal. */
+export function createAuditJournalFromEnv() {
+  return process.env.METRC_AUDIT_FILE ? createFileJournal(process.env.METRC_AUDIT_FILE) : createJournalFromEnv();
+}
@@ -0,0 +1,178 @@
+/**
+ * Append-only audit journal of writes sent to METRC (Edge-safe).
+ *
+ * executeTool wraps the fetch of every mutating tool call with createAuditingFetch(), which
+ * appends one entry per METRC write: operation id, time, caller (tenant fingerprint + client
+ * name), license, tool, method, endpoint, normalized request body, METRC status and response,
+ * and duration. Dry runs and confirmation previews write nothing, so they are not journaled.
+ *
+ * A journal is any object with append(entry) and query(filter) (sync or async).
+ * createMemoryJournal() is the default (per process/isolate); it can forward each entry
+ * to a durable sink. lib/audit-file.js provides a JSONL file journal for Node.
+ *
+ * Uses process.env: METRC_AUDIT_WEBHOOK_URL (Edge/HTTP: POST each entry as JSON to this URL),
+ * METRC_AUDIT_MAX_ENTRIES (memory journal size, default 1000).
+ */
+
+import { canonicalJson } from './confirmation.js';
+
+const MAX_RESPONSE_CHARS = 20_000;
+
+function normalize(value) {
+  if (value === undefined || value === null) return null;
+  return JSON.parse(canonicalJson(value));
+}
+
+function truncate(value) {
+  if (value === undefined) return null;
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > MAX_RESPONSE_CHARS ? `${text.slice(0, MAX_RESPONSE_CHARS)}… [truncated]` : value;
+}
+
+/**
+ * Filter journal entries (shared by every journal implementation).
+ *
+ * @param {object[]} entries - Oldest first
+ * @param {object} filter
+ * @param {string|null} [filter.tenant] - Only this caller's entries (always applied)
+ * @param {string} [filter.operation_id]
+ * @param {string} [filter.undo_of] - Entries written while undoing this operation id
+ * @param {string} [filter.license_number]
+ * @param {string} [filter.tool]
+ * @param {string} [filter.package_label] - Matches labels anywhere in the request body
+ * @param {string} [filter.start_date] - ISO date/date-time, inclusive
+ * @param {string} [filter.end_date] - ISO date/date-time; a bare date includes that day
+ * @param {number} [filter.limit] - Newest N (default 50)
+ * @returns {object[]} Newest first
+ */
+export function filterEntries(entries, filter = {}) {
+  const start = filter.start_date ? Date.parse(filter.start_date) : null;
+  let end = filter.end_date ? Date.parse(filter.end_date) : null;
+  if (end != null && /^\d{4}-\d{2}-\d{2}$/.test(filter.end_date)) end += 24 * 60 * 60 * 1000;
+  const limit = filter.limit ?? 50;
+  const out = [];
+  for (let i = entries.length - 1; i >= 0 && out.length < limit; i--) {
+    const e = entries[i];
+    const t = Date.parse(e.timestamp);
+    if ((e.actor?.tenant ?? null) !== (filter.tenant ?? null)) continue;
+    if (filter.operation_id && e.operation_id !== filter.operation_id) continue;
+    if (filter.undo_of && e.undo_of !== filter.undo_of) continue;
+    if (filter.license_number && e.license !== filter.license_number) continue;
+    if (filter.tool && e.tool !== filter.tool) continue;
+    if (start != null && t < start) continue;
+    if (end != null && t >= end) continue;
+    if (filter.package_label && !JSON.stringify(e.request_body ?? '').includes(`"${filter.package_label}"`)) continue;
+    out.push(e);
+  }
+  return out;
+}
+
+/**
+ * In-memory journal (bounded), optionally forwarding each entry to a durable sink.
+ *
+ * @param {{ maxEntries?: number, forward?: (entry: object) => Promise<void>|void }} [opts]
+ */
+export function createMemoryJournal({
+  maxEntries = parseInt(process.env.METRC_AUDIT_MAX_ENTRIES || '1000', 10),
+  forward,
+} = {}) {
+  const entries = [];
+  return {
+    async append(entry) {
+      entries.push(entry);
+      if (entries.length > maxEntries) entries.shift();
+      if (forward) {
+        try {
+          await forward(entry);
+        } catch (err) {
+          console.error(`[METRC] Audit sink failed for ${entry.operation_id}: ${err.message}`);
+        }
+      }
+    },
+    query: (filter) => filterEntries(entries, filter),
+  };
+}
+
+/** Memory journal; forwards to METRC_AUDIT_WEBHOOK_URL when set (durable sink for Edge). */
+export function createJournalFromEnv() {
+  const url = process.env.METRC_AUDIT_WEBHOOK_URL;
+  return createMemoryJournal({
+    forward: url
+      ? async (entry) => {
+        const res = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(entry) });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      }
+      : undefined,
+  });
+}
+
+/**
+ * Wrap `metrcFetch` so every write is appended to `journal` (successful or not).
+ *
+ * @param {Function} metrcFetch - (path, params?, options?) => Promise<any>; honors options.onResponse
+ * @param {object} journal - { append(entry) }
+ * @param {object} meta
+ * @param {string} meta.tool - Tool name
+ * @param {string} [meta.tenant] - Credential fingerprint
+ * @param {string} [meta.actor] - Client name
+ * @param {string} [meta.undoOf] - Operation id this write compensates (lib/undo.js)
+ * @param {number} [meta.undoStep] - Index of the compensating step in the undo plan
+ * @param {(write: object, metrcFetch: Function) => Promise<object|null>} [meta.captureBefore] - Records
+ *   state the write will overwrite (e.g. previous location) so it can be undone
+ * @returns {Function} Same signature as metrcFetch
+ */
+export function createAuditingFetch(metrcFetch, journal, { tool, tenant = null, actor = null, undoOf = null, undoStep = null, captureBefore }) {
+  return async function auditingFetch(path, params = {}, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    if (method === 'GET') return metrcFetch(path, params, options);
+
+    let started = Date.now();
+    let status = null;
+    const entry = {
+      operation_id: crypto.randomUUID(),
+      timestamp: new Date(started).toISOString(),
+      actor: { tenant, client: actor },
+      license: params.licenseNumber ?? null,
+      tool,
+      method,
+      endpoint: path,
+      request_body: normalize(options.body),
+      ...(undoOf && { undo_of: undoOf }),
+      ...(undoOf && undoStep != null && { undo_step: undoStep }),
+    };
+    if (captureBefore) {
+      try {
+        const before = await captureBefore({ method, path, params, body: options.body }, metrcFetch);
+        if (before) entry.before = before;
+      } catch (err) {
+        entry.before_error = err.message;
+      }
+      started = Date.now();
+    }
+    // A journal that cannot record must not turn a write METRC accepted into a failed (and retried) call
+    const record = async (fields) => {
+      try {
+        await journal.append({ ...entry, ...fields });
+      } catch (err) {
+        console.error(`[METRC] Could not journal ${entry.operation_id}: ${err.message}`);
+      }
+    };
+    const onResponse = (res) => {
+      status = res.status;
+      options.onResponse?.(res);
+    };
+    try {
+      const response = await metrcFetch(path, params, { ...options, onResponse });
+      await record({ status, ok: true, response: truncate(response), duration_ms: Date.now() - started });
+      return response;
+    } catch (err) {
+      await record({
+        status: err.status ?? status,
+        ok: false,
+        error: err.toJSON ? err.toJSON() : { message: err.message },
+        duration_ms: Date.now() - started,
+      });
+      throw err;
+    }
+  };
+}
@@ -0,0 +1,82 @@
+/**
+ * File-backed response cache for Node (server.js, serve.js). Not Edge-safe.
+ *
+ * Keeps the in-memory LRU from lib/cache.js and mirrors it to one JSON file, so
+ * reference data survives stdio server restarts (Claude Desktop/Cursor spawn a new
+ * process per session). Writes are batched (and done at process exit if still pending);
+ * expired entries are dropped on load.
+ *
+ * Uses process.env: METRC_CACHE_FILE (path; when unset, createCacheFromEnv returns the memory cache).
+ */
+
+import { readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { writeFile } from 'fs/promises';
+import { dirname } from 'path';
+import { createMemoryCache } from './cache.js';
+
+const FLUSH_DELAY_MS = 1000;
+
+/**
+ * @param {string} file - Cache file path
+ * @param {{ maxEntries?: number }} [opts]
+ */
+export function createFileCache(file, opts) {
+  const memory = createMemoryCache(opts);
+  try {
+    const saved = JSON.parse(readFileSync(file, 'utf-8'));
+    const now = Date.now();
+    for (const [key, entry] of Object.entries(saved)) {
+      if (entry.expires > now) memory.set(key, entry.value, entry.expires - now, entry.tags);
+    }
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error(`[METRC] Ignoring cache file ${file}: ${err.message}`);
+  }
+
+  let timer = null;
+  const snapshot = () => JSON.stringify(Object.fromEntries(memory.entries()));
+  const flush = async () => {
+    clearTimeout(timer);
+    timer = null;
+    try {
+      mkdirSync(dirname(file), { recursive: true });
+      await writeFile(file, snapshot());
+    } catch (err) {
+      console.error(`[METRC] Could not write cache file ${file}: ${err.message}`);
+    }
+  };
+  // The timer is unref'd so it never keeps the process alive; a write still pending at exit is done here
+  process.once('exit', () => {
+    if (!timer) return;
+    try {
+      mkdirSync(dirname(file), { recursive: true });
+      writeFileSync(file, snapshot());
+    } catch (err) {
+      console.error(`[METRC] Could not write cache file ${file}: ${err.message}`);
+    }
+  });
+  const scheduleFlush = () => {
+    if (timer) return;
+    timer = setTimeout(flush, FLUSH_DELAY_MS);
+    timer.unref?.();
+  };
+
+  return {
+    get: (key) => memory.get(key),
+    set(key, value, ttlMs, tags) {
+      memory.set(key, value, ttlMs, tags);
+      scheduleFlush();
+    },
+    invalidate(tag) {
+      memory.invalidate(tag);
+      scheduleFlush();
+    },
+    entries: () => memory.entries(),
+    /** Write pending changes now instead of after the batching delay. */
+    flush,
+  };
+}
+
+/** File cache when METRC_CACHE_FILE is set, otherwise undefined (executeTool's shared memory cache). */
+export function createCacheFromEnv() {
+  return process.env.METRC_CACHE_FILE ? createFileCache(process.env.METRC_CACHE_FILE) : undefined;
+}
@@ -0,0 +1,150 @@
+/**
+ * Response cache for METRC GET requests (Edge-safe).
+ *
+ * Reference data (units of measure, waste methods, item categories, location types,
+ * adjust reasons, transfer types, ...) almost never changes, and chat turns re-read the
+ * same active lists within seconds. createCachingFetch() sits under executeTool and:
+ *
+ *   - caches GETs per endpoint TTL (reference data: long; active lists: short; others: never)
+ *   - scopes keys by tenant (credential fingerprint) and license, so accounts never share entries
+ *   - drops the affected lists for a license when a write (non-GET) to that resource succeeds
+ *   - skips the read (but still refreshes the entry) when the tool passed `no_cache`
+ *
+ * The store is pluggable: anything with get(key) / set(key, value, ttlMs, tags) /
+ * invalidate(tag), sync or async. createMemoryCache() is the default (LRU, per isolate);
+ * lib/cache-file.js adds a file-backed store for Node.
+ *
+ * Uses process.env: METRC_CACHE_DISABLED ("true" turns caching off), METRC_CACHE_MAX_ENTRIES (500),
+ * METRC_CACHE_REFERENCE_TTL_MS (24h), METRC_CACHE_LIST_TTL_MS (60000).
+ */
+
+const REFERENCE = 'reference';
+const LIST = 'list';
+
+// First match wins; paths not listed are never cached
+const TTL_RULES = [
+  [/^\/(unitsofmeasure|wastemethods)\//, REFERENCE],
+  [/^\/items\/v\d\/categories/, REFERENCE],
+  [/^\/locations\/v2\/types/, REFERENCE],
+  [/^\/packages\/v2\/adjust\/reasons/, REFERENCE],
+  [/^\/transfers\/v2\/types/, REFERENCE],
+  [/^\/transfers\/v2\/deliveries\/packages\/states/, REFERENCE],
+  [/^\/plantbatches\/v2\/(types|waste\/reasons)/, REFERENCE],
+  [/^\/plants\/v2\/additives\/types/, REFERENCE],
+  [/^\/labtests\/v2\/types/, REFERENCE],
+  [/^\/sales\/v2\/customertypes/, REFERENCE],
+  [/^\/processing\/v2\/jobtypes/, REFERENCE],
+  [/^\/facilities\/v2\//, REFERENCE],
+  [/^\/(packages|harvests|plantbatches|strains|items|locations|additivestemplates)\/v2\/active/, LIST],
+  [/^\/plants\/v2\/(flowering|vegetative)/, LIST],
+  [/^\/employees\/v2\//, LIST],
+  [/^\/tags\/v2\/(plant|package)\/available/, LIST],
+];
+
+// A write to one resource can change the lists of others (e.g. harvest packages consume harvest weight)
+const RELATED = {
+  harvests: ['packages', 'plants'],
+  plants: ['plantbatches', 'harvests', 'tags'],
+  plantbatches: ['plants', 'packages', 'tags'],
+  packages: ['harvests', 'plantbatches', 'tags'],
+  transfers: ['packages'],
+  sales: ['packages'],
+  labtests: ['packages'],
+};
+
+function ttlFor(path) {
+  const rule = TTL_RULES.find(([re]) => re.test(path));
+  if (!rule) return 0;
+  return rule[1] === REFERENCE
+    ? parseInt(process.env.METRC_CACHE_REFERENCE_TTL_MS || String(24 * 60 * 60 * 1000), 10)
+    : parseInt(process.env.METRC_CACHE_LIST_TTL_MS || '60000', 10);
+}
+
+function resourceOf(path) {
+  return String(path).split('/').filter(Boolean)[0] || '';
+}
+
+function cacheTag(scope, license, resource) {
+  return `${scope}|${license || '-'}|${resource}`;
+}
+
+/**
+ * In-memory LRU store with per-entry expiry.
+ *
+ * @param {{ maxEntries?: number }} [opts]
+ */
+export function createMemoryCache({ maxEntries = parseInt(process.env.METRC_CACHE_MAX_ENTRIES || '500', 10) } = {}) {
+  const entries = new Map();
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expires <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      // Re-insert to mark as most recently used
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+    set(key, value, ttlMs, tags = []) {
+      entries.delete(key);
+      entries.set(key, { value, expires: Date.now() + ttlMs, tags });
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    },
+    invalidate(tag) {
+      for (const [key, entry] of entries) {
+        if (entry.tags.includes(tag)) entries.delete(key);
+      }
+    },
+    /** Entries for persistence (lib/cache-file.js). */
+    entries() {
+      return entries;
+    },
+  };
+}
+
+/** True unless METRC_CACHE_DISABLED is "true". */
+export function cacheEnabled() {
+  return process.env.METRC_CACHE_DISABLED !== 'true';
+}
+
+/**
+ * Wrap `metrcFetch` with a cache.
+ *
+ * @param {Function} metrcFetch - (path, params?, options?) => Promise<any>
+ * @param {object} cache - Store (see above)
+ * @param {object} [opts]
+ * @param {string} [opts.scope] - Tenant fingerprint; keys and invalidation are per scope
+ * @param {boolean} [opts.noCache] - Bypass cached reads (fresh results are still stored)
+ * @returns {Function} Same signature as metrcFetch
+ */
+export function createCachingFetch(metrcFetch, cache, { scope = 'env', noCache = false } = {}) {
+  return async function cachingFetch(path, params = {}, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    const license = params.licenseNumber;
+
+    if (method !== 'GET') {
+      const result = await metrcFetch(path, params, options);
+      const resource = resourceOf(path);
+      for (const r of [resource, ...(RELATED[resource] || [])]) {
+        await cache.invalidate(cacheTag(scope, license, r));
+      }
+      return result;
+    }
+
+    const ttl = ttlFor(path);
+    if (!(ttl > 0)) return metrcFetch(path, params, options);
+
+    const query = Object.keys(params).sort().map((k) => `${k}=${params[k]}`).join('&');
+    const key = `${scope}|${path}?${query}`;
+    if (!noCache) {
+      const hit = await cache.get(key);
+      if (hit !== undefined) return structuredClone(hit);
+    }
+    const result = await metrcFetch(path, params, options);
+    await cache.set(key, structuredClone(result), ttl, [cacheTag(scope, license, resourceOf(path))]);
+    return result;
+  };
+}
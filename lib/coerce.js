@@ -0,0 +1,164 @@
+/**
+ * Argument coercion for LLM-produced tool inputs (Edge-safe).
+ *
+ * Models often send "12" for a number, "2026-03-01T00:00" or "3/1/2026" for a date,
+ * a JSON-encoded string for an array, or "g" for a unit. executeTool runs coerceArgs()
+ * before validation so these are fixed instead of rejected. Only unambiguous conversions
+ * are made; anything else is left as is for lib/validate.js to report. Every change is
+ * returned so the caller can show what was normalized.
+ *
+ * Driven by the tool's inputSchema:
+ *   - number / integer: numeric strings ("12", " -1.5 ")
+ *   - boolean: "true" / "false"
+ *   - array / object: JSON strings that parse to the expected type
+ *   - format "date": YYYY-MM-DD with a time part, YYYY/MM/DD, "Mar 1, 2026", "1 March 2026", and
+ *     slash dates whose day and month cannot be swapped (1/13/2026, 13/1/2026, 3/3/2026); 3/4/2026
+ *     could be March 4 or April 3, so it is left for validation to reject
+ *     (the date is taken as written; time zones are not converted)
+ *   - unit fields (UNIT_FIELDS): aliases such as "g", "grams", "lbs", "fl oz" → METRC names
+ */
+
+const NUMERIC_RE = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/** Argument names that hold a METRC unit of measure. */
+export const UNIT_FIELDS = new Set([
+  'unit_of_measure',
+  'UnitOfMeasure',
+  'waste_unit_of_measure',
+  'WasteUnitOfMeasure',
+  'unit_of_weight',
+  'UnitOfWeight',
+  'unit_cbd_content_unit',
+  'unit_thc_content_unit',
+]);
+
+const UNIT_ALIASES = {
+  Each: ['each', 'ea', 'unit', 'units', 'ct', 'count', 'pc', 'pcs', 'piece', 'pieces'],
+  Grams: ['g', 'gr', 'gm', 'gms', 'gram', 'grams'],
+  Kilograms: ['kg', 'kgs', 'kilo', 'kilos', 'kilogram', 'kilograms'],
+  Milligrams: ['mg', 'mgs', 'milligram', 'milligrams'],
+  Ounces: ['oz', 'ozs', 'ounce', 'ounces'],
+  Pounds: ['lb', 'lbs', 'pound', 'pounds'],
+  'Fluid Ounces': ['fl oz', 'floz', 'fl. oz', 'fluid ounce', 'fluid ounces'],
+  Milliliters: ['ml', 'mls', 'milliliter', 'milliliters', 'millilitre', 'millilitres'],
+  Liters: ['l', 'lt', 'liter', 'liters', 'litre', 'litres'],
+  Gallons: ['gal', 'gals', 'gallon', 'gallons'],
+  Pints: ['pt', 'pts', 'pint', 'pints'],
+  Quarts: ['qt', 'qts', 'quart', 'quarts'],
+};
+
+const UNITS = new Map(
+  Object.entries(UNIT_ALIASES).flatMap(([name, aliases]) => aliases.map((a) => [a, name]))
+);
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function isoDate(year, month, day) {
+  const d = new Date(Date.UTC(year, month - 1, day));
+  if (d.getUTCFullYear() !== year || d.getUTCMonth() !== month - 1 || d.getUTCDate() !== day) return null;
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+function monthIndex(name) {
+  const i = MONTHS.indexOf(name.slice(0, 3).toLowerCase());
+  return i === -1 ? null : i + 1;
+}
+
+/** Normalize a date string to YYYY-MM-DD, or null when it is not a recognized date. */
+export function normalizeDate(text) {
+  const s = text.trim();
+  let m = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[T ]\d{1,2}:\d{2}.*)?$/.exec(s);
+  if (m) return isoDate(Number(m[1]), Number(m[2]), Number(m[3]));
+  m = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(s);
+  if (m) {
+    const [a, b] = [Number(m[1]), Number(m[2])];
+    // Month first (METRC's UI) and day first (most other places) only agree when one part cannot be a month
+    if (a <= 12 && b <= 12 && a !== b) return null;
+    return a > 12 ? isoDate(Number(m[3]), b, a) : isoDate(Number(m[3]), a, b);
+  }
+  m = /^([A-Za-z]{3,9})\.? (\d{1,2}),? (\d{4})$/.exec(s);
+  if (m && monthIndex(m[1])) return isoDate(Number(m[3]), monthIndex(m[1]), Number(m[2]));
+  m = /^(\d{1,2}) ([A-Za-z]{3,9})\.?,? (\d{4})$/.exec(s);
+  if (m && monthIndex(m[2])) return isoDate(Number(m[3]), monthIndex(m[2]), Number(m[1]));
+  return null;
+}
+
+/** METRC's name for a unit alias (case-insensitive), or null when unknown. */
+export function normalizeUnit(text) {
+  const key = text.trim().toLowerCase().replace(/\s+/g, ' ').replace(/\.$/, '');
+  if (UNITS.has(key)) return UNITS.get(key);
+  const canonical = Object.keys(UNIT_ALIASES).find((name) => name.toLowerCase() === key);
+  return canonical || null;
+}
+
+function parseJson(text, type) {
+  const s = text.trim();
+  if (!(type === 'array' ? s.startsWith('[') : s.startsWith('{'))) return undefined;
+  try {
+    const parsed = JSON.parse(s);
+    const ok = type === 'array' ? Array.isArray(parsed) : parsed && typeof parsed === 'object' && !Array.isArray(parsed);
+    return ok ? parsed : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+function coerceValue(value, schema, pointer, key, changes) {
+  let out = value;
+  if (typeof value === 'string') {
+    if ((schema.type === 'number' || schema.type === 'integer') && NUMERIC_RE.test(value.trim())) {
+      const n = Number(value.trim());
+      if (Number.isFinite(n) && (schema.type === 'number' || Number.isInteger(n))) out = n;
+    } else if (schema.type === 'boolean' && /^(true|false)$/i.test(value.trim())) {
+      out = value.trim().toLowerCase() === 'true';
+    } else if (schema.type === 'array' || schema.type === 'object') {
+      const parsed = parseJson(value, schema.type);
+      if (parsed !== undefined) out = parsed;
+    } else if (schema.format === 'date') {
+      const date = normalizeDate(value);
+      if (date) out = date;
+    } else if (UNIT_FIELDS.has(key)) {
+      const unit = normalizeUnit(value);
+      if (unit) out = unit;
+    }
+    if (out !== value) changes.push({ path: pointer || '/', from: value, to: out });
+  }
+
+  if (Array.isArray(out) && schema.items) {
+    return out.map((item, i) => coerceValue(item, schema.items, `${pointer}/${i}`, null, changes));
+  }
+  if (out && typeof out === 'object' && !Array.isArray(out) && schema.properties) {
+    const result = {};
+    for (const [k, v] of Object.entries(out)) {
+      const sub = schema.properties[k];
+      result[k] = sub && v != null ? coerceValue(v, sub, `${pointer}/${k.replace(/~/g, '~0').replace(/\//g, '~1')}`, k, changes) : v;
+    }
+    return result;
+  }
+  return out;
+}
+
+/**
+ * Coerce tool arguments to the types and formats their schema expects.
+ *
+ * @param {object} args - Arguments as sent by the client (not modified)
+ * @param {object} inputSchema - Tool inputSchema
+ * @returns {{ args: object, changes: Array<{ path: string, from: any, to: any }> }}
+ */
+export function coerceArgs(args, inputSchema) {
+  const changes = [];
+  const coerced = coerceValue(args ?? {}, { type: 'object', ...inputSchema }, '', null, changes);
+  return { args: coerced, changes };
+}
+
+/** One-line summary of coercions for the tool result. */
+export function describeCoercions(changes) {
+  const show = (c) => (c.to && typeof c.to === 'object'
+    ? `${c.path} JSON string → ${Array.isArray(c.to) ? `array of ${c.to.length}` : 'object'}`
+    : `${c.path} ${JSON.stringify(c.from)} → ${JSON.stringify(c.to)}`);
+  return `Normalized arguments: ${changes.map(show).join('; ')}`;
+}
@@ -0,0 +1,87 @@
+/**
+ * Two-phase confirmation for destructive tools (Edge-safe).
+ *
+ * The first call to a destructive tool returns a dry-run preview plus a signed,
+ * short-lived confirmation token. The write runs only when the tool is called again
+ * with the same arguments and that token. The token is an HMAC over the tool name,
+ * the canonical arguments, the tenant and the expiry, so it cannot be reused for a
+ * different payload or account. Tokens are stateless (they work across stdio, Railway
+ * and Edge isolates sharing MCP_CONFIRMATION_SECRET); one-time use is enforced per process.
+ *
+ * Uses process.env: MCP_CONFIRMATION_SECRET (HMAC key; random per process when unset, so set it
+ * when more than one instance serves a client), MCP_CONFIRMATION_TTL_MS (default 5 min),
+ * MCP_REQUIRE_CONFIRMATION ("false" executes destructive tools immediately, as before).
+ */
+
+// Arguments that control how a call runs, not what it writes
+const CONTROL_ARGS = new Set(['confirmation_token', 'dry_run', 'idempotency_key', 'no_cache', 'output_format']);
+
+const encoder = new TextEncoder();
+const usedTokens = new Map();
+let processSecret = null;
+
+export function confirmationRequired() {
+  return process.env.MCP_REQUIRE_CONFIRMATION !== 'false';
+}
+
+function ttlMs() {
+  return parseInt(process.env.MCP_CONFIRMATION_TTL_MS || String(5 * 60 * 1000), 10);
+}
+
+function secret() {
+  if (process.env.MCP_CONFIRMATION_SECRET) return process.env.MCP_CONFIRMATION_SECRET;
+  processSecret ??= Array.from(crypto.getRandomValues(new Uint8Array(32)), (b) => b.toString(16).padStart(2, '0')).join('');
+  return processSecret;
+}
+
+/** JSON with sorted object keys, so equal payloads sign identically. */
+export function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter((k) => value[k] !== undefined)
+      .map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/** The arguments that determine what a call writes (control arguments removed). */
+export function payloadArgs(args) {
+  return Object.fromEntries(Object.entries(args).filter(([k]) => !CONTROL_ARGS.has(k)));
+}
+
+async function sign(tool, args, tenant, expires) {
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secret()), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const message = `${tool}\n${tenant || ''}\n${expires}\n${canonicalJson(payloadArgs(args))}`;
+  const sig = new Uint8Array(await crypto.subtle.sign('HMAC', key, encoder.encode(message)));
+  return btoa(String.fromCharCode(...sig)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Issue a token for exactly this call.
+ *
+ * @returns {Promise<{ token: string, expiresAt: string }>}
+ */
+export async function issueConfirmationToken(tool, args, tenant) {
+  const expires = Date.now() + ttlMs();
+  return { token: `${expires}.${await sign(tool, args, tenant, expires)}`, expiresAt: new Date(expires).toISOString() };
+}
+
+/**
+ * Verify a token against the call it is presented with; throws when it does not match,
+ * has expired or was already used. Marks it used on success.
+ */
+export async function consumeConfirmationToken(tool, args, tenant) {
+  const token = String(args.confirmation_token || '');
+  const [expiresText, sig] = token.split('.');
+  const expires = Number(expiresText);
+  const now = Date.now();
+  for (const [used, exp] of usedTokens) if (exp < now) usedTokens.delete(used);
+
+  if (!sig || !Number.isFinite(expires)) throw new Error('confirmation_token is malformed. Call the tool without it to get a new one.');
+  if (expires < now) throw new Error('confirmation_token has expired. Call the tool without it to get a new preview and token.');
+  if (usedTokens.has(token)) throw new Error('confirmation_token was already used.');
+  if (sig !== await sign(tool, args, tenant, expires)) {
+    throw new Error('confirmation_token does not match these arguments. Call the tool without it to preview the new payload.');
+  }
+  usedTokens.set(token, expires);
+}
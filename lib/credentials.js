@@ -0,0 +1,51 @@
+/**
+ * Per-request METRC credentials for multi-tenant hosting (Edge-safe).
+ *
+ * HTTP callers supply their own METRC keys in headers; the keys are threaded
+ * into a request-scoped metrcFetch and never stored in module scope. Anything
+ * that needs to tell tenants apart (logs, sessions, caches) uses the
+ * fingerprint, never the keys themselves.
+ *
+ * Headers: X-Metrc-Vendor-Key, X-Metrc-User-Key.
+ */
+
+export const VENDOR_KEY_HEADER = 'X-Metrc-Vendor-Key';
+export const USER_KEY_HEADER = 'X-Metrc-User-Key';
+
+/**
+ * Read credentials from request headers.
+ *
+ * @param {Headers} headers
+ * @returns {{ vendorKey: string, userKey: string } | null} null when neither header is set
+ * @throws {Error} when only one of the two headers is present
+ */
+export function readRequestCredentials(headers) {
+  const vendorKey = headers?.get?.(VENDOR_KEY_HEADER)?.trim() || '';
+  const userKey = headers?.get?.(USER_KEY_HEADER)?.trim() || '';
+  if (!vendorKey && !userKey) return null;
+  if (!vendorKey || !userKey) {
+    throw new Error(`Send both ${VENDOR_KEY_HEADER} and ${USER_KEY_HEADER}, or neither.`);
+  }
+  return { vendorKey, userKey };
+}
+
+/**
+ * Stable, non-reversible tenant id for a credential pair (first 16 hex chars of SHA-256).
+ * Safe to log and to use as a cache/session partition key.
+ */
+export async function credentialFingerprint({ vendorKey, userKey }) {
+  const data = new TextEncoder().encode(`${vendorKey}:${userKey}`);
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest).slice(0, 8))
+    .map((b) => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/** Replace any occurrence of the given secrets in `text` with a placeholder. */
+export function redactSecrets(text, secrets = []) {
+  let out = String(text ?? '');
+  for (const secret of secrets) {
+    if (secret && secret.length >= 4) out = out.split(secret).join('[REDACTED]');
+  }
+  return out;
+}
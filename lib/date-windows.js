@@ -0,0 +1,119 @@
+/**
+ * Date-range filters for METRC list tools (Edge-safe).
+ *
+ * METRC v2 list endpoints accept lastModifiedStart/lastModifiedEnd (sales receipts also
+ * salesDateStart/salesDateEnd) but reject ranges longer than 24 hours. createDateWindowFetch()
+ * splits a longer range into consecutive ≤24h windows, issues one request per window and
+ * merges the results, de-duplicating records by Id.
+ *
+ * Uses process.env: METRC_DATE_WINDOWS_MAX (max windows per call, default 31).
+ */
+
+const WINDOW_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/** Tool argument pairs → METRC query parameters. */
+export const DATE_FILTERS = {
+  last_modified: { startArg: 'last_modified_start', endArg: 'last_modified_end', startParam: 'lastModifiedStart', endParam: 'lastModifiedEnd' },
+  sales_date: { startArg: 'sales_date_start', endArg: 'sales_date_end', startParam: 'salesDateStart', endParam: 'salesDateEnd' },
+};
+
+function maxWindows() {
+  return Math.max(1, parseInt(process.env.METRC_DATE_WINDOWS_MAX || '31', 10) || 31);
+}
+
+function parseBound(value, arg, { endOfDay = false } = {}) {
+  const ms = Date.parse(DATE_ONLY.test(value) ? `${value}T00:00:00Z` : value);
+  if (Number.isNaN(ms)) throw new Error(`${arg} must be a date (YYYY-MM-DD) or ISO 8601 date-time, got "${value}"`);
+  // A bare end date includes that whole day
+  return endOfDay && DATE_ONLY.test(value) ? ms + WINDOW_MS : ms;
+}
+
+/**
+ * Resolve the date filter requested in `args`, if any.
+ *
+ * @param {object} args - Tool arguments
+ * @param {string[]} allowed - Keys of DATE_FILTERS this tool supports
+ * @returns {{ filter: object, start: number, end: number } | null}
+ */
+export function resolveDateFilter(args, allowed) {
+  const requested = allowed
+    .map((key) => DATE_FILTERS[key])
+    .filter((f) => args[f.startArg] != null || args[f.endArg] != null);
+  if (requested.length === 0) return null;
+  if (requested.length > 1) {
+    throw new Error(`Use one date filter at a time (${requested.map((f) => f.startArg.replace(/_start$/, '')).join(' or ')})`);
+  }
+  const [filter] = requested;
+  const end = args[filter.endArg] != null ? parseBound(args[filter.endArg], filter.endArg, { endOfDay: true }) : Date.now();
+  const start = args[filter.startArg] != null ? parseBound(args[filter.startArg], filter.startArg) : end - WINDOW_MS;
+  if (start >= end) throw new Error(`${filter.startArg} must be before ${filter.endArg}`);
+  return { filter, start, end };
+}
+
+/** Split [start, end) into consecutive windows no longer than 24 hours. */
+export function splitWindows(start, end) {
+  const windows = [];
+  for (let from = start; from < end; from += WINDOW_MS) {
+    windows.push([from, Math.min(from + WINDOW_MS, end)]);
+  }
+  return windows;
+}
+
+function records(res) {
+  if (Array.isArray(res)) return res;
+  if (res && Array.isArray(res.Data)) return res.Data;
+  return null;
+}
+
+/**
+ * Wrap `metrcFetch` so GET calls are issued once per 24h window of the requested range.
+ *
+ * @param {Function} metrcFetch - (path, params?, options?) => Promise<any> (may itself be a paging fetch)
+ * @param {{ filter: object, start: number, end: number }} range - From resolveDateFilter
+ * @param {object} [opts]
+ * @param {(progress: number, total?: number, message?: string) => void} [opts.onProgress]
+ * @returns {Function} Same signature as metrcFetch
+ */
+export function createDateWindowFetch(metrcFetch, { filter, start, end }, { onProgress = () => {} } = {}) {
+  const windows = splitWindows(start, end);
+  if (windows.length > maxWindows()) {
+    throw new Error(
+      `Date range spans ${windows.length} days; at most ${maxWindows()} are allowed per call. Narrow ${filter.startArg}/${filter.endArg}.`
+    );
+  }
+
+  return async function dateWindowFetch(path, params = {}, options = {}) {
+    if ((options.method || 'GET').toUpperCase() !== 'GET') return metrcFetch(path, params, options);
+
+    const merged = [];
+    const seen = new Set();
+    let envelope = false;
+    let truncated = false;
+    for (const [i, [from, to]] of windows.entries()) {
+      const res = await metrcFetch(path, {
+        ...params,
+        [filter.startParam]: new Date(from).toISOString(),
+        [filter.endParam]: new Date(to).toISOString(),
+      }, options);
+      const rows = records(res);
+      if (!rows) return res;
+      envelope ||= !Array.isArray(res);
+      truncated ||= Boolean(res.Truncated) || (Number(res.TotalPages) > 1 && !res.PagesFetched);
+      for (const row of rows) {
+        const key = row?.Id ?? JSON.stringify(row);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        merged.push(row);
+      }
+      onProgress(i + 1, windows.length, `Fetched ${new Date(from).toISOString().slice(0, 10)} window`);
+    }
+
+    if (!envelope) return merged;
+    const result = { Data: merged, Total: merged.length, Windows: windows.length, Truncated: truncated };
+    if (truncated) {
+      result.Notice = 'Some windows had more pages than were fetched. Use all_pages: true or a narrower date range.';
+    }
+    return result;
+  };
+}
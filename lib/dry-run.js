@@ -0,0 +1,191 @@
+/**
+ * Dry-run previews for write tools (Edge-safe).
+ *
+ * With `dry_run: true`, executeTool runs the tool's normal case against a capturing
+ * fetch: GETs go to METRC, writes are recorded instead of sent. previewWrites() then
+ * checks each recorded request against current METRC state and describes what would
+ * change, so a person can approve the exact request body before anything is written.
+ *
+ * State checks (packages are looked up by label, locations from /locations/v2/active):
+ *   - package exists and is not finished (unfinish: is finished)
+ *   - quantity would not go negative (adjustments and ingredients, summed per package)
+ *   - destination location accepts packages (ForPackages)
+ *   - transfer template packages exist, are not finished and are not already in transit
+ * Other endpoints are previewed with their request body only.
+ */
+
+import { MetrcApiError } from './metrc-errors.js';
+
+/**
+ * Wrap `metrcFetch` so writes are recorded, not sent.
+ *
+ * @param {Function} metrcFetch - (path, params?, options?) => Promise<any>
+ * @returns {{ fetch: Function, writes: Array<{ method: string, path: string, params: object, body: any }> }}
+ */
+export function createCapturingFetch(metrcFetch) {
+  const writes = [];
+  return {
+    writes,
+    fetch(path, params = {}, options = {}) {
+      const method = (options.method || 'GET').toUpperCase();
+      if (method === 'GET') return metrcFetch(path, params, options);
+      writes.push({ method, path, params, body: options.body ?? null });
+      return Promise.resolve(null);
+    },
+  };
+}
+
+function rowsOf(body) {
+  return Array.isArray(body) ? body : body == null ? [] : [body];
+}
+
+function qty(n, unit) {
+  return `${Number(n)}${unit ? ` ${unit}` : ''}`;
+}
+
+/** Per-preview lookups, memoized so bulk requests fetch each package and the location list once. */
+function createState(metrcFetch, licenseNumber) {
+  const packages = new Map();
+  let locations = null;
+  return {
+    async pkg(label) {
+      if (!packages.has(label)) {
+        packages.set(label, (async () => {
+          try {
+            const p = await metrcFetch(`/packages/v2/${encodeURIComponent(label)}`, { licenseNumber });
+            return p && typeof p === 'object' ? { ...p, pending: Number(p.Quantity) } : null;
+          } catch (err) {
+            if (err instanceof MetrcApiError && (err.status === 404 || err.status === 400)) return null;
+            throw err;
+          }
+        })());
+      }
+      return packages.get(label);
+    },
+    async location(id) {
+      locations ??= metrcFetch('/locations/v2/active', { licenseNumber }).then((res) =>
+        Array.isArray(res) ? res : Array.isArray(res?.Data) ? res.Data : []);
+      return (await locations).find((l) => String(l.Id) === String(id)) || null;
+    },
+  };
+}
+
+const PACKAGE_CHECKS = {
+  '/packages/v2/adjust': async (row, report) => {
+    const p = await report.requirePackage(row.Label);
+    if (!p) return;
+    const after = p.pending + Number(row.Quantity);
+    if (after < 0) {
+      report.issue(`${row.Label}: adjustment ${qty(row.Quantity)} would leave ${qty(after, p.UnitOfMeasureName)} (negative)`);
+    }
+    if (row.UnitOfMeasure && p.UnitOfMeasureName && row.UnitOfMeasure !== p.UnitOfMeasureName) {
+      report.note(`${row.Label}: adjusting in ${row.UnitOfMeasure}; package is tracked in ${p.UnitOfMeasureName}`);
+    }
+    report.change(`${row.Label}: Quantity ${qty(p.pending, p.UnitOfMeasureName)} → ${qty(after, p.UnitOfMeasureName)} (${row.AdjustmentReason || 'no reason'})`);
+    p.pending = after;
+  },
+  '/packages/v2/location': async (row, report) => {
+    const p = await report.requirePackage(row.Label);
+    const loc = await report.requirePackageLocation(row.LocationId);
+    if (p) report.change(`${row.Label}: Location ${p.LocationName || p.LocationId || '(none)'} → ${loc?.Name || row.LocationId}`);
+  },
+  '/packages/v2/finish': async (row, report) => {
+    const p = await report.requirePackage(row.Label);
+    if (!p) return;
+    if (Number(p.pending) !== 0) report.note(`${row.Label}: finishing with ${qty(p.pending, p.UnitOfMeasureName)} remaining`);
+    report.change(`${row.Label}: finished on ${row.ActualDate}`);
+  },
+  '/packages/v2/unfinish': async (row, report) => {
+    const p = await report.requirePackage(row.Label, { finished: true });
+    if (p) report.change(`${row.Label}: unfinished (was finished ${p.FinishedDate})`);
+  },
+  '/packages/v2/remediate': async (row, report) => {
+    const p = await report.requirePackage(row.Label);
+    if (p) report.change(`${row.Label}: remediated by ${row.RemediationMethodName} on ${row.RemediationDate}`);
+  },
+  '/packages/v2/': async (row, report) => {
+    if (row.LocationId != null) await report.requirePackageLocation(row.LocationId);
+    for (const ing of rowsOf(row.Ingredients)) {
+      const label = ing.Package ?? ing.Label;
+      const p = await report.requirePackage(label);
+      if (!p) continue;
+      const after = p.pending - Number(ing.Quantity);
+      if (after < 0) report.issue(`${label}: taking ${qty(ing.Quantity, ing.UnitOfMeasure)} would leave ${qty(after, p.UnitOfMeasureName)} (negative)`);
+      report.change(`${label}: Quantity ${qty(p.pending, p.UnitOfMeasureName)} → ${qty(after, p.UnitOfMeasureName)} (ingredient of ${row.Tag})`);
+      p.pending = after;
+    }
+    report.change(`${row.Tag}: new package, ${qty(row.Quantity, row.UnitOfMeasure)}`);
+  },
+  '/transfers/v2/templates/outgoing': async (row, report) => {
+    for (const dest of rowsOf(row.Destinations)) {
+      for (const pkg of rowsOf(dest.Packages)) {
+        const p = await report.requirePackage(pkg.PackageLabel);
+        if (p?.IsInTransit) report.issue(`${pkg.PackageLabel}: package is already in transit`);
+      }
+      report.change(`${row.Name}: ${rowsOf(dest.Packages).length} package(s) to ${dest.RecipientLicenseNumber} (${dest.TransferTypeName})`);
+    }
+  },
+  '/packages/v2/testing': async (row, report) => {
+    if (row.SourcePackageLabels) await report.requirePackage(row.SourcePackageLabels);
+    report.change(`${row.Tag}: new test sample, ${qty(row.Quantity, row.UnitOfMeasure)} from ${row.SourcePackageLabels}`);
+  },
+};
+
+/**
+ * Validate recorded writes against current state and describe the changes.
+ *
+ * @param {string} tool - Tool name
+ * @param {Array} writes - From createCapturingFetch
+ * @param {Function} metrcFetch - Used for state lookups (GET only)
+ * @returns {Promise<object>} Preview: { dry_run, tool, would_succeed, issues, notes, changes, requests }
+ */
+export async function previewWrites(tool, writes, metrcFetch) {
+  const issues = [];
+  const notes = [];
+  const changes = [];
+
+  for (const write of writes) {
+    const check = PACKAGE_CHECKS[write.path];
+    const rows = rowsOf(write.body);
+    if (!check) {
+      changes.push(`${write.method} ${write.path}: ${rows.length || 1} record(s)`);
+      continue;
+    }
+    const state = createState(metrcFetch, write.params.licenseNumber);
+    for (const [i, row] of rows.entries()) {
+      const at = rows.length > 1 ? `row ${i}: ` : '';
+      const report = {
+        issue: (m) => issues.push(`${at}${m}`),
+        note: (m) => notes.push(`${at}${m}`),
+        change: (m) => changes.push(m),
+        async requirePackage(label, { finished = false } = {}) {
+          const p = await state.pkg(label);
+          if (!p) {
+            report.issue(`${label}: package not found`);
+            return null;
+          }
+          if (!finished && p.FinishedDate) report.issue(`${label}: package is finished (${p.FinishedDate})`);
+          if (finished && !p.FinishedDate) report.issue(`${label}: package is not finished`);
+          return p;
+        },
+        async requirePackageLocation(id) {
+          const loc = await state.location(id);
+          if (!loc) report.issue(`location ${id}: not found among active locations`);
+          else if (loc.ForPackages === false) report.issue(`location ${loc.Name}: does not accept packages (type ${loc.LocationTypeName})`);
+          return loc;
+        },
+      };
+      await check(row, report);
+    }
+  }
+
+  return {
+    dry_run: true,
+    tool,
+    would_succeed: issues.length === 0,
+    issues,
+    notes,
+    changes,
+    requests: writes,
+  };
+}
@@ -0,0 +1,80 @@
+/**
+ * Idempotency keys for write tools (Edge-safe).
+ *
+ * A retried HTTP request or a repeated LLM tool call must not post the same write to METRC
+ * twice. When a write tool is called with `idempotency_key`, executeTool runs it through
+ * store.run(): the first call executes and its result is kept for a while; a later call with
+ * the same tenant, tool and key returns that result without calling METRC. A call that arrives
+ * while the first is still running waits for it. Reusing a key with different arguments is an
+ * error, so a key can never return the result of another payload.
+ *
+ * Failed calls are not kept, so a call that failed (e.g. a network error) can be retried with
+ * the same key. Keys live in memory per process/isolate.
+ *
+ * Uses process.env: METRC_IDEMPOTENCY_TTL_MS (how long results are kept, default 1 hour),
+ * METRC_IDEMPOTENCY_MAX_ENTRIES (default 1000).
+ */
+
+import { canonicalJson, payloadArgs } from './confirmation.js';
+
+const encoder = new TextEncoder();
+
+/** SHA-256 (hex) of the arguments that determine what a call writes. */
+export async function payloadHash(args) {
+  const digest = await crypto.subtle.digest('SHA-256', encoder.encode(canonicalJson(payloadArgs(args))));
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * In-memory idempotency store.
+ *
+ * @param {{ ttlMs?: number, maxEntries?: number }} [opts]
+ */
+export function createIdempotencyStore({
+  ttlMs = parseInt(process.env.METRC_IDEMPOTENCY_TTL_MS || String(60 * 60 * 1000), 10),
+  maxEntries = parseInt(process.env.METRC_IDEMPOTENCY_MAX_ENTRIES || '1000', 10),
+} = {}) {
+  const entries = new Map();
+
+  function prune(now) {
+    for (const [k, entry] of entries) {
+      if (entry.expires <= now) entries.delete(k);
+    }
+    while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+  }
+
+  return {
+    /**
+     * Run `execute` once per (scope, tool, key).
+     *
+     * @param {{ scope: string, tool: string, key: string, args: object }} call
+     * @param {() => Promise<any>} execute - Performs the write
+     * @returns {Promise<{ result: any, replayed: boolean }>}
+     */
+    async run({ scope, tool, key, args }, execute) {
+      const now = Date.now();
+      prune(now);
+      const id = `${scope}\n${tool}\n${key}`;
+      const hash = await payloadHash(args);
+      const existing = entries.get(id);
+      if (existing) {
+        if (existing.hash !== hash) {
+          throw new Error(`idempotency_key "${key}" was already used for ${tool} with different arguments. Use a new key for a different write.`);
+        }
+        return { result: await existing.promise, replayed: true };
+      }
+
+      const promise = execute();
+      entries.set(id, { hash, promise, expires: now + ttlMs });
+      try {
+        const result = await promise;
+        // Keep for the full TTL from completion, not from start
+        entries.set(id, { hash, promise: Promise.resolve(result), expires: Date.now() + ttlMs });
+        return { result, replayed: false };
+      } catch (err) {
+        entries.delete(id);
+        throw err;
+      }
+    },
+  };
+}
@@ -0,0 +1,215 @@
+/**
+ * MCP JSON-RPC dispatcher for the HTTP endpoint (api/mcp.js, serve.js).
+ *
+ * Mirrors what the SDK `Server` in server.js answers over stdio: initialize
+ * with capability negotiation, notifications/initialized, ping, tools/*,
+ * resources/* (metrc://skills/*) and prompts/*. Transport concerns (HTTP
+ * status, CORS, auth) stay in api/mcp.js; this module only maps one JSON-RPC
+ * message to one JSON-RPC response.
+ */
+
+import { SKILL_RESOURCES, SKILL_PROMPTS, readSkillResource, getSkillPrompt } from './skills.js';
+import { toolErrorResult } from './metrc-errors.js';
+import { describeCoercions } from './coerce.js';
+import { describeResultMeta } from './output-format.js';
+
+export const SERVER_INFO = { name: 'metrc-mcp-server', version: '0.1.0' };
+
+/** Protocol versions we can speak, newest first. */
+export const SUPPORTED_PROTOCOL_VERSIONS = ['2025-11-25', '2025-06-18', '2025-03-26', '2024-11-05'];
+
+export const SERVER_CAPABILITIES = { tools: {}, resources: {}, prompts: {} };
+
+export const JSONRPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  RESOURCE_NOT_FOUND: -32002,
+};
+
+/** Error carrying a JSON-RPC error code; thrown by method handlers. */
+export class JsonRpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.name = 'JsonRpcError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+/** Build a JSON-RPC error response. */
+export function errorResponse(id, code, message, data) {
+  const error = { code, message };
+  if (data !== undefined) error.data = data;
+  return { jsonrpc: '2.0', id: id ?? null, error };
+}
+
+/** Pick the protocol version for an initialize request. */
+export function negotiateProtocolVersion(requested) {
+  return SUPPORTED_PROTOCOL_VERSIONS.includes(requested) ? requested : SUPPORTED_PROTOCOL_VERSIONS[0];
+}
+
+/**
+ * Create a dispatcher bound to a tool backend and a skill loader.
+ *
+ * @param {object} deps
+ * @param {() => object[]} deps.listTools - Tool definitions (MCP format)
+ * @param {(name: string, args: object, context?: object) => Promise<string>} deps.executeTool - Runs a tool, returns text
+ * @param {(file: URL) => Promise<string>} deps.loadSkill - Reads a skill markdown file
+ * @returns {(message: object, options?: { notify?: Function, context?: object }) => Promise<object|null>}
+ *   Resolves to a response, or null for notifications. A message without `jsonrpc` is accepted
+ *   (and answered even without an id, as the endpoint did before JSON-RPC). `notify` receives
+ *   server-to-client notifications (progress) when the transport can stream them.
+ *   `context` is request-scoped tool context (e.g. credentials, tenant) handed to executeTool.
+ */
+export function createMcpDispatcher({ listTools, executeTool, loadSkill }) {
+  const methods = {
+    initialize: async (params) => {
+      const protocolVersion = negotiateProtocolVersion(params?.protocolVersion);
+      const client = params?.clientInfo?.name ? ` from ${params.clientInfo.name}` : '';
+      console.log(`[MCP] initialize${client} → ${protocolVersion}`);
+      return { protocolVersion, capabilities: SERVER_CAPABILITIES, serverInfo: SERVER_INFO };
+    },
+
+    ping: async () => ({}),
+
+    'tools/list': async () => {
+      const startMs = Date.now();
+      const tools = listTools();
+      console.log(`[MCP] tools/list → ${tools.length} tools (${Date.now() - startMs}ms)`);
+      return { tools };
+    },
+
+    'tools/call': async (params, { notify, context = {} } = {}) => {
+      const name = params?.name;
+      const args = params?.arguments ?? {};
+      if (!name || typeof name !== 'string') {
+        console.log(`[MCP] tools/call → ERROR missing tool name`);
+        throw new JsonRpcError(JSONRPC_ERRORS.INVALID_PARAMS, 'Missing tool name');
+      }
+      const startMs = Date.now();
+      const who = context.tenant ? ` [tenant ${context.tenant}]` : '';
+      const progressToken = params?._meta?.progressToken;
+      const onProgress = progressToken !== undefined && notify
+        ? (progress, total, message) => notify({
+          jsonrpc: '2.0',
+          method: 'notifications/progress',
+          params: { progressToken, progress, ...(total != null && { total }), ...(message && { message }) },
+        })
+        : undefined;
+      let coercions = [];
+      const onCoerce = (changes) => { coercions = changes; };
+      let resultMeta = null;
+      const onResultMeta = (meta) => { resultMeta = meta; };
+      try {
+        const text = await executeTool(name, args, { ...context, onProgress, onCoerce, onResultMeta });
+        const resultLen = typeof text === 'string' ? text.length : 0;
+        console.log(`[MCP] tools/call ${name}${who} → OK ${resultLen} chars (${Date.now() - startMs}ms)`);
+        const content = [{ type: 'text', text }];
+        if (resultMeta) content.push({ type: 'text', text: describeResultMeta(resultMeta) });
+        if (coercions.length > 0) content.push({ type: 'text', text: describeCoercions(coercions) });
+        return { content };
+      } catch (err) {
+        const status = err.status ? ` ${err.status}` : '';
+        console.error(`[MCP] tools/call ${name}${who} → ERROR${status} (${Date.now() - startMs}ms)`);
+        return toolErrorResult(err);
+      }
+    },
+
+    'resources/list': async () => ({ resources: SKILL_RESOURCES }),
+
+    'resources/templates/list': async () => ({ resourceTemplates: [] }),
+
+    'resources/read': async (params) => {
+      try {
+        return await readSkillResource(params?.uri, loadSkill);
+      } catch (err) {
+        throw new JsonRpcError(JSONRPC_ERRORS.RESOURCE_NOT_FOUND, err.message, { uri: params?.uri ?? null });
+      }
+    },
+
+    'prompts/list': async () => ({ prompts: SKILL_PROMPTS }),
+
+    'prompts/get': async (params) => {
+      try {
+        return await getSkillPrompt(params?.name, params?.arguments ?? {}, loadSkill);
+      } catch (err) {
+        throw new JsonRpcError(JSONRPC_ERRORS.INVALID_PARAMS, err.message);
+      }
+    },
+  };
+
+  return async function dispatch(message, options = {}) {
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+      return errorResponse(null, JSONRPC_ERRORS.INVALID_REQUEST, 'Invalid Request');
+    }
+    const { jsonrpc, method, params } = message;
+    if ((jsonrpc !== undefined && jsonrpc !== '2.0') || typeof method !== 'string') {
+      return errorResponse(message.id ?? null, JSONRPC_ERRORS.INVALID_REQUEST, 'Invalid Request');
+    }
+    // Before it spoke JSON-RPC this endpoint took bare { method, params } bodies and answered them
+    // with id 1; such callers (no jsonrpc, no id) are still answered rather than treated as notifications
+    const legacy = jsonrpc === undefined && message.id === undefined && !method.startsWith('notifications/');
+    const id = legacy ? 1 : message.id;
+
+    // Notifications (notifications/initialized, notifications/cancelled, ...) never get a response.
+    // A JSON-RPC request sent without an id is treated the same way rather than executed blindly.
+    if (id === undefined) return null;
+
+    const fn = methods[method];
+    if (!fn) {
+      console.log(`[MCP] unknown method: ${method}`);
+      return errorResponse(id, JSONRPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+    try {
+      const result = await fn(params, options);
+      return { jsonrpc: '2.0', id, result };
+    } catch (err) {
+      if (err instanceof JsonRpcError) return errorResponse(id, err.code, err.message, err.data);
+      console.error(`[MCP] ${method} → internal error: ${err.message}`);
+      return errorResponse(id, JSONRPC_ERRORS.INTERNAL_ERROR, 'Internal error');
+    }
+  };
+}
+
+/**
+ * Run `fn` over `items` with at most `limit` in flight; results keep input order.
+ * A `limit` that is not a positive number runs one at a time.
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const width = Math.floor(limit) >= 1 ? Math.min(Math.floor(limit), items.length) : 1;
+  const workers = Array.from({ length: width }, async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Dispatch a JSON-RPC batch (array body). Independent calls run concurrently,
+ * capped at `concurrency`; responses come back in request order with
+ * notifications omitted. `initialize` must be sent on its own, not in a batch.
+ *
+ * @param {object[]} messages - Batch array
+ * @param {Function} dispatch - From createMcpDispatcher
+ * @param {{ concurrency?: number, notify?: Function, context?: object, onResponse?: Function }} [options]
+ *   `onResponse` receives each response as soon as its call finishes (completion order), for streaming
+ * @returns {Promise<object[]>} Responses (empty when the batch held only notifications)
+ */
+export async function dispatchBatch(messages, dispatch, { concurrency = 4, notify, context, onResponse } = {}) {
+  const responses = await mapWithConcurrency(messages, concurrency, async (message) => {
+    const response = message?.method === 'initialize'
+      ? errorResponse(message.id, JSONRPC_ERRORS.INVALID_REQUEST, 'initialize must not be part of a batch')
+      : await dispatch(message, { notify, context });
+    if (response !== null) onResponse?.(response);
+    return response;
+  });
+  return responses.filter((r) => r !== null);
+}
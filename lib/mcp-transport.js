@@ -0,0 +1,98 @@
+/**
+ * MCP Streamable HTTP transport helpers (sessions + SSE), Edge-safe.
+ *
+ * Used by api/mcp.js (and serve.js through it). Sessions live in an
+ * in-memory Map: on Railway (one long-lived process) they persist until idle
+ * expiry; on Vercel Edge they are per isolate, so clients that lose their
+ * session get a 404 and re-initialize, as the spec requires.
+ *
+ * Uses process.env: MCP_SESSION_TTL_MS (idle expiry, default 30 min).
+ */
+
+const SESSION_TTL_MS = parseInt(process.env.MCP_SESSION_TTL_MS || String(30 * 60 * 1000), 10);
+
+const sessions = new Map();
+
+const encoder = new TextEncoder();
+
+function pruneExpired(now = Date.now()) {
+  for (const [id, session] of sessions) {
+    if (now - session.lastSeen > SESSION_TTL_MS) closeSession(id);
+  }
+}
+
+/**
+ * Create a session after a successful initialize. `credentials`/`tenant`
+ * (from lib/credentials.js) bind the session to one METRC account.
+ */
+export function createSession({ protocolVersion, clientInfo, credentials = null, tenant = null } = {}) {
+  pruneExpired();
+  const id = crypto.randomUUID();
+  const now = Date.now();
+  sessions.set(id, {
+    id, protocolVersion, clientInfo, credentials, tenant, createdAt: now, lastSeen: now,
+  });
+  return sessions.get(id);
+}
+
+/** Look up a live session and refresh its idle timer. Returns null when unknown or expired. */
+export function getSession(id) {
+  if (!id) return null;
+  const session = sessions.get(id);
+  if (!session) return null;
+  if (Date.now() - session.lastSeen > SESSION_TTL_MS) {
+    closeSession(id);
+    return null;
+  }
+  session.lastSeen = Date.now();
+  return session;
+}
+
+/** Terminate a session. */
+export function closeSession(id) {
+  return sessions.delete(id);
+}
+
+/** Encode one JSON-RPC message as an SSE event. */
+export function sseEvent(message) {
+  return encoder.encode(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+}
+
+/**
+ * SSE stream that answers one POST: emits notifications (e.g. progress)
+ * while `run` works, then the final response, then closes.
+ *
+ * `notify` never throws: when the client drops the connection mid-call, `run` keeps going and
+ * its outcome stands (a write METRC accepted must not turn into a failure, or a retry with the
+ * same idempotency_key would post it again); the messages are simply not delivered.
+ *
+ * @param {(notify: (message: object) => void) => Promise<object|null>} run
+ * @returns {ReadableStream<Uint8Array>}
+ */
+export function createResponseStream(run) {
+  let open = true;
+  return new ReadableStream({
+    async start(controller) {
+      const notify = (message) => {
+        if (!open) return;
+        try {
+          controller.enqueue(sseEvent(message));
+        } catch {
+          open = false;
+        }
+      };
+      try {
+        const response = await run(notify);
+        if (response) notify(response);
+      } finally {
+        if (open) {
+          open = false;
+          try { controller.close(); } catch {}
+        }
+      }
+    },
+    cancel() {
+      open = false;
+    },
+  });
+}
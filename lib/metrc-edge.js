@@ -3,53 +3,56 @@
  *
  * Tool definitions and execution logic are imported from shared modules
  * (lib/tools.js, lib/tool-executor.js). This file provides:
- *   1. Edge-safe metrcFetch (auth via @f8ai/metrc-client)
+ *   1. Edge-safe metrcFetch (lib/metrc-http.js), bound to env or per-request credentials
+ *      and routed to each license's state API (lib/metrc-routing.js)
  *   2. Re-exports for backwards compatibility with api/mcp.js and api/chat.js
  *
- * Uses process.env: METRC_API_URL, METRC_VENDOR_API_KEY, METRC_USER_API_KEY.
+ * Uses process.env: METRC_API_URL, METRC_VENDOR_API_KEY, METRC_USER_API_KEY,
+ * METRC_STATES (see lib/metrc-routing.js), METRC_REQUIRE_REQUEST_CREDENTIALS (when "true", env keys are never used and
+ * every tool call must carry its own credentials — for multi-tenant hosting).
  */
 
-import { encodeBasicAuth } from '@f8ai/metrc-client';
 import { getToolsList as _getToolsList, getOpenAITools as _getOpenAITools } from './tools.js';
 import { executeTool as _executeTool } from './tool-executor.js';
+import { VENDOR_KEY_HEADER, USER_KEY_HEADER } from './credentials.js';
+import { encodeBasicAuth } from '@f8ai/metrc-client';
+import { createMetrcFetch as createHttpFetch } from './metrc-http.js';
+import { createLicenseResolver, createRoutingMetrcFetch } from './metrc-routing.js';
 
-const BASE = process.env.METRC_API_URL || 'https://sandbox-api-co.metrc.com';
-const VENDOR = process.env.METRC_VENDOR_API_KEY || '';
-const USER = process.env.METRC_USER_API_KEY || '';
+const resolveLicense = createLicenseResolver();
+const REQUIRE_REQUEST_CREDENTIALS = process.env.METRC_REQUIRE_REQUEST_CREDENTIALS === 'true';
 
-/** Edge-safe METRC API fetch with Basic auth. */
-export async function metrcFetch(path, params = {}, options = {}) {
-  if (!VENDOR || !USER) {
-    throw new Error(
-      'METRC credentials required. Set METRC_VENDOR_API_KEY and METRC_USER_API_KEY in environment.'
-    );
-  }
-  const url = new URL(path, BASE);
-  Object.entries(params).forEach(([k, v]) => url.searchParams.set(k, String(v)));
-  const init = {
-    method: options.method || 'GET',
-    headers: { Authorization: encodeBasicAuth(VENDOR, USER) },
-  };
-  if (options.body !== undefined) {
-    init.headers['Content-Type'] = 'application/json';
-    init.body = JSON.stringify(options.body);
-  }
-  const res = await fetch(url.toString(), init);
-  const text = await res.text();
-  if (!res.ok) throw new Error(`Metrc API error ${res.status}`);
-  try {
-    return JSON.parse(text);
-  } catch {
-    return text;
-  }
+/** Retries, timeouts and rate limiting live in the shared client (lib/metrc-http.js). */
+export function createMetrcFetch(config) {
+  return createHttpFetch({ ...config, encodeAuth: encodeBasicAuth });
 }
 
+/** Edge-safe METRC API fetch with Basic auth from environment credentials, routed by license state. */
+export const metrcFetch = createRoutingMetrcFetch(createMetrcFetch, resolveLicense);
+
 // Re-export tool list functions (backwards-compatible with api/mcp.js and api/chat.js)
 export const TOOLS = _getToolsList();
 export const getToolsList = _getToolsList;
 export const getOpenAITools = _getOpenAITools;
 
-/** Execute a tool using the edge-safe metrcFetch. */
-export async function executeTool(name, args = {}) {
-  return _executeTool(name, args, metrcFetch);
+/**
+ * Execute a tool using the edge-safe metrcFetch. `context` is passed through (e.g. onProgress).
+ * `context.credentials` ({ vendorKey, userKey }) scopes the call to the caller's METRC account
+ * (still routed to the license's state API); without it the env credentials are used unless
+ * METRC_REQUIRE_REQUEST_CREDENTIALS is set.
+ */
+export async function executeTool(name, args = {}, context = {}) {
+  const { credentials, ...rest } = context;
+  let fetchFn = metrcFetch;
+  if (credentials) {
+    fetchFn = createRoutingMetrcFetch(
+      ({ baseUrl }) => createMetrcFetch({ baseUrl, ...credentials }),
+      resolveLicense
+    );
+  } else if (REQUIRE_REQUEST_CREDENTIALS) {
+    fetchFn = async () => {
+      throw new Error(`METRC credentials required. Send ${VENDOR_KEY_HEADER} and ${USER_KEY_HEADER} headers.`);
+    };
+  }
+  return _executeTool(name, args, fetchFn, rest);
 }
@@ -0,0 +1,117 @@
+/**
+ * Structured METRC API errors (Edge-safe).
+ *
+ * METRC reports failures in a few shapes:
+ *   - an array of per-row messages: [{ "row": 0, "message": "Package ... not found" }]
+ *   - ASP.NET ModelState: { "Message": "The request is invalid.", "ModelState": { "request[2].Quantity": ["..."] } }
+ *   - { "Message": "..." } or plain text
+ * parseMetrcErrorBody() normalizes all of them into `{ row, field, message }` entries so a
+ * caller can tell which item of a bulk request failed. MetrcApiError carries them along with
+ * status, method and endpoint; toolErrorResult() turns any thrown error into an MCP tool result
+ * with `isError` and machine-readable `structuredContent`.
+ */
+
+const MODEL_STATE_ROW = /\[(\d+)\]/;
+
+/**
+ * Parse a METRC error response body.
+ *
+ * @param {string} text - Raw response body
+ * @returns {{ summary: string|null, errors: Array<{ row: number|null, field: string|null, message: string }> }}
+ */
+export function parseMetrcErrorBody(text) {
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch {
+    const trimmed = String(text ?? '').trim();
+    return { summary: trimmed || null, errors: trimmed ? [{ row: null, field: null, message: trimmed }] : [] };
+  }
+
+  if (Array.isArray(body)) {
+    return {
+      summary: null,
+      errors: body.map((e) => ({
+        row: Number.isInteger(e?.row ?? e?.Row) ? (e.row ?? e.Row) : null,
+        field: null,
+        message: String(e?.message ?? e?.Message ?? JSON.stringify(e)),
+      })),
+    };
+  }
+
+  if (body && typeof body === 'object') {
+    const summary = body.Message ?? body.message ?? null;
+    const modelState = body.ModelState ?? body.modelState ?? body.errors;
+    const errors = [];
+    if (modelState && typeof modelState === 'object') {
+      for (const [key, messages] of Object.entries(modelState)) {
+        const rowMatch = key.match(MODEL_STATE_ROW);
+        const field = key.replace(/^request(\[\d+\])?\.?/, '') || null;
+        for (const message of [].concat(messages)) {
+          errors.push({ row: rowMatch ? Number(rowMatch[1]) : null, field, message: String(message) });
+        }
+      }
+    }
+    if (errors.length === 0 && summary) errors.push({ row: null, field: null, message: String(summary) });
+    return { summary, errors };
+  }
+
+  return { summary: String(body), errors: [{ row: null, field: null, message: String(body) }] };
+}
+
+/** A non-2xx METRC response, with per-row details when METRC provided them. */
+export class MetrcApiError extends Error {
+  /**
+   * @param {object} info
+   * @param {number} info.status - HTTP status
+   * @param {string} info.method - HTTP method
+   * @param {string} info.endpoint - Request path (no query string, so no license or keys)
+   * @param {string} [info.body] - Raw response body
+   */
+  constructor({ status, method, endpoint, body = '' }) {
+    const { summary, errors } = parseMetrcErrorBody(body);
+    const details = errors
+      .map((e) => `${e.row != null ? `row ${e.row}: ` : ''}${e.field ? `${e.field}: ` : ''}${e.message}`)
+      .join('; ');
+    super(`METRC ${method} ${endpoint} failed (${status})${details ? `: ${details}` : summary ? `: ${summary}` : ''}`);
+    this.name = 'MetrcApiError';
+    this.status = status;
+    this.method = method;
+    this.endpoint = endpoint;
+    this.summary = summary;
+    this.errors = errors;
+  }
+
+  /** Row indexes (into the request body array) that METRC rejected. */
+  get failedRows() {
+    return [...new Set(this.errors.map((e) => e.row).filter((r) => r != null))];
+  }
+
+  toJSON() {
+    return {
+      error: this.name,
+      status: this.status,
+      method: this.method,
+      endpoint: this.endpoint,
+      message: this.summary ?? this.message,
+      failedRows: this.failedRows,
+      errors: this.errors,
+    };
+  }
+}
+
+/**
+ * Convert a thrown error into an MCP CallToolResult.
+ * Text stays `Error: <message>` (what chat UIs and LLMs read); `structuredContent`
+ * carries the machine-readable details.
+ */
+export function toolErrorResult(err) {
+  const structuredContent = typeof err?.toJSON === 'function'
+    ? err.toJSON()
+    : { error: err?.name || 'Error', message: err?.message ?? String(err) };
+  return {
+    content: [{ type: 'text', text: `Error: ${err?.message ?? String(err)}` }],
+    structuredContent,
+    isError: true,
+  };
+}
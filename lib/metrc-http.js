@@ -0,0 +1,152 @@
+/**
+ * Shared resilient METRC HTTP client (Edge-safe; used by server.js,
+ * lib/metrc-edge.js and scripts/lib/metrc-fetch.mjs).
+ *
+ *   - 429: waits for Retry-After (seconds or HTTP date), then retries — any method,
+ *     since a throttled request was not processed.
+ *   - 5xx, network errors and timeouts: retried with exponential backoff for GET only;
+ *     a write that may have reached METRC is never replayed.
+ *   - Timeout: each attempt is aborted after `timeoutMs`.
+ *   - Token bucket per base URL + license so bursts from the chat loop or bulk
+ *     tools queue locally instead of tripping METRC's rate limit.
+ *   - Non-2xx responses throw MetrcApiError (lib/metrc-errors.js) with METRC's per-row messages.
+ *
+ * The Authorization header comes from the caller's `encodeAuth`: server.js and lib/metrc-edge.js pass
+ * @f8ai/metrc-client's encodeBasicAuth, while the scripts encode it themselves so they run without
+ * that package (it is served from the GitHub package registry and needs NPM_TOKEN to install).
+ *
+ * Uses process.env (defaults): METRC_TIMEOUT_MS (30000), METRC_MAX_RETRIES (3),
+ * METRC_RATE_LIMIT_PER_SECOND (10), METRC_RATE_LIMIT_BURST (20).
+ */
+
+import { redactSecrets } from './credentials.js';
+import { MetrcApiError } from './metrc-errors.js';
+
+// Read when a client is created, not at import, so server.js's .env loading is honored
+function envDefaults() {
+  return {
+    timeoutMs: parseInt(process.env.METRC_TIMEOUT_MS || '30000', 10),
+    maxRetries: parseInt(process.env.METRC_MAX_RETRIES || '3', 10),
+    rateLimit: {
+      perSecond: parseFloat(process.env.METRC_RATE_LIMIT_PER_SECOND || '10'),
+      burst: parseInt(process.env.METRC_RATE_LIMIT_BURST || '20', 10),
+    },
+  };
+}
+const INITIAL_BACKOFF_MS = 500;
+const MAX_RETRY_AFTER_MS = 60_000;
+
+// Shared across clients so every tenant/runtime in this process respects the same per-license budget
+const buckets = new Map();
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/** Take one token for `key`, waiting when the bucket is empty. Callers queue in arrival order. */
+async function takeToken(key, { perSecond, burst }) {
+  if (!(perSecond > 0)) return;
+  const now = Date.now();
+  const bucket = buckets.get(key) || { tokens: burst, updated: now };
+  bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.updated) / 1000) * perSecond);
+  bucket.updated = now;
+  bucket.tokens -= 1;
+  buckets.set(key, bucket);
+  if (bucket.tokens < 0) await sleep((-bucket.tokens / perSecond) * 1000);
+}
+
+/** Parse a Retry-After header (delta-seconds or HTTP date) into milliseconds. */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function backoffMs(attempt) {
+  const base = INITIAL_BACKOFF_MS * Math.pow(2, attempt);
+  return base + Math.floor(Math.random() * base * 0.25);
+}
+
+/**
+ * Create a METRC API fetch bound to one base URL and credential pair.
+ *
+ * @param {object} config
+ * @param {string} config.baseUrl - e.g. https://sandbox-api-co.metrc.com
+ * @param {string} config.vendorKey
+ * @param {string} config.userKey
+ * @param {(vendorKey: string, userKey: string) => string} config.encodeAuth - Builds the Basic Authorization header
+ * @param {number} [config.timeoutMs] - Per-attempt timeout
+ * @param {number} [config.maxRetries] - Retries after the first attempt
+ * @param {{ perSecond: number, burst: number }} [config.rateLimit] - Token bucket per license (perSecond 0 disables)
+ * @returns {(path: string, params?: object, options?: { method?: string, body?: any, onResponse?: Function }) => Promise<any>}
+ *   `onResponse({ status, attempt })` is called for every HTTP response (used by the audit journal)
+ */
+export function createMetrcFetch({ baseUrl, vendorKey, userKey, encodeAuth, ...overrides }) {
+  const { timeoutMs, maxRetries, rateLimit } = { ...envDefaults(), ...overrides };
+  const authorization = vendorKey && userKey ? encodeAuth(vendorKey, userKey) : null;
+  const scrub = (text) => redactSecrets(text, [vendorKey, userKey]);
+
+  return async function metrcFetch(path, params = {}, options = {}) {
+    if (!authorization) {
+      throw new Error(
+        'METRC credentials required. Set METRC_VENDOR_API_KEY and METRC_USER_API_KEY in .env or environment.'
+      );
+    }
+    const url = new URL(path, baseUrl);
+    Object.entries(params).forEach(([k, v]) => url.searchParams.set(k, String(v)));
+    const method = (options.method || 'GET').toUpperCase();
+    const idempotent = method === 'GET';
+    const headers = { Authorization: authorization };
+    let body;
+    if (options.body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+      body = JSON.stringify(options.body);
+    }
+    const bucketKey = `${url.origin}|${params.licenseNumber || '-'}`;
+
+    for (let attempt = 0; ; attempt++) {
+      await takeToken(bucketKey, rateLimit);
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeoutMs);
+      let res;
+      let text;
+      try {
+        res = await fetch(url.toString(), { method, headers, body, signal: controller.signal });
+        text = await res.text();
+        options.onResponse?.({ status: res.status, attempt });
+      } catch (err) {
+        const reason = err.name === 'AbortError' ? `timed out after ${timeoutMs}ms` : scrub(err.message);
+        if (idempotent && attempt < maxRetries) {
+          await sleep(backoffMs(attempt));
+          continue;
+        }
+        throw new Error(`METRC ${method} ${url.pathname} failed: ${reason}`);
+      } finally {
+        clearTimeout(timer);
+      }
+
+      if (res.ok) {
+        try {
+          return JSON.parse(text);
+        } catch {
+          return text;
+        }
+      }
+
+      if (res.status === 429 && attempt < maxRetries) {
+        const wait = parseRetryAfter(res.headers.get('retry-after')) ?? backoffMs(attempt);
+        if (wait <= MAX_RETRY_AFTER_MS) {
+          await sleep(wait);
+          continue;
+        }
+      }
+      if (res.status >= 500 && idempotent && attempt < maxRetries) {
+        await sleep(backoffMs(attempt));
+        continue;
+      }
+      throw new MetrcApiError({ status: res.status, method, endpoint: url.pathname, body: scrub(text) });
+    }
+  };
+}
@@ -0,0 +1,114 @@
+/**
+ * Multi-state METRC routing by license number (Edge-safe).
+ *
+ * Each tool call is sent to the API base of the state its `licenseNumber`
+ * belongs to. Sandbox licenses carry the state in the tag
+ * (SF-SBX-MA-4-3301 → MA sandbox); production licenses are matched by the
+ * per-state `licensePrefixes` in METRC_STATES. Calls without a license, or with
+ * a license we cannot place, use the default target (METRC_API_URL + env keys),
+ * so single-state setups behave exactly as before.
+ *
+ * Uses process.env:
+ *   METRC_API_URL, METRC_VENDOR_API_KEY, METRC_USER_API_KEY — default target
+ *   METRC_DEFAULT_STATE — state served by METRC_API_URL when its host does not say (e.g. a proxy)
+ *   METRC_STATES — JSON map of state → { baseUrl?, sandboxBaseUrl?, vendorKey?, userKey?, licensePrefixes? }
+ *   METRC_VENDOR_API_KEY_<ST>, METRC_USER_API_KEY_<ST> — per-state keys (METRC vendor keys are state-specific)
+ */
+
+const DEFAULT_BASE = 'https://sandbox-api-co.metrc.com';
+const SANDBOX_LICENSE = /^SF-SBX-([A-Z]{2})-/i;
+const METRC_HOST = /^(sandbox-)?api-([a-z]{2})\.metrc\.com$/i;
+
+/** Parse METRC_STATES; invalid JSON, or JSON that is not an object of states, is reported once and ignored. */
+export function loadStateConfig(env = process.env) {
+  if (!env.METRC_STATES) return {};
+  try {
+    const parsed = JSON.parse(env.METRC_STATES);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('expected a JSON object of state → { baseUrl, licensePrefixes, ... }');
+    }
+    return Object.fromEntries(Object.entries(parsed).map(([st, cfg]) => [st.toUpperCase(), cfg && typeof cfg === 'object' ? cfg : {}]));
+  } catch (err) {
+    console.error(`[METRC] Ignoring METRC_STATES: ${err.message}`);
+    return {};
+  }
+}
+
+/** Infer { state, environment } from a METRC API base URL (e.g. https://sandbox-api-co.metrc.com). */
+export function describeBaseUrl(baseUrl) {
+  try {
+    const m = new URL(baseUrl).hostname.match(METRC_HOST);
+    if (m) return { state: m[2].toUpperCase(), environment: m[1] ? 'sandbox' : 'production' };
+  } catch {}
+  return null;
+}
+
+/**
+ * Create a resolver that maps a license number to a METRC target.
+ *
+ * @param {object} [env] - Defaults to process.env
+ * @returns {(licenseNumber?: string) => { state: string|null, environment: string|null, baseUrl: string, vendorKey: string, userKey: string }}
+ */
+export function createLicenseResolver(env = process.env) {
+  const states = loadStateConfig(env);
+  const described = describeBaseUrl(env.METRC_API_URL || DEFAULT_BASE);
+  const defaultTarget = {
+    state: described?.state || env.METRC_DEFAULT_STATE?.toUpperCase() || null,
+    environment: described?.environment || null,
+    baseUrl: env.METRC_API_URL || DEFAULT_BASE,
+    vendorKey: env.METRC_VENDOR_API_KEY || '',
+    userKey: env.METRC_USER_API_KEY || '',
+  };
+
+  const placeLicense = (license) => {
+    const sandbox = license.match(SANDBOX_LICENSE);
+    if (sandbox) return { state: sandbox[1].toUpperCase(), environment: 'sandbox' };
+    for (const [state, cfg] of Object.entries(states)) {
+      const prefixes = Array.isArray(cfg.licensePrefixes) ? cfg.licensePrefixes : [];
+      if (prefixes.some((p) => license.toUpperCase().startsWith(String(p).toUpperCase()))) {
+        return { state, environment: 'production' };
+      }
+    }
+    return null;
+  };
+
+  return function resolveLicense(licenseNumber) {
+    const placed = licenseNumber ? placeLicense(String(licenseNumber).trim()) : null;
+    if (!placed) return defaultTarget;
+    // Same state (and environment, when known) as METRC_API_URL: keep the configured base (may be a proxy)
+    if (placed.state === defaultTarget.state && (!defaultTarget.environment || placed.environment === defaultTarget.environment)) {
+      return defaultTarget;
+    }
+    const { state, environment } = placed;
+    const cfg = states[state] || {};
+    const st = state.toLowerCase();
+    const baseUrl = environment === 'sandbox'
+      ? cfg.sandboxBaseUrl || `https://sandbox-api-${st}.metrc.com`
+      : cfg.baseUrl || `https://api-${st}.metrc.com`;
+    return {
+      state,
+      environment,
+      baseUrl,
+      vendorKey: cfg.vendorKey || env[`METRC_VENDOR_API_KEY_${state}`] || defaultTarget.vendorKey,
+      userKey: cfg.userKey || env[`METRC_USER_API_KEY_${state}`] || defaultTarget.userKey,
+    };
+  };
+}
+
+/**
+ * Wrap a fetch factory so each call goes to the target for its licenseNumber.
+ * One underlying fetch is created per distinct base URL + key pair and reused.
+ *
+ * @param {(target: { baseUrl: string, vendorKey: string, userKey: string }) => Function} createFetch
+ * @param {(licenseNumber?: string) => object} resolveLicense - From createLicenseResolver
+ * @returns {(path: string, params?: object, options?: object) => Promise<any>}
+ */
+export function createRoutingMetrcFetch(createFetch, resolveLicense) {
+  const fetchers = new Map();
+  return function routedFetch(path, params = {}, options = {}) {
+    const target = resolveLicense(params.licenseNumber);
+    const key = `${target.baseUrl}\n${target.vendorKey}\n${target.userKey}`;
+    if (!fetchers.has(key)) fetchers.set(key, createFetch(target));
+    return fetchers.get(key)(path, params, options);
+  };
+}
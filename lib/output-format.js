@@ -0,0 +1,107 @@
+/**
+ * Dense output formats for read tool results (Edge-safe).
+ *
+ * Pretty JSON repeats every key on every row, roughly tripling the tokens a package
+ * or plant list costs. formatResult() renders a result as:
+ *
+ *   json      — pretty-printed JSON (default, unchanged behavior)
+ *   compact   — minified JSON
+ *   csv       — one header row + one row per record (RFC 4180 quoting)
+ *   markdown  — a GitHub-flavored markdown table
+ *
+ * Tabular formats flatten nested objects to dotted columns (Item.Name) and JSON-encode
+ * arrays. The other fields of a METRC { Data: [...] } envelope (Total, Notice, ...) render
+ * as `key: value` lines above a markdown table; CSV stays pure CSV, so they go to the
+ * caller's `onMeta` instead (shown next to the result, see describeResultMeta()). A single
+ * record renders as a field/value table.
+ */
+
+export const OUTPUT_FORMATS = ['json', 'compact', 'csv', 'markdown'];
+
+function flatten(record, prefix = '', out = {}) {
+  for (const [key, value] of Object.entries(record)) {
+    const column = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) flatten(value, column, out);
+    else out[column] = value;
+  }
+  return out;
+}
+
+function cellText(value) {
+  if (value == null) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function toTable(rows) {
+  const flat = rows.map((row) => (row && typeof row === 'object' ? flatten(row) : { value: row }));
+  const columns = [];
+  const seen = new Set();
+  for (const row of flat) {
+    for (const key of Object.keys(row)) {
+      if (!seen.has(key)) {
+        seen.add(key);
+        columns.push(key);
+      }
+    }
+  }
+  return { columns, cells: flat.map((row) => columns.map((c) => cellText(row[c]))) };
+}
+
+function csvCell(text) {
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function renderCsv({ columns, cells }) {
+  return [columns, ...cells].map((row) => row.map(csvCell).join(',')).join('\n');
+}
+
+function mdCell(text) {
+  return text.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function renderMarkdown({ columns, cells }) {
+  if (columns.length === 0) return '_No records._';
+  const line = (row) => `| ${row.map(mdCell).join(' | ')} |`;
+  return [line(columns), line(columns.map(() => '---')), ...cells.map(line)].join('\n');
+}
+
+/**
+ * Render a parsed tool result in the requested format.
+ *
+ * @param {any} data - Parsed METRC response (after shaping)
+ * @param {string} [format] - One of OUTPUT_FORMATS; defaults to json
+ * @param {object} [opts]
+ * @param {(meta: object) => void} [opts.onMeta] - csv: receives the envelope fields that are not rows
+ * @returns {string}
+ */
+export function formatResult(data, format = 'json', { onMeta } = {}) {
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`output_format must be one of ${OUTPUT_FORMATS.join(', ')}, got "${format}"`);
+  }
+  if (typeof data === 'string') return data;
+  if (format === 'json') return JSON.stringify(data, null, 2);
+  if (format === 'compact') return JSON.stringify(data);
+
+  const render = format === 'csv' ? renderCsv : renderMarkdown;
+  if (Array.isArray(data)) return render(toTable(data));
+  if (data && typeof data === 'object' && Array.isArray(data.Data)) {
+    const { Data, ...meta } = data;
+    if (format === 'csv') {
+      if (Object.keys(meta).length > 0) onMeta?.(meta);
+      return render(toTable(Data));
+    }
+    const header = Object.entries(meta).map(([k, v]) => `${k}: ${cellText(v)}`);
+    return [...header, ...(header.length ? [''] : []), render(toTable(Data))].join('\n');
+  }
+  if (data && typeof data === 'object') {
+    const flat = flatten(data);
+    return render({ columns: ['field', 'value'], cells: Object.entries(flat).map(([k, v]) => [k, cellText(v)]) });
+  }
+  return cellText(data);
+}
+
+/** One-line summary of the envelope fields a CSV result left out, for the tool result. */
+export function describeResultMeta(meta) {
+  return `Result metadata: ${Object.entries(meta).map(([k, v]) => `${k}: ${cellText(v)}`).join('; ')}`;
+}
@@ -0,0 +1,70 @@
+/**
+ * `all_pages` support for METRC list tools (Edge-safe).
+ *
+ * METRC v2 list endpoints return an envelope: { Data, Total, PageSize, TotalPages, ... }.
+ * createPagingFetch() wraps a metrcFetch so the tool's single GET becomes a walk over
+ * every page, merged into one envelope. A hard cap keeps very large facilities from
+ * flooding the model's context; when it is hit the result says so.
+ *
+ * Uses process.env: METRC_ALL_PAGES_MAX (hard cap on pages per call, default 50).
+ */
+
+export const DEFAULT_MAX_PAGES = 10;
+
+function hardCap() {
+  return Math.max(1, parseInt(process.env.METRC_ALL_PAGES_MAX || '50', 10) || 50);
+}
+
+function isEnvelope(res) {
+  return res && typeof res === 'object' && !Array.isArray(res) && Array.isArray(res.Data);
+}
+
+/**
+ * Wrap `metrcFetch` so GET calls fetch every page and return a merged envelope.
+ *
+ * @param {Function} metrcFetch - (path, params?, options?) => Promise<any>
+ * @param {object} [opts]
+ * @param {number} [opts.maxPages] - Requested page limit (clamped to METRC_ALL_PAGES_MAX)
+ * @param {(progress: number, total?: number, message?: string) => void} [opts.onProgress]
+ * @returns {Function} Same signature as metrcFetch
+ */
+export function createPagingFetch(metrcFetch, { maxPages = DEFAULT_MAX_PAGES, onProgress = () => {} } = {}) {
+  const limit = Math.min(Math.max(1, Math.floor(maxPages) || DEFAULT_MAX_PAGES), hardCap());
+
+  return async function pagingFetch(path, params = {}, options = {}) {
+    if ((options.method || 'GET').toUpperCase() !== 'GET') return metrcFetch(path, params, options);
+
+    const startPage = Number(params.page) || 1;
+    const first = await metrcFetch(path, { ...params, page: startPage }, options);
+    if (!isEnvelope(first)) return first;
+
+    const totalPages = Number(first.TotalPages) || 1;
+    const lastPage = Math.min(totalPages, startPage + limit - 1);
+    const data = [...first.Data];
+    let fetchedThrough = startPage;
+    onProgress(1, lastPage - startPage + 1, `Fetched page ${startPage} of ${totalPages}`);
+
+    for (let page = startPage + 1; page <= lastPage; page++) {
+      const res = await metrcFetch(path, { ...params, page }, options);
+      if (!isEnvelope(res) || res.Data.length === 0) break;
+      data.push(...res.Data);
+      fetchedThrough = page;
+      onProgress(page - startPage + 1, lastPage - startPage + 1, `Fetched page ${page} of ${totalPages}`);
+    }
+
+    const pagesFetched = fetchedThrough - startPage + 1;
+    const truncated = fetchedThrough < totalPages;
+    const merged = {
+      Data: data,
+      Total: first.Total ?? first.TotalRecords ?? data.length,
+      TotalPages: totalPages,
+      PagesFetched: pagesFetched,
+      Truncated: truncated,
+    };
+    if (truncated) {
+      merged.Notice = `Returned ${data.length} records from pages ${startPage}-${fetchedThrough} of ${totalPages}. `
+        + `Call again with page=${fetchedThrough + 1} to continue, or narrow the query.`;
+    }
+    return merged;
+  };
+}
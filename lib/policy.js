@@ -0,0 +1,114 @@
+/**
+ * Per-deployment tool policy (Edge-safe): read-only mode and allow/deny lists.
+ *
+ * A policy decides which tools a deployment exposes. getToolsList()/getOpenAITools() hide
+ * disallowed tools and executeTool refuses them, so a hidden tool cannot be called by name.
+ *
+ * Rules:
+ *   - readOnly: only tools annotated readOnlyHint are allowed
+ *   - deny: matching tools are never allowed
+ *   - allow: when non-empty, only matching tools are allowed
+ * Entries are tool names or categories: read, write, destructive (from annotations) or a
+ * domain (packages, harvests, plants, plant_batches, items, strains, locations, tags,
+ * employees, transfers, sales, lab_tests, processing, waste, reference, sandbox).
+ *
+ * Uses process.env:
+ *   METRC_READ_ONLY ("true"), METRC_TOOL_ALLOW / METRC_TOOL_DENY (comma-separated),
+ *   METRC_TOOL_POLICY (JSON { readOnly, allow, deny }), METRC_TOOL_POLICY_FILE (same JSON in a file;
+ *   read by the Node servers via configureToolPolicy).
+ */
+
+// First match wins; order matters (tags and plant_batches before plants, transfers before packages)
+const DOMAINS = [
+  ['waste', /waste/],
+  ['tags', /tags/],
+  ['plant_batches', /plant_batch/],
+  ['plants', /plant/],
+  ['harvests', /harvest/],
+  ['lab_tests', /lab_test|for_testing/],
+  ['transfers', /transfer/],
+  ['packages', /package/],
+  ['sales', /sales/],
+  ['items', /item/],
+  ['strains', /strain/],
+  ['locations', /location/],
+  ['employees', /employee/],
+  ['processing', /processing/],
+  ['sandbox', /sandbox/],
+];
+
+const EMPTY_POLICY = Object.freeze({ readOnly: false, allow: [], deny: [] });
+
+let configured = null;
+let fromEnv = { key: null, policy: null };
+
+/** Categories a tool belongs to: its access class(es) plus its domain. */
+export function toolCategories(tool) {
+  const a = tool.annotations || {};
+  const categories = a.readOnlyHint ? ['read'] : ['write'];
+  if (a.destructiveHint) categories.push('destructive');
+  const domain = DOMAINS.find(([, re]) => re.test(tool.name));
+  categories.push(domain ? domain[0] : 'reference');
+  return categories;
+}
+
+function list(value) {
+  if (Array.isArray(value)) return value.map(String).map((s) => s.trim()).filter(Boolean);
+  return String(value || '').split(',').map((s) => s.trim()).filter(Boolean);
+}
+
+/**
+ * Build a policy from env (and optionally a policy file).
+ *
+ * @param {object} [env] - Defaults to process.env
+ * @param {{ readFile?: (path: string) => string }} [opts] - Node file reader for METRC_TOOL_POLICY_FILE
+ * @returns {{ readOnly: boolean, allow: string[], deny: string[] }}
+ */
+export function loadToolPolicy(env = process.env, { readFile } = {}) {
+  let fromJson = {};
+  try {
+    if (env.METRC_TOOL_POLICY_FILE && readFile) fromJson = JSON.parse(readFile(env.METRC_TOOL_POLICY_FILE));
+    else if (env.METRC_TOOL_POLICY) fromJson = JSON.parse(env.METRC_TOOL_POLICY);
+  } catch (err) {
+    // Fail closed: a broken policy must not expose write tools
+    console.error(`[METRC] Invalid tool policy (${err.message}); falling back to read-only`);
+    return { readOnly: true, allow: [], deny: [] };
+  }
+  return {
+    readOnly: env.METRC_READ_ONLY === 'true' || fromJson.readOnly === true,
+    allow: [...list(fromJson.allow), ...list(env.METRC_TOOL_ALLOW)],
+    deny: [...list(fromJson.deny), ...list(env.METRC_TOOL_DENY)],
+  };
+}
+
+/** Set the process-wide policy (Node servers call this with a file-backed policy). */
+export function configureToolPolicy(policy) {
+  configured = policy ? { ...EMPTY_POLICY, ...policy } : null;
+}
+
+/** The active policy: configured, else read from process.env (re-parsed only when it changes). */
+export function getToolPolicy() {
+  if (configured) return configured;
+  const env = process.env;
+  const key = [env.METRC_READ_ONLY, env.METRC_TOOL_ALLOW, env.METRC_TOOL_DENY, env.METRC_TOOL_POLICY].join('\n');
+  if (fromEnv.key !== key) fromEnv = { key, policy: loadToolPolicy(env) };
+  return fromEnv.policy;
+}
+
+/**
+ * Check one tool against a policy.
+ *
+ * @returns {{ allowed: boolean, reason?: string }}
+ */
+export function checkToolPolicy(tool, policy = getToolPolicy()) {
+  const names = [tool.name, ...toolCategories(tool)];
+  if (policy.readOnly && !tool.annotations?.readOnlyHint) {
+    return { allowed: false, reason: 'this deployment is read-only' };
+  }
+  const denied = names.find((n) => policy.deny.includes(n));
+  if (denied) return { allowed: false, reason: `denied by policy (${denied})` };
+  if (policy.allow.length > 0 && !names.some((n) => policy.allow.includes(n))) {
+    return { allowed: false, reason: 'not in the allowed tools for this deployment' };
+  }
+  return { allowed: true };
+}
@@ -0,0 +1,37 @@
+/**
+ * Progress reporting for one tool call (Edge-safe).
+ *
+ * MCP requires the progress value for a progressToken to increase with every notification.
+ * A call reports from several places: executeTool itself, each page of an all_pages walk
+ * (lib/pagination.js), each 24h window of a date range (lib/date-windows.js) and each step of
+ * a composite tool. createProgress() maps them all onto one fraction of the whole call
+ * (total 1): span() hands a part of the range to a nested reporter, and a value that does
+ * not move past the last one sent is dropped.
+ */
+
+function reporter(emit, from, to) {
+  const report = (progress, total = 1, message) => {
+    const fraction = Math.min(Math.max(progress / (total || 1), 0), 1);
+    emit(from + (to - from) * fraction, message);
+  };
+  /** Reporter whose 0..total covers [a, b] of this one. */
+  report.span = (a, b) => reporter(emit, from + (to - from) * a, from + (to - from) * b);
+  return report;
+}
+
+/**
+ * Wrap an onProgress callback so everything reported through it increases.
+ *
+ * @param {(progress: number, total?: number, message?: string) => void} [onProgress]
+ * @returns {((progress: number, total?: number, message?: string) => void) & { span: Function }}
+ *   Same signature as onProgress, plus span(from, to) for nested work
+ */
+export function createProgress(onProgress = () => {}) {
+  let last = -1;
+  return reporter((value, message) => {
+    const rounded = Math.round(value * 1e4) / 1e4;
+    if (rounded <= last) return;
+    last = rounded;
+    onProgress(rounded, 1, message);
+  }, 0, 1);
+}
@@ -0,0 +1,218 @@
+/**
+ * Combine and split packages (Edge-safe).
+ *
+ * METRC has no combine or split endpoint: both are a POST /packages/v2/ whose Ingredients
+ * draw quantity out of the source packages. planCombine() and planSplit() look up the
+ * sources, check them (exists, not finished, not on hold, units compatible, enough
+ * quantity left) and build the request body, so the caller never hand-writes Ingredients.
+ *
+ * Ingredients are expressed in each source package's own unit, converting from the unit
+ * the caller used (e.g. 1 Ounces out of a Grams package becomes 28.3495 Grams). Weight,
+ * volume and count units only convert within their own group. A combined package holds
+ * exactly the converted sum of its ingredients; a different `quantity` is rejected.
+ */
+
+import { MetrcApiError } from './metrc-errors.js';
+
+// Factor to the group's base unit (grams, milliliters, each)
+const UNIT_GROUPS = {
+  weight: { Grams: 1, Milligrams: 0.001, Kilograms: 1000, Ounces: 28.349523125, Pounds: 453.59237 },
+  volume: { Milliliters: 1, Liters: 1000, 'Fluid Ounces': 29.5735295625, Pints: 473.176473, Quarts: 946.352946, Gallons: 3785.411784 },
+  count: { Each: 1 },
+};
+
+// Quantities are compared with this tolerance so unit conversions do not trip the checks
+const EPSILON = 1e-6;
+
+function unitGroup(unit) {
+  return Object.entries(UNIT_GROUPS).find(([, units]) => unit in units)?.[0] ?? null;
+}
+
+function round(n) {
+  return Math.round(n * 1e6) / 1e6;
+}
+
+/**
+ * Convert a quantity between METRC units of the same group.
+ *
+ * @returns {number|null} null when the units are unknown or not compatible (e.g. Grams → Each)
+ */
+export function convertQuantity(quantity, from, to) {
+  if (from === to) return Number(quantity);
+  const group = unitGroup(from);
+  if (!group || group !== unitGroup(to)) return null;
+  return round((Number(quantity) * UNIT_GROUPS[group][from]) / UNIT_GROUPS[group][to]);
+}
+
+async function getPackage(metrcFetch, label, licenseNumber) {
+  try {
+    const p = await metrcFetch(`/packages/v2/${encodeURIComponent(label)}`, { licenseNumber });
+    return p && typeof p === 'object' ? p : null;
+  } catch (err) {
+    if (err instanceof MetrcApiError && (err.status === 404 || err.status === 400)) return null;
+    throw err;
+  }
+}
+
+function packageUnit(p) {
+  return p.UnitOfMeasureName ?? p.Item?.UnitOfMeasureName ?? p.UnitOfMeasure ?? null;
+}
+
+function packageItemId(p) {
+  return p.Item?.Id ?? p.ItemId ?? null;
+}
+
+/** Look up a source package and report why it cannot be drawn from. */
+async function loadSource(metrcFetch, label, licenseNumber, problems) {
+  const p = await getPackage(metrcFetch, label, licenseNumber);
+  if (!p) {
+    problems.push(`${label}: package not found`);
+    return null;
+  }
+  if (p.FinishedDate) problems.push(`${label}: package is finished (${p.FinishedDate})`);
+  if (p.IsOnHold) problems.push(`${label}: package is on hold`);
+  if (p.IsInTransit) problems.push(`${label}: package is in transit`);
+  return p;
+}
+
+/**
+ * Turn "take `quantity` `unit` from package p" into an ingredient in p's own unit.
+ * An omitted quantity takes everything left in the package.
+ */
+function ingredient(p, label, quantity, unit, problems) {
+  const own = packageUnit(p);
+  const available = Number(p.Quantity);
+  const from = unit ?? own;
+  const amount = quantity == null ? available : convertQuantity(quantity, from, own);
+  if (amount == null) {
+    problems.push(`${label}: cannot take ${from} from a package tracked in ${own}`);
+    return null;
+  }
+  if (amount <= 0) {
+    problems.push(quantity == null ? `${label}: nothing left to take` : `${label}: quantity must be greater than 0`);
+    return null;
+  }
+  if (amount > available + EPSILON) {
+    problems.push(`${label}: ${round(amount)} ${own} requested, only ${available} ${own} available`);
+    return null;
+  }
+  return { Package: label, Quantity: round(amount), UnitOfMeasure: own };
+}
+
+/** The value every source shares, or null when they differ. */
+function shared(sources, pick) {
+  const values = [...new Set(sources.map(pick).filter((v) => v != null).map(String))];
+  return values.length === 1 ? sources.map(pick).find((v) => v != null) : null;
+}
+
+function fail(what, problems) {
+  throw new Error(`Cannot ${what}: ${problems.join('; ')}`);
+}
+
+/**
+ * Build the POST /packages/v2/ body that combines several packages into one new package.
+ *
+ * @param {Function} metrcFetch - GETs only
+ * @param {object} args - metrc_combine_packages arguments
+ * @returns {Promise<object[]>} One-element request body
+ */
+export async function planCombine(metrcFetch, args) {
+  const licenseNumber = args.license_number;
+  const problems = [];
+  const labels = args.sources.map((s) => s.label);
+  const duplicate = labels.find((l, i) => labels.indexOf(l) !== i);
+  if (duplicate) fail('combine packages', [`${duplicate}: listed more than once`]);
+
+  const sources = [];
+  const ingredients = [];
+  for (const s of args.sources) {
+    const p = await loadSource(metrcFetch, s.label, licenseNumber, problems);
+    if (!p) continue;
+    sources.push(p);
+    const ing = ingredient(p, s.label, s.quantity, s.unit_of_measure, problems);
+    if (ing) ingredients.push(ing);
+  }
+  if (problems.length) fail('combine packages', problems);
+
+  const unit = args.unit_of_measure ?? packageUnit(sources[0]);
+  let total = 0;
+  for (const ing of ingredients) {
+    const converted = convertQuantity(ing.Quantity, ing.UnitOfMeasure, unit);
+    if (converted == null) problems.push(`${ing.Package}: ${ing.UnitOfMeasure} cannot be combined into ${unit}`);
+    else total += converted;
+  }
+  const itemId = args.item_id ?? shared(sources, packageItemId);
+  const locationId = args.location_id ?? shared(sources, (p) => p.LocationId);
+  // A combine moves quantity, it does not create or lose any: the new package holds exactly the ingredients
+  const quantity = round(total);
+  if (args.quantity != null && Math.abs(args.quantity - quantity) > EPSILON) {
+    problems.push(`quantity ${args.quantity} ${unit} does not match the ingredients, which add up to ${quantity} ${unit}; record loss or waste with metrc_adjust_package first`);
+  }
+  if (itemId == null) problems.push('item_id is required when the source packages have different items');
+  if (locationId == null) problems.push('location_id is required when the source packages are in different locations');
+  if (problems.length) fail('combine packages', problems);
+
+  return [{
+    Tag: args.tag,
+    LocationId: locationId,
+    ItemId: itemId,
+    Quantity: quantity,
+    UnitOfMeasure: unit,
+    IsProductionBatch: false,
+    ProductRequiresRemediation: false,
+    ActualDate: args.actual_date,
+    Ingredients: ingredients,
+  }];
+}
+
+/**
+ * Build the POST /packages/v2/ body that splits one package into several new packages.
+ *
+ * @param {Function} metrcFetch - GETs only
+ * @param {object} args - metrc_split_package arguments
+ * @returns {Promise<object[]>} One row per new package
+ */
+export async function planSplit(metrcFetch, args) {
+  const licenseNumber = args.license_number;
+  const problems = [];
+  const tags = args.packages.map((p) => p.tag);
+  const duplicate = tags.find((t, i) => tags.indexOf(t) !== i);
+  if (duplicate) fail('split package', [`${duplicate}: tag used more than once`]);
+
+  const source = await loadSource(metrcFetch, args.label, licenseNumber, problems);
+  if (problems.length) fail('split package', problems);
+
+  const own = packageUnit(source);
+  const rows = [];
+  let taken = 0;
+  for (const out of args.packages) {
+    const unit = out.unit_of_measure ?? own;
+    const amount = convertQuantity(out.quantity, unit, own);
+    if (amount == null) {
+      problems.push(`${out.tag}: cannot take ${unit} from a package tracked in ${own}`);
+      continue;
+    }
+    if (amount <= 0) {
+      problems.push(`${out.tag}: quantity must be greater than 0`);
+      continue;
+    }
+    taken += amount;
+    rows.push({
+      Tag: out.tag,
+      LocationId: out.location_id ?? args.location_id ?? source.LocationId,
+      ItemId: out.item_id ?? args.item_id ?? packageItemId(source),
+      Quantity: out.quantity,
+      UnitOfMeasure: unit,
+      IsProductionBatch: false,
+      ProductRequiresRemediation: false,
+      ActualDate: args.actual_date,
+      Ingredients: [{ Package: args.label, Quantity: amount, UnitOfMeasure: own }],
+    });
+  }
+  const available = Number(source.Quantity);
+  if (taken > available + EPSILON) {
+    problems.push(`${args.label}: new packages need ${round(taken)} ${own}, only ${available} ${own} available`);
+  }
+  if (problems.length) fail('split package', problems);
+  return rows;
+}
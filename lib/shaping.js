@@ -0,0 +1,108 @@
+/**
+ * Post-fetch result shaping for read tools (Edge-safe).
+ *
+ * METRC returns whole records; a facility with thousands of packages produces far more
+ * JSON than a question needs. shapeResult() narrows the records a tool returns:
+ *
+ *   where  — { "Item.Name": "Blue Dream", "Quantity": { "lt": 5 } }
+ *            A bare value means equality; operator objects support
+ *            eq, ne, lt, lte, gt, gte, contains (case-insensitive), in.
+ *   sort   — "Quantity" or "-Quantity" (descending), or an array of them
+ *   limit  — keep the first N records after filtering and sorting
+ *   fields — ["Label", "Item.Name", "Quantity"]; output keys are the dotted paths
+ *
+ * Works on plain arrays, METRC { Data: [...] } envelopes and single records (fields only).
+ */
+
+const OPERATORS = ['eq', 'ne', 'lt', 'lte', 'gt', 'gte', 'contains', 'in'];
+
+/** Read a dotted path ("Item.Name") from a record. */
+export function getPath(record, path) {
+  return String(path).split('.').reduce((value, key) => (value == null ? undefined : value[key]), record);
+}
+
+function compare(a, b) {
+  if (a == null && b == null) return 0;
+  if (a == null) return -1;
+  if (b == null) return 1;
+  const na = Number(a);
+  const nb = Number(b);
+  if (a !== '' && b !== '' && !Number.isNaN(na) && !Number.isNaN(nb)) return na - nb;
+  return String(a).localeCompare(String(b));
+}
+
+function equals(a, b) {
+  return a === b || (a != null && b != null && compare(a, b) === 0);
+}
+
+function matchesCondition(value, condition) {
+  if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+    return equals(value, condition);
+  }
+  return Object.entries(condition).every(([op, operand]) => {
+    switch (op) {
+      case 'eq': return equals(value, operand);
+      case 'ne': return !equals(value, operand);
+      case 'lt': return value != null && compare(value, operand) < 0;
+      case 'lte': return value != null && compare(value, operand) <= 0;
+      case 'gt': return value != null && compare(value, operand) > 0;
+      case 'gte': return value != null && compare(value, operand) >= 0;
+      case 'contains': return value != null && String(value).toLowerCase().includes(String(operand).toLowerCase());
+      case 'in': return Array.isArray(operand) && operand.some((o) => equals(value, o));
+      default: throw new Error(`where: unknown operator "${op}" (use ${OPERATORS.join(', ')})`);
+    }
+  });
+}
+
+function project(record, fields) {
+  if (record === null || typeof record !== 'object') return record;
+  return Object.fromEntries(fields.map((f) => [f, getPath(record, f)]));
+}
+
+function sortKeys(sort) {
+  return [].concat(sort).map((key) => {
+    const desc = String(key).startsWith('-');
+    return { path: desc ? String(key).slice(1) : String(key), dir: desc ? -1 : 1 };
+  });
+}
+
+/** True when any shaping argument is present. */
+export function hasShaping({ fields, where, limit, sort } = {}) {
+  return fields != null || where != null || limit != null || sort != null;
+}
+
+/**
+ * Apply where → sort → limit → fields to a tool result.
+ *
+ * @param {any} data - Parsed METRC response
+ * @param {{ fields?: string[], where?: object, limit?: number, sort?: string|string[] }} shaping
+ * @returns {any} Shaped result (same container type as `data`)
+ */
+export function shapeResult(data, { fields, where, limit, sort } = {}) {
+  const rows = Array.isArray(data) ? data : Array.isArray(data?.Data) ? data.Data : null;
+  if (!rows) {
+    return fields && data && typeof data === 'object' ? project(data, fields) : data;
+  }
+
+  let out = rows;
+  if (where) {
+    const conditions = Object.entries(where);
+    out = out.filter((row) => conditions.every(([path, cond]) => matchesCondition(getPath(row, path), cond)));
+  }
+  const matched = out.length;
+  if (sort != null) {
+    const keys = sortKeys(sort);
+    out = [...out].sort((a, b) => {
+      for (const { path, dir } of keys) {
+        const c = compare(getPath(a, path), getPath(b, path));
+        if (c !== 0) return c * dir;
+      }
+      return 0;
+    });
+  }
+  if (limit != null) out = out.slice(0, Math.max(0, Math.floor(limit)));
+  if (fields) out = out.map((row) => project(row, fields));
+
+  if (Array.isArray(data)) return out;
+  return { ...data, Data: out, Matched: matched, Returned: out.length };
+}
@@ -0,0 +1,96 @@
+/**
+ * METRC analysis skills exposed over MCP (metrc://skills/<name>).
+ *
+ * Single source of truth for the skill resource list, shared by server.js
+ * (stdio) and lib/mcp-protocol.js (HTTP). Skills are published both as
+ * resources (markdown documents) and as prompts (the same markdown wrapped
+ * in a user message).
+ *
+ * File locations are literal `new URL(..., import.meta.url)` expressions so
+ * the Vercel Edge bundler can include the markdown files. Reading the text is
+ * left to a loader injected by each runtime (fs in Node, fetch on Edge).
+ */
+
+const SKILL_URI_PREFIX = 'metrc://skills/';
+
+const SKILLS = [
+  { slug: 'needs-attention', name: 'Needs attention', description: 'What needs attention? Compliance, expiring tags, stuck harvests/transfers. Use with METRC tools.', file: new URL('../skills/needs-attention.md', import.meta.url) },
+  { slug: 'facility-summary', name: 'Facility summary', description: 'Summarize the facility: counts, state, overview. Use with METRC tools.', file: new URL('../skills/facility-summary.md', import.meta.url) },
+  { slug: 'traceability', name: 'Traceability', description: 'Package origin and harvest outputs. Use with METRC tools.', file: new URL('../skills/traceability.md', import.meta.url) },
+  { slug: 'inventory-summary', name: 'Inventory summary', description: 'Inventory by item, location, or strain. Use with METRC tools.', file: new URL('../skills/inventory-summary.md', import.meta.url) },
+  { slug: 'audit-ready-snapshot', name: 'Audit-ready snapshot', description: 'Audit in a week? Check risk areas, health snapshot, cleanup recommendations. Use with METRC tools.', file: new URL('../skills/audit-ready-snapshot.md', import.meta.url) },
+  { slug: 'fifo-aging-pull', name: 'FIFO / aging pull', description: 'What to pull for samples, vendor days, discounting; FIFO; warn before breaking full case. Use with METRC tools.', file: new URL('../skills/fifo-aging-pull.md', import.meta.url) },
+  { slug: 'fragmentation-detection', name: 'Fragmentation detection', description: 'Show package fragmentation; multiple partials per item/location. Use with METRC tools.', file: new URL('../skills/fragmentation-detection.md', import.meta.url) },
+  { slug: 'sample-out-low-counts', name: 'Sample-out low counts', description: 'Low-count packages for samples or sales incentives. Use with METRC tools.', file: new URL('../skills/sample-out-low-counts.md', import.meta.url) },
+  { slug: 'slow-moving-inventory', name: 'Slow-moving inventory', description: 'Slow or non-moving inventory detection. Use with METRC tools.', file: new URL('../skills/slow-moving-inventory.md', import.meta.url) },
+  { slug: 'aging-discount-sampling', name: 'Aging discount/sampling', description: 'Aging inventory; discount or sampling recommendations. Use with METRC tools.', file: new URL('../skills/aging-discount-sampling.md', import.meta.url) },
+  { slug: 'package-consolidation', name: 'Package consolidation', description: 'Recommend re-sticker, combine low-counts, simplify units. Use with METRC tools.', file: new URL('../skills/package-consolidation.md', import.meta.url) },
+  { slug: 'README', name: 'Skills index', description: 'Index of all METRC analysis skills.', file: new URL('../skills/README.md', import.meta.url) },
+];
+
+/** Skill resources in MCP `resources/list` format. */
+export const SKILL_RESOURCES = SKILLS.map(({ slug, name, description }) => ({
+  uri: `${SKILL_URI_PREFIX}${slug}`,
+  name,
+  description,
+  mimeType: 'text/markdown',
+}));
+
+/** Skill prompts in MCP `prompts/list` format (README is an index, not a prompt). */
+export const SKILL_PROMPTS = SKILLS.filter((s) => s.slug !== 'README').map(({ slug, name, description }) => ({
+  name: slug,
+  title: name,
+  description,
+  arguments: [{ name: 'license_number', description: 'Facility license number to scope METRC tool calls (optional)', required: false }],
+}));
+
+/**
+ * Resolve a metrc://skills/<name> URI (or bare slug) to its skill entry.
+ * Throws with a list of valid names when the URI is malformed or unknown.
+ */
+export function resolveSkill(uriOrSlug) {
+  if (!uriOrSlug || typeof uriOrSlug !== 'string') {
+    throw new Error('Invalid or unsupported resource URI. Use metrc://skills/<name> (e.g. metrc://skills/needs-attention).');
+  }
+  let slug = uriOrSlug;
+  if (uriOrSlug.includes('://')) {
+    if (!uriOrSlug.startsWith(SKILL_URI_PREFIX)) {
+      throw new Error('Invalid or unsupported resource URI. Use metrc://skills/<name> (e.g. metrc://skills/needs-attention).');
+    }
+    slug = uriOrSlug.slice(SKILL_URI_PREFIX.length).trim() || 'README';
+  }
+  const safeSlug = slug.replace(/[^a-z0-9-]/gi, '');
+  const skill = SKILLS.find((s) => s.slug === safeSlug);
+  if (!skill) {
+    throw new Error(`Skill not found: ${slug}. Available: ${SKILLS.map((s) => s.slug).join(', ')}.`);
+  }
+  return skill;
+}
+
+/**
+ * Read a skill resource in MCP `resources/read` result format.
+ *
+ * @param {string} uri - metrc://skills/<name>
+ * @param {(file: URL) => Promise<string>|string} loadText - Runtime-specific file loader
+ */
+export async function readSkillResource(uri, loadText) {
+  const skill = resolveSkill(uri);
+  const text = await loadText(skill.file);
+  return {
+    contents: [{ uri: `${SKILL_URI_PREFIX}${skill.slug}`, mimeType: 'text/markdown', text }],
+  };
+}
+
+/**
+ * Build a skill prompt in MCP `prompts/get` result format.
+ * An optional `license_number` argument is appended so the LLM scopes its tool calls.
+ */
+export async function getSkillPrompt(name, args = {}, loadText) {
+  const skill = resolveSkill(name);
+  const text = await loadText(skill.file);
+  const license = args.license_number ? `\n\nUse license_number ${String(args.license_number).trim()} for METRC tool calls.` : '';
+  return {
+    description: skill.description,
+    messages: [{ role: 'user', content: { type: 'text', text: `${text}${license}` } }],
+  };
+}
@@ -8,8 +8,34 @@
  * its own HTTP client (Node Buffer-based vs Edge btoa-based).
  */
 
-import { getToolByName } from './tools.js';
+import {
+  getToolByName, PAGINATED_TOOLS, SALES_DATE_TOOLS, READ_TOOLS, MUTATING_TOOLS, CONFIRMATION_TOOLS, COMPOSITE_TOOLS,
+} from './tools.js';
 import { validateToolInput } from './validate.js';
+import { coerceArgs } from './coerce.js';
+import { getToolPolicy, checkToolPolicy } from './policy.js';
+import { createPagingFetch } from './pagination.js';
+import { resolveDateFilter, splitWindows, createDateWindowFetch } from './date-windows.js';
+import { createProgress } from './progress.js';
+import { hasShaping, shapeResult } from './shaping.js';
+import { formatResult } from './output-format.js';
+import { createMemoryCache, createCachingFetch, cacheEnabled } from './cache.js';
+import { createCapturingFetch, previewWrites } from './dry-run.js';
+import { confirmationRequired, issueConfirmationToken, consumeConfirmationToken } from './confirmation.js';
+import { createJournalFromEnv, createAuditingFetch } from './audit.js';
+import { captureBeforeState, planUndo } from './undo.js';
+import { createIdempotencyStore } from './idempotency.js';
+import { buildTransferTemplate } from './transfer-templates.js';
+import { buildTransferManifest } from './transfer-manifest.js';
+import { planCombine, planSplit } from './repackage.js';
+import { additiveErrors, buildAdditive } from './additives.js';
+
+// Shared across calls in this process/isolate; server.js may pass a file-backed store instead
+const defaultCache = createMemoryCache();
+// Per process/isolate unless server.js passes a file journal (lib/audit-file.js)
+const defaultJournal = createJournalFromEnv();
+// Per process/isolate: replays of an idempotency_key are only recognized by the same instance
+const defaultIdempotency = createIdempotencyStore();
 
 /**
  * Execute a METRC MCP tool.
@@ -17,24 +43,170 @@ import { validateToolInput } from './validate.js';
  * @param {string} name - Tool name
  * @param {object} args - Tool arguments
  * @param {Function} metrcFetch - HTTP client: (path, params?, options?) => Promise<any>
- * @returns {Promise<string>} JSON-stringified result
+ * @param {object} [context] - Per-call context
+ * @param {(progress: number, total?: number, message?: string) => void} [context.onProgress] - Progress callback
+ *   (forwarded as MCP notifications/progress when the client sent a progressToken). Called with an increasing
+ *   fraction of the whole call and total 1; pages, date windows and composite steps are nested into it (lib/progress.js)
+ * @param {(changes: Array<{ path: string, from: any, to: any }>) => void} [context.onCoerce] - Called with the
+ *   argument normalizations made before validation (lib/coerce.js), so the caller can report them
+ * @param {(meta: object) => void} [context.onResultMeta] - Called with the envelope fields (Total, Notice, ...)
+ *   that a csv result cannot carry (lib/output-format.js), so the caller can show them next to it
+ * @param {string} [context.tenant] - Credential fingerprint; scopes cache entries (lib/cache.js)
+ *   and confirmation tokens (lib/confirmation.js)
+ * @param {object|null} [context.cache] - Cache store (default: shared in-memory LRU; null disables)
+ * @param {object} [context.policy] - Tool policy (default: lib/policy.js getToolPolicy())
+ * @param {object} [context.journal] - Audit journal for writes (default: lib/audit.js memory journal)
+ * @param {string} [context.actor] - Caller name recorded in the audit journal (e.g. MCP client name)
+ * @param {string} [context.undoOf] - Set by metrc_undo_operation: operation id the journaled writes compensate
+ * @param {number} [context.undoStep] - Set by metrc_undo_operation: index of the step in the undo plan
+ * @param {boolean} [context.confirmed] - Set by metrc_undo_operation for its steps (the undo itself was confirmed)
+ * @param {object} [context.idempotency] - Idempotency store (default: lib/idempotency.js in-memory store)
+ * @returns {Promise<string>} Result text (pretty JSON unless a read tool asked for another output_format)
  */
-export async function executeTool(name, args = {}, metrcFetch) {
+export async function executeTool(name, args = {}, metrcFetch, context = {}) {
   // Validate tool exists
   const tool = getToolByName(name);
   if (!tool) throw new Error(`Unknown tool: ${name}`);
 
+  // Enforce the deployment's tool policy (read-only mode, allow/deny lists)
+  const { allowed, reason } = checkToolPolicy(tool, context.policy || getToolPolicy());
+  if (!allowed) throw new Error(`Tool ${name} is not available: ${reason}`);
+
+  // Fix LLM-style arguments ("12", "3/1/2026", "g", JSON-encoded arrays) before validating
+  const coerced = coerceArgs(args, tool.inputSchema);
+  args = coerced.args;
+  if (coerced.changes.length > 0) context.onCoerce?.(coerced.changes);
+
   // Validate input against schema
   const { valid, errors } = validateToolInput(name, args, tool.inputSchema);
   if (!valid) {
     throw new Error(`Invalid input for ${name}: ${errors.join('; ')}`);
   }
 
-  const data = await executeToolCall(name, args, metrcFetch);
-  return typeof data === 'string' ? data : JSON.stringify(data, null, 2);
+  const progress = createProgress(context.onProgress);
+  // Nested work (composite steps) reports through the same increasing value
+  context = { ...context, onProgress: progress };
+
+  if (args.dry_run === true && MUTATING_TOOLS.has(name)) {
+    progress(0, 1, `Previewing ${name}`);
+    const preview = await previewTool(name, args, metrcFetch, context);
+    progress(1, 1, 'Done');
+    return formatResult(preview);
+  }
+
+  // Destructive tools: first call returns a preview + token; the write needs the token back
+  const needsConfirmation = CONFIRMATION_TOOLS.has(name) && confirmationRequired() && !context.confirmed;
+  if (needsConfirmation && args.confirmation_token == null) {
+    progress(0, 1, `Previewing ${name}`);
+    const preview = await previewTool(name, args, metrcFetch, context);
+    const { token, expiresAt } = await issueConfirmationToken(name, args, context.tenant);
+    progress(1, 1, 'Done');
+    return formatResult({
+      ...preview,
+      confirmation_required: true,
+      confirmation_token: token,
+      expires_at: expiresAt,
+      next_step: `Nothing was written. Show this preview to the user; to execute, call ${name} again with the same arguments plus confirmation_token.`,
+    });
+  }
+
+  const run = async () => {
+    if (needsConfirmation) await consumeConfirmationToken(name, args, context.tenant);
+    return runTool(name, args, metrcFetch, context, progress);
+  };
+  // A repeated write with the same idempotency_key returns the first result instead of writing again
+  if (MUTATING_TOOLS.has(name) && args.idempotency_key != null) {
+    const store = context.idempotency || defaultIdempotency;
+    const { result, replayed } = await store.run(
+      { scope: context.tenant || 'env', tool: name, key: args.idempotency_key, args },
+      run
+    );
+    if (replayed) progress(1, 1, `Replayed result for idempotency_key ${args.idempotency_key}; nothing was sent to METRC`);
+    return result;
+  }
+  return run();
+}
+
+/** Call METRC for a tool (after policy, validation and confirmation) and format the result. */
+async function runTool(name, args, metrcFetch, context, progress) {
+  progress(0, 1, `Calling METRC for ${name}`);
+  const journal = context.journal || defaultJournal;
+  // Composite tools call executeTool for each step, which journals the step's writes itself
+  if (COMPOSITE_TOOLS.has(name)) {
+    const data = await executeToolCall(name, args, metrcFetch, { ...context, journal });
+    progress(1, 1, 'Done');
+    return formatResult(data);
+  }
+  const auditedFetch = MUTATING_TOOLS.has(name)
+    ? createAuditingFetch(metrcFetch, journal, {
+      tool: name,
+      tenant: context.tenant,
+      actor: context.actor,
+      undoOf: context.undoOf,
+      undoStep: context.undoStep,
+      captureBefore: captureBeforeState,
+    })
+    : metrcFetch;
+  const cache = context.cache === undefined ? defaultCache : context.cache;
+  const cachedFetch = cache && cacheEnabled()
+    ? createCachingFetch(auditedFetch, cache, { scope: context.tenant || 'env', noCache: args.no_cache === true })
+    : auditedFetch;
+  const fetchFn = listFetch(name, args, cachedFetch, progress);
+  let data = await executeToolCall(name, args, fetchFn, { ...context, journal });
+  if (READ_TOOLS.has(name) && hasShaping(args)) {
+    data = shapeResult(data, { fields: args.fields, where: args.where, limit: args.limit, sort: args.sort });
+  }
+  progress(1, 1, 'Done');
+  return formatResult(data, READ_TOOLS.has(name) ? args.output_format : undefined, { onMeta: context.onResultMeta });
 }
 
-async function executeToolCall(name, args, metrcFetch) {
+/** Run a write tool's case with writes captured, then check them against current state (lib/dry-run.js). */
+async function previewTool(name, args, metrcFetch, context = {}) {
+  if (COMPOSITE_TOOLS.has(name)) {
+    return executeToolCall(name, { ...args, dry_run: true }, metrcFetch, { ...context, journal: context.journal || defaultJournal });
+  }
+  const capture = createCapturingFetch(metrcFetch);
+  await executeToolCall(name, args, capture.fetch);
+  return previewWrites(name, capture.writes, metrcFetch);
+}
+
+/**
+ * For list tools, wrap metrcFetch so the case's single GET honors all_pages
+ * (lib/pagination.js) and date ranges split into 24h windows (lib/date-windows.js).
+ * Pages are reported as a part of the window being fetched, so progress never restarts.
+ */
+function listFetch(name, args, metrcFetch, progress) {
+  if (!PAGINATED_TOOLS.has(name)) return metrcFetch;
+  const range = resolveDateFilter(args, SALES_DATE_TOOLS.has(name) ? ['last_modified', 'sales_date'] : ['last_modified']);
+  const windows = range ? splitWindows(range.start, range.end).length : 1;
+  let windowProgress = progress.span(0, 1 / windows);
+  let fetchFn = metrcFetch;
+  if (args.all_pages) {
+    fetchFn = createPagingFetch(fetchFn, {
+      maxPages: args.max_pages,
+      onProgress: (page, pages, message) => windowProgress(page, pages, message),
+    });
+  }
+  if (range) {
+    fetchFn = createDateWindowFetch(fetchFn, range, {
+      onProgress: (done, total, message) => {
+        progress(done, total, message);
+        windowProgress = progress.span(done / total, (done + 1) / total);
+      },
+    });
+  }
+  return fetchFn;
+}
+
+/** licenseNumber plus page/pageSize when given, so a list tool can continue where a truncated call stopped. */
+function pageQuery(args) {
+  const q = { licenseNumber: args.license_number };
+  if (args.page != null) q.page = args.page;
+  if (args.page_size != null) q.pageSize = args.page_size;
+  return q;
+}
+
+async function executeToolCall(name, args, metrcFetch, context = {}) {
   switch (name) {
     case 'metrc_get_facilities':
       return metrcFetch('/facilities/v2/');
@@ -49,13 +221,13 @@ async function executeToolCall(name, args, metrcFetch) {
       return metrcFetch('/locations/v2/active', { licenseNumber: args.license_number });
 
     case 'metrc_get_packages':
-      return metrcFetch('/packages/v2/active', { licenseNumber: args.license_number });
+      return metrcFetch('/packages/v2/active', pageQuery(args));
 
     case 'metrc_get_harvests':
-      return metrcFetch('/harvests/v2/active', { licenseNumber: args.license_number });
+      return metrcFetch('/harvests/v2/active', pageQuery(args));
 
     case 'metrc_get_plant_batches':
-      return metrcFetch('/plantbatches/v2/active', { licenseNumber: args.license_number });
+      return metrcFetch('/plantbatches/v2/active', pageQuery(args));
 
     case 'metrc_get_units_of_measure':
       return metrcFetch('/unitsofmeasure/v2/active');
@@ -67,7 +239,7 @@ async function executeToolCall(name, args, metrcFetch) {
       return metrcFetch('/employees/v2/', { licenseNumber: args.license_number });
 
     case 'metrc_get_plants_flowering':
-      return metrcFetch('/plants/v2/flowering', { licenseNumber: args.license_number });
+      return metrcFetch('/plants/v2/flowering', pageQuery(args));
 
     case 'metrc_harvest_plants': {
       const labels = args.plant_labels || [];
@@ -112,12 +284,10 @@ async function executeToolCall(name, args, metrcFetch) {
       return metrcFetch('/plantbatches/v2/types', { licenseNumber: args.license_number });
 
     case 'metrc_get_plants_vegetative':
-      return metrcFetch('/plants/v2/vegetative', { licenseNumber: args.license_number });
+      return metrcFetch('/plants/v2/vegetative', pageQuery(args));
 
     case 'metrc_create_plant_batch_plantings': {
-      let plantLabels = args.plant_labels;
-      if (typeof plantLabels === 'string') plantLabels = JSON.parse(plantLabels);
-      plantLabels = Array.isArray(plantLabels) ? plantLabels : [];
+      const plantLabels = Array.isArray(args.plant_labels) ? args.plant_labels : [];
       const batchName = String(args.plant_batch_name ?? '').trim();
       if (!batchName) throw new Error('plant_batch_name is required');
       const arrayBody = plantLabels.map((label) => {
@@ -173,6 +343,127 @@ async function executeToolCall(name, args, metrcFetch) {
       );
     }
 
+    case 'metrc_move_plants': {
+      const entry = { Location: args.location_name, ActualDate: args.actual_date };
+      if (args.sublocation_name) entry.Sublocation = args.sublocation_name;
+      const body = plantRows(args, entry);
+      if (body.length === 0) throw new Error('Provide plant_ids or plant_labels');
+      return metrcFetch(
+        '/plants/v2/location',
+        { licenseNumber: args.license_number },
+        { method: 'PUT', body }
+      );
+    }
+
+    case 'metrc_change_plants_strain': {
+      const entry = { StrainId: args.strain_id, ActualDate: args.actual_date };
+      if (args.strain_name) entry.StrainName = args.strain_name;
+      const body = plantRows(args, entry);
+      if (body.length === 0) throw new Error('Provide plant_ids or plant_labels');
+      return metrcFetch(
+        '/plants/v2/strain',
+        { licenseNumber: args.license_number },
+        { method: 'PUT', body }
+      );
+    }
+
+    case 'metrc_manicure_plants':
+      return metrcFetch(
+        '/plants/v2/manicure',
+        { licenseNumber: args.license_number },
+        {
+          method: 'POST',
+          body: manicureRows(args),
+        }
+      );
+
+    case 'metrc_split_plant_batch': {
+      const split = {
+        PlantBatch: args.plant_batch_name,
+        GroupName: args.group_name,
+        Count: args.count,
+        Location: args.location_name,
+        Strain: args.strain_name,
+        ActualDate: args.actual_date,
+      };
+      if (args.sublocation_name) split.Sublocation = args.sublocation_name;
+      return metrcFetch(
+        '/plantbatches/v2/split',
+        { licenseNumber: args.license_number },
+        { method: 'POST', body: [split] }
+      );
+    }
+
+    case 'metrc_destroy_plant_batch': {
+      const destroy = {
+        Id: args.plant_batch_id,
+        Count: args.count,
+        WasteMethodName: args.waste_method_name,
+        WasteReasonName: args.waste_reason_name,
+        ReasonNote: args.reason_note,
+        ActualDate: args.actual_date,
+      };
+      if (args.waste_material_mixed) destroy.WasteMaterialMixed = args.waste_material_mixed;
+      if (args.waste_weight != null) destroy.WasteWeight = args.waste_weight;
+      if (args.waste_unit_of_measure) destroy.WasteUnitOfMeasure = args.waste_unit_of_measure;
+      return metrcFetch(
+        '/plantbatches/v2/',
+        { licenseNumber: args.license_number },
+        { method: 'DELETE', body: [destroy] }
+      );
+    }
+
+    case 'metrc_create_plantings_from_plants': {
+      const planting = {
+        PlantLabel: args.plant_label,
+        PlantBatchName: args.plant_batch_name,
+        PlantBatchType: args.plant_batch_type,
+        PlantCount: args.plant_count,
+        LocationName: args.location_name,
+        StrainName: args.strain_name,
+        ActualDate: args.actual_date,
+      };
+      if (args.sublocation_name) planting.SublocationName = args.sublocation_name;
+      return metrcFetch(
+        '/plants/v2/plantings',
+        { licenseNumber: args.license_number },
+        { method: 'POST', body: [planting] }
+      );
+    }
+
+    case 'metrc_tag_plant_batch': {
+      if (args.plant_batch_id == null && !args.plant_batch_name) throw new Error('Provide plant_batch_id or plant_batch_name');
+      const tag = { NewTag: args.new_tag, ReplaceDate: args.replace_date };
+      if (args.plant_batch_id != null) tag.Id = args.plant_batch_id;
+      else tag.Group = args.plant_batch_name;
+      return metrcFetch(
+        '/plantbatches/v2/tag',
+        { licenseNumber: args.license_number },
+        { method: 'PUT', body: [tag] }
+      );
+    }
+
+    // Additives
+    case 'metrc_get_additive_types':
+      return metrcFetch('/plants/v2/additives/types', { licenseNumber: args.license_number });
+
+    case 'metrc_get_additive_templates':
+      return metrcFetch('/additivestemplates/v2/active', { licenseNumber: args.license_number });
+
+    case 'metrc_record_plant_additives':
+    case 'metrc_record_plant_batch_additives': {
+      const errors = additiveErrors(args);
+      if (errors.length > 0) throw new Error(`Invalid input for ${name}: ${errors.join('; ')}`);
+      const [path, target] = name === 'metrc_record_plant_additives'
+        ? ['/plants/v2/additives', { PlantLabels: args.plant_labels }]
+        : ['/plantbatches/v2/additives', { PlantBatchName: args.plant_batch_name }];
+      return metrcFetch(
+        path,
+        { licenseNumber: args.license_number },
+        { method: 'POST', body: [buildAdditive(args, target)] }
+      );
+    }
+
     case 'metrc_get_harvest':
       return metrcFetch(`/harvests/v2/${args.harvest_id}`, { licenseNumber: args.license_number });
 
@@ -211,6 +502,20 @@ async function executeToolCall(name, args, metrcFetch) {
       );
     }
 
+    case 'metrc_combine_packages':
+      return metrcFetch(
+        '/packages/v2/',
+        { licenseNumber: args.license_number },
+        { method: 'POST', body: await planCombine(metrcFetch, args) }
+      );
+
+    case 'metrc_split_package':
+      return metrcFetch(
+        '/packages/v2/',
+        { licenseNumber: args.license_number },
+        { method: 'POST', body: await planSplit(metrcFetch, args) }
+      );
+
     case 'metrc_create_harvest_packages':
       return metrcFetch(
         '/harvests/v2/packages',
@@ -343,10 +648,10 @@ async function executeToolCall(name, args, metrcFetch) {
     }
 
     case 'metrc_get_transfers_incoming':
-      return metrcFetch('/transfers/v2/incoming', { licenseNumber: args.license_number });
+      return metrcFetch('/transfers/v2/incoming', pageQuery(args));
 
     case 'metrc_get_transfers_outgoing':
-      return metrcFetch('/transfers/v2/outgoing', { licenseNumber: args.license_number });
+      return metrcFetch('/transfers/v2/outgoing', pageQuery(args));
 
     case 'metrc_create_item': {
       const item = {
@@ -529,12 +834,68 @@ async function executeToolCall(name, args, metrcFetch) {
       );
     }
 
+    case 'metrc_get_transfer_templates':
+      return metrcFetch('/transfers/v2/templates/outgoing', { licenseNumber: args.license_number });
+
+    case 'metrc_create_transfer_template':
+      return metrcFetch(
+        '/transfers/v2/templates/outgoing',
+        { licenseNumber: args.license_number },
+        { method: 'POST', body: [buildTransferTemplate(args)] }
+      );
+
+    case 'metrc_update_transfer_template':
+      return metrcFetch(
+        '/transfers/v2/templates/outgoing',
+        { licenseNumber: args.license_number },
+        { method: 'PUT', body: [buildTransferTemplate(args)] }
+      );
+
+    case 'metrc_delete_transfer_template':
+      return metrcFetch(
+        `/transfers/v2/templates/outgoing/${args.template_id}`,
+        { licenseNumber: args.license_number },
+        { method: 'DELETE' }
+      );
+
     case 'metrc_get_transfer_deliveries':
       return metrcFetch(`/transfers/v2/${args.transfer_id}/deliveries`, { licenseNumber: args.license_number });
 
     case 'metrc_get_transfer_packages':
       return metrcFetch(`/transfers/v2/deliveries/${args.delivery_id}/packages`, { licenseNumber: args.license_number });
 
+    case 'metrc_get_transfers_rejected':
+      return metrcFetch('/transfers/v2/rejected', pageQuery(args));
+
+    case 'metrc_get_transfers_hub':
+      return metrcFetch('/transfers/v2/hub', pageQuery(args));
+
+    case 'metrc_get_transfer_transporters': {
+      const q = { licenseNumber: args.license_number };
+      const [transporters, details] = await Promise.all([
+        metrcFetch(`/transfers/v2/deliveries/${args.delivery_id}/transporters`, q),
+        metrcFetch(`/transfers/v2/deliveries/${args.delivery_id}/transporters/details`, q),
+      ]);
+      return { Transporters: transporters, TransporterDetails: details };
+    }
+
+    case 'metrc_get_transfer_package_states':
+      return metrcFetch('/transfers/v2/deliveries/packages/states', { licenseNumber: args.license_number });
+
+    case 'metrc_get_transfer_wholesale_prices':
+      return metrcFetch(`/transfers/v2/deliveries/${args.delivery_id}/packages/wholesale`, { licenseNumber: args.license_number });
+
+    case 'metrc_get_transfer_required_lab_batches':
+      return metrcFetch(`/transfers/v2/deliveries/package/${args.package_id}/requiredlabtestbatches`, { licenseNumber: args.license_number });
+
+    case 'metrc_get_transfer_manifest':
+      return buildTransferManifest(metrcFetch, {
+        licenseNumber: args.license_number,
+        transferId: args.transfer_id,
+        direction: args.direction,
+        includeLabTestBatches: args.include_lab_test_batches,
+      });
+
     // Lab Tests (record) & Processing (remediate) & Item Categories
     case 'metrc_record_lab_test_results': {
       const body = [{
@@ -640,7 +1001,148 @@ async function executeToolCall(name, args, metrcFetch) {
         }
       );
 
+    // Audit
+    case 'metrc_get_audit_log':
+      // Scoped to the caller's tenant so accounts never see each other's writes
+      return context.journal.query({
+        tenant: context.tenant ?? null,
+        license_number: args.license_number,
+        tool: args.tool,
+        package_label: args.package_label,
+        start_date: args.start_date,
+        end_date: args.end_date,
+        limit: args.limit,
+      });
+
+    case 'metrc_undo_operation':
+      return undoOperation(args, metrcFetch, context);
+
     default:
       throw new Error(`Unknown tool: ${name}`);
   }
 }
+
+function parseResult(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+/** Manicure rows from plant_labels + weight_per_plant and/or per-plant manicures[], with shared defaults. */
+function manicureRows(args) {
+  const entries = [
+    ...(args.plant_labels || []).map((plant_label, i) => ({ at: `/plant_labels/${i}`, plant_label, weight: args.weight_per_plant })),
+    ...(args.manicures || []).map((m, i) => ({ at: `/manicures/${i}`, ...m })),
+  ];
+  if (entries.length === 0) throw new Error('Provide plant_labels with weight_per_plant, or manicures');
+  if (args.plant_labels?.length && args.weight_per_plant == null) throw new Error('weight_per_plant is required with plant_labels');
+
+  const missing = { unit_of_weight: [], drying_location_name: [], harvest_name: [] };
+  const rows = entries.map((e) => {
+    for (const field of Object.keys(missing)) {
+      if (!(e[field] ?? args[field])) missing[field].push(e.at);
+    }
+    return {
+      Plant: e.plant_label,
+      Weight: e.weight,
+      UnitOfWeight: e.unit_of_weight ?? args.unit_of_weight,
+      DryingLocation: e.drying_location_name ?? args.drying_location_name,
+      HarvestName: e.harvest_name ?? args.harvest_name,
+      ActualDate: args.actual_date,
+    };
+  });
+  const errors = Object.entries(missing)
+    .filter(([, at]) => at.length > 0)
+    .map(([field, at]) => `/${field}: required unless every entry sets it (missing for ${at.join(', ')})`);
+  if (errors.length > 0) throw new Error(`Invalid input for metrc_manicure_plants: ${errors.join('; ')}`);
+  return rows;
+}
+
+/** One body row per plant Id and Label, each with the shared fields. */
+function plantRows(args, entry) {
+  return [
+    ...(args.plant_ids || []).map((Id) => ({ Id, ...entry })),
+    ...(args.plant_labels || []).map((Label) => ({ Label, ...entry })),
+  ];
+}
+
+/**
+ * Undo one journaled write (lib/undo.js). With dry_run, previews every compensating step;
+ * otherwise runs them in order and stops at the first failure. Each step's write is journaled
+ * with its index, so a retry skips the steps that already succeeded instead of applying them twice.
+ */
+async function undoOperation(args, metrcFetch, context) {
+  const { journal } = context;
+  const tenant = context.tenant ?? null;
+  const [entry] = await journal.query({ tenant, operation_id: args.operation_id, limit: 1 });
+  if (!entry) throw new Error(`Operation ${args.operation_id} was not found in the audit log`);
+
+  // Successful compensating writes from earlier attempts, by step index
+  const attempts = await journal.query({ tenant, undo_of: entry.operation_id, limit: Infinity });
+  const applied = new Map();
+  for (const e of attempts) {
+    if (e.ok && e.undo_step != null && !applied.has(e.undo_step)) applied.set(e.undo_step, e);
+  }
+
+  const plan = await planUndo(entry, metrcFetch, { applied });
+  const notRun = { dry_run: true, tool: 'metrc_undo_operation', would_succeed: false };
+  const summary = { operation_id: entry.operation_id, original: { tool: entry.tool, method: entry.method, endpoint: entry.endpoint, timestamp: entry.timestamp } };
+  if (!plan.reversible) {
+    return { ...(args.dry_run && notRun), ...summary, reversible: false, reason: plan.reason };
+  }
+  if (plan.steps.every((_, i) => applied.has(i))) {
+    const by = [...new Set(plan.steps.map((_, i) => applied.get(i).operation_id))].join(', ');
+    return { ...(args.dry_run && notRun), ...summary, reversible: true, reason: `Already undone by operation ${by}.` };
+  }
+  const alreadyApplied = (i) => ({ already_applied: true, operation_id: applied.get(i).operation_id });
+
+  // Steps report their own argument coercions nowhere; the caller's onCoerce is about the undo call
+  const baseContext = { ...context, onCoerce: undefined };
+  // Each step's progress covers its share of the undo (context.onProgress comes from lib/progress.js)
+  const stepProgress = (i) => context.onProgress?.span?.(i / plan.steps.length, (i + 1) / plan.steps.length);
+  if (args.dry_run) {
+    const steps = [];
+    for (const [i, step] of plan.steps.entries()) {
+      if (applied.has(i)) {
+        steps.push({ tool: step.tool, args: step.args, would_succeed: true, ...alreadyApplied(i) });
+        continue;
+      }
+      const stepContext = { ...baseContext, onProgress: stepProgress(i) };
+      const preview = parseResult(await executeTool(step.tool, { ...step.args, dry_run: true }, metrcFetch, stepContext));
+      steps.push({ tool: step.tool, args: step.args, would_succeed: preview.would_succeed, issues: preview.issues, changes: preview.changes });
+    }
+    return {
+      dry_run: true,
+      tool: 'metrc_undo_operation',
+      ...summary,
+      reversible: true,
+      would_succeed: steps.every((s) => s.would_succeed),
+      issues: steps.flatMap((s) => s.issues || []),
+      steps,
+    };
+  }
+
+  const results = [];
+  for (const [i, step] of plan.steps.entries()) {
+    if (applied.has(i)) {
+      results.push({ tool: step.tool, args: step.args, ok: true, ...alreadyApplied(i) });
+      continue;
+    }
+    const stepContext = { ...baseContext, onProgress: stepProgress(i), confirmed: true, undoOf: entry.operation_id, undoStep: i };
+    try {
+      const text = await executeTool(step.tool, step.args, metrcFetch, stepContext);
+      results.push({ tool: step.tool, args: step.args, ok: true, result: parseResult(text) });
+    } catch (err) {
+      results.push({ tool: step.tool, args: step.args, ok: false, error: err.message });
+      return {
+        ...summary,
+        undone: false,
+        steps: results,
+        note: 'Stopped at the first failed step. Earlier steps were applied (audit log: undo_of, undo_step); call metrc_undo_operation again to retry only the steps that have not succeeded.',
+      };
+    }
+  }
+  return { ...summary, undone: true, steps: results };
+}
@@ -5,20 +5,127 @@
  * Both server.js (stdio) and lib/metrc-edge.js (Vercel Edge) import from here.
  *
  * To add a new tool:
- *   1. Add definition to the TOOLS array below
+ *   1. Add definition to the TOOLS array below, with its annotations (READ_ONLY, CREATES, UPDATES or DESTRUCTIVE)
  *   2. Add execution case in lib/tool-executor.js
  *   That's it — both stdio and Edge consumers pick it up automatically.
  */
 
+import { getToolPolicy, checkToolPolicy } from './policy.js';
+import { ADDITIVE_TYPES } from './additives.js';
+
+// MCP tool annotations. Hints for clients; lib/policy.js uses them to enforce read-only mode.
+const READ_ONLY = Object.freeze({ readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true });
+const CREATES = Object.freeze({ readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true });
+const UPDATES = Object.freeze({ readOnlyHint: false, destructiveHint: false, idempotentHint: true, openWorldHint: true });
+const DESTRUCTIVE = Object.freeze({ readOnlyHint: false, destructiveHint: true, idempotentHint: false, openWorldHint: true });
+
+// METRC plant and package tags: 24 characters, digits and capital letters (e.g. 1A4050000000000000000001)
+const TAG_PATTERN = '^[0-9A-Z]{24}$';
+// Outgoing transfer template arguments (lib/transfer-templates.js builds the METRC payload)
+const TRANSFER_TEMPLATE_SCHEMA = {
+  type: 'object',
+  properties: {
+    license_number: { type: 'string', description: 'Facility license number (shipper)' },
+    name: { type: 'string', description: 'Template name' },
+    transporter_license_number: { type: 'string', description: 'Transporter facility license number (default: the shipper)' },
+    destinations: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          recipient_license_number: { type: 'string', description: 'Receiving facility license number' },
+          transfer_type_name: { type: 'string', description: 'Transfer type from metrc_get_transfer_types' },
+          planned_route: { type: 'string', description: 'Planned route (e.g. "I-25 N to exit 210")' },
+          estimated_departure: { type: 'string', format: 'date-time', description: 'Estimated departure (YYYY-MM-DDTHH:MM:SS)' },
+          estimated_arrival: { type: 'string', format: 'date-time', description: 'Estimated arrival (YYYY-MM-DDTHH:MM:SS)' },
+          transporters: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                transporter_license_number: { type: 'string', description: 'Default: the template transporter' },
+                direction: { type: 'string', enum: ['Outbound', 'Inbound'], description: 'Default Outbound' },
+                estimated_departure: { type: 'string', format: 'date-time', description: 'Default: the destination\'s' },
+                estimated_arrival: { type: 'string', format: 'date-time', description: 'Default: the destination\'s' },
+                driver_name: { type: 'string' },
+                driver_license_number: { type: 'string', description: 'Driver\'s license number' },
+                driver_occupational_license_number: { type: 'string', description: 'Required by some states' },
+                phone_number: { type: 'string', description: 'Phone number for questions' },
+                vehicle_make: { type: 'string' },
+                vehicle_model: { type: 'string' },
+                vehicle_license_plate_number: { type: 'string' },
+                is_layover: { type: 'boolean' },
+              },
+              required: ['driver_name', 'driver_license_number', 'vehicle_make', 'vehicle_model', 'vehicle_license_plate_number'],
+            },
+            description: 'Drivers and vehicles; at least one is required by METRC',
+          },
+          packages: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'object',
+              properties: {
+                package_label: { type: 'string', pattern: TAG_PATTERN },
+                wholesale_price: { type: 'number', minimum: 0, description: 'Required for unaffiliated transfers in most states' },
+                gross_weight: { type: 'number', minimum: 0 },
+                gross_unit_of_weight: { type: 'string', description: 'e.g. Grams' },
+              },
+              required: ['package_label'],
+            },
+          },
+        },
+        required: ['recipient_license_number', 'transfer_type_name', 'planned_route', 'estimated_departure', 'estimated_arrival', 'transporters', 'packages'],
+      },
+    },
+  },
+  required: ['license_number', 'name', 'destinations'],
+};
+
+// Additive application arguments shared by plants and plant batches (lib/additives.js
+// builds the payload and adds the Pesticide-only requirements)
+const ADDITIVE_PROPERTIES = {
+  additive_type: { type: 'string', enum: ADDITIVE_TYPES, description: 'Fertilizer, Pesticide or Other (metrc_get_additive_types)' },
+  product_trade_name: { type: 'string', description: 'Product name as on the label' },
+  epa_registration_number: { type: 'string', description: 'EPA registration number (required for Pesticide)' },
+  product_supplier: { type: 'string', description: 'Product supplier (required for Pesticide)' },
+  application_device: { type: 'string', description: 'Applicator or application device, e.g. Backpack sprayer (required for Pesticide)' },
+  total_amount_applied: { type: 'number', minimum: 0, description: 'Total amount applied' },
+  unit_of_measure: { type: 'string', description: 'Unit of the amount applied (e.g. Fluid Ounces, Grams)' },
+  active_ingredients: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Active ingredient name' },
+        percentage: { type: 'number', minimum: 0, maximum: 100, description: 'Percentage in the product' },
+      },
+      required: ['name'],
+    },
+    description: 'Active ingredients (required for Pesticide, each with percentage)',
+  },
+  actual_date: { type: 'string', format: 'date', description: 'Application date (YYYY-MM-DD)' },
+};
+const ADDITIVE_REQUIRED = ['additive_type', 'product_trade_name', 'total_amount_applied', 'unit_of_measure', 'actual_date'];
+
+// Filters that take a bare date or a date-time (lib/validate.js oneOf)
+const DATE_OR_DATE_TIME = [
+  { type: 'string', format: 'date', description: 'YYYY-MM-DD' },
+  { type: 'string', format: 'date-time', description: 'ISO 8601 date-time' },
+];
+
 export const TOOLS = [
   {
     name: 'metrc_get_facilities',
     description: 'List all facilities and their license numbers for the authenticated account',
+    annotations: READ_ONLY,
     inputSchema: { type: 'object', properties: {}, required: [] },
   },
   {
     name: 'metrc_get_strains',
     description: 'Get active strains for a facility license',
+    annotations: READ_ONLY,
     inputSchema: {
       type: 'object',
       properties: {
@@ -33,6 +140,7 @@ export const TOOLS = [
   {
     name: 'metrc_get_items',
     description: 'Get active items (products) for a facility license',
+    annotations: READ_ONLY,
     inputSchema: {
       type: 'object',
       properties: {
@@ -44,6 +152,7 @@ export const TOOLS = [
   {
     name: 'metrc_get_locations',
     description: 'Get active locations for a facility license',
+    annotations: READ_ONLY,
     inputSchema: {
       type: 'object',
       properties: {
@@ -55,6 +164,7 @@ export const TOOLS = [
   {
     name: 'metrc_get_packages',
     description: 'Get active packages for a facility license',
+    annotations: READ_ONLY,
     inputSchema: {
       type: 'object',
       properties: {
@@ -66,6 +176,7 @@ export const TOOLS = [
   {
     name: 'metrc_get_harvests',
     description: 'Get active harvests for a facility license',
+    annotations: READ_ONLY,
     inputSchema: {
       type: 'object',
       properties: {
@@ -77,6 +188,7 @@ export const TOOLS = [
   {
     name: 'metrc_get_plant_batches',
     description: 'Get active plant batches for a facility license',
+    annotations: READ_ONLY,
     inputSchema: {
       type: 'object',
       properties: {
@@ -88,16 +200,19 @@ export const TOOLS = [
   {
     name: 'metrc_get_units_of_measure',
     description: 'Get active units of measure (no license required)',
+    annotations: READ_ONLY,
     inputSchema: { type: 'object', properties: {}, required: [] },
   },
   {
     name: 'metrc_get_waste_methods',
     description: 'Get waste methods (no license required)',
+    annotations: READ_ONLY,
     inputSchema: { type: 'object', properties: {}, required: [] },
   },
   {
     name: 'metrc_get_employees',
     description: 'Get employees for a facility license',
+    annotations: READ_ONLY,
     inputSchema: {
       type: 'object',
       properties: {
@@ -109,6 +224,7 @@ export const TOOLS = [
   {
     name: 'metrc_get_plants_flowering',
     description: 'Get flowering plants for a facility (required before creating a harvest)',
+    annotations: READ_ONLY,
     inputSchema: {
       type: 'object',
       properties: {
@@ -121,24 +237,26 @@ export const TOOLS = [
     name: 'metrc_harvest_plants',
     description:
       'Create a harvest by harvesting flowering plants. Supply harvest name, harvest date (YYYY-MM-DD), and plant IDs from metrc_get_plants_flowering. Colorado also requires weight, unit, and drying location per plant.',
+    annotations: DESTRUCTIVE,
     inputSchema: {
       type: 'object',
       properties: {
         license_number: { type: 'string', description: 'Facility license number' },
         harvest_name: { type: 'string', description: 'Name for the harvest' },
-        harvest_date: { type: 'string', description: 'Harvest date (YYYY-MM-DD)' },
+        harvest_date: { type: 'string', format: 'date', description: 'Harvest date (YYYY-MM-DD)' },
         plant_ids: {
           type: 'array',
           items: { type: 'number' },
+          minItems: 1,
           description: 'Array of plant Id values from flowering plants',
         },
         plant_labels: {
           type: 'array',
-          items: { type: 'string' },
+          items: { type: 'string', pattern: TAG_PATTERN },
           description:
             'Array of plant Label values from flowering plants (required for Colorado). Get from metrc_get_plants_flowering.',
         },
-        weight_per_plant: { type: 'number', description: 'Weight per plant (e.g. 1). Default 1.' },
+        weight_per_plant: { type: 'number', minimum: 0, description: 'Weight per plant (e.g. 1). Default 1.' },
         unit_of_measure: { type: 'string', description: 'Unit of measure (e.g. Ounces). Default Ounces.' },
         drying_location_id: { type: 'number', description: 'Location Id for drying. Get from metrc_get_locations.' },
       },
@@ -148,6 +266,7 @@ export const TOOLS = [
   {
     name: 'metrc_get_location_types',
     description: 'Get location types for a facility (need one that allows plants to create plantings)',
+    annotations: READ_ONLY,
     inputSchema: {
       type: 'object',
       properties: { license_number: { type: 'string', description: 'Facility license number' } },
@@ -157,6 +276,7 @@ export const TOOLS = [
   {
     name: 'metrc_create_location',
     description: 'Create a location. Use a LocationTypeId that allows plants (ForPlants: true).',
+    annotations: CREATES,
     inputSchema: {
       type: 'object',
       properties: {
@@ -170,6 +290,7 @@ export const TOOLS = [
   {
     name: 'metrc_get_tags_plant_available',
     description: 'Get available plant tags for the facility (needed to create plantings)',
+    annotations: READ_ONLY,
     inputSchema: {
       type: 'object',
       properties: { license_number: { type: 'string', description: 'Facility license number' } },
@@ -179,6 +300,7 @@ export const TOOLS = [
   {
     name: 'metrc_get_plant_batch_types',
     description: 'Get plant batch types (e.g. Seed, Clone) for the facility',
+    annotations: READ_ONLY,
     inputSchema: {
       type: 'object',
       properties: { license_number: { type: 'string', description: 'Facility license number' } },
@@ -188,6 +310,7 @@ export const TOOLS = [
   {
     name: 'metrc_get_plants_vegetative',
     description: 'Get vegetative plants for a facility (can be moved to flowering)',
+    annotations: READ_ONLY,
     inputSchema: {
       type: 'object',
       properties: { license_number: { type: 'string', description: 'Facility license number' } },
@@ -198,6 +321,7 @@ export const TOOLS = [
     name: 'metrc_create_plant_batch_plantings',
     description:
       'Create a plant batch and plantings (individual plants). Requires strain_id, location_id, type (e.g. Clone), count, planting_date (YYYY-MM-DD), and plant tag labels from metrc_get_tags_plant_available.',
+    annotations: CREATES,
     inputSchema: {
       type: 'object',
       properties: {
@@ -207,11 +331,12 @@ export const TOOLS = [
         strain_name: { type: 'string', description: 'Strain name (e.g. SBX Strain 1). Required by Colorado API.' },
         location_id: { type: 'number', description: 'Location Id (must allow plants)' },
         type: { type: 'string', description: 'Plant batch type, e.g. Clone or Seed' },
-        count: { type: 'number', description: 'Number of plants to create' },
-        planting_date: { type: 'string', description: 'Planting date YYYY-MM-DD' },
+        count: { type: 'integer', minimum: 1, description: 'Number of plants to create' },
+        planting_date: { type: 'string', format: 'date', description: 'Planting date YYYY-MM-DD' },
         plant_labels: {
           type: 'array',
-          items: { type: 'string' },
+          items: { type: 'string', pattern: TAG_PATTERN },
+          minItems: 1,
           description: 'Array of plant tag labels from metrc_get_tags_plant_available (one per plant)',
         },
       },
@@ -222,14 +347,15 @@ export const TOOLS = [
     name: 'metrc_change_plants_growth_phase',
     description:
       'Change individual plant growth phase (e.g. Vegetative to Flowering). Supply plant_ids and/or plant_labels, growth_phase, change_date, and optional new_location.',
+    annotations: UPDATES,
     inputSchema: {
       type: 'object',
       properties: {
         license_number: { type: 'string', description: 'Facility license number' },
-        growth_phase: { type: 'string', description: 'New phase: Vegetative or Flowering' },
-        change_date: { type: 'string', description: 'Date of change YYYY-MM-DD' },
-        plant_ids: { type: 'array', items: { type: 'number' }, description: 'Plant Ids to change' },
-        plant_labels: { type: 'array', items: { type: 'string' }, description: 'Plant Labels to change' },
+        growth_phase: { type: 'string', enum: ['Vegetative', 'Flowering'], description: 'New phase: Vegetative or Flowering' },
+        change_date: { type: 'string', format: 'date', description: 'Date of change YYYY-MM-DD' },
+        plant_ids: { type: 'array', items: { type: 'number' }, minItems: 1, description: 'Plant Ids to change' },
+        plant_labels: { type: 'array', items: { type: 'string', pattern: TAG_PATTERN }, minItems: 1, description: 'Plant Labels to change' },
         new_location: { type: 'string', description: 'New location name (required by Colorado v2)' },
       },
       required: ['license_number', 'growth_phase', 'change_date'],
@@ -239,24 +365,220 @@ export const TOOLS = [
     name: 'metrc_change_plant_batch_growth_phase',
     description:
       'Convert untracked plant batch plants into tracked individual plants by changing the batch growth phase. Required step after plantings in Colorado v2: batch plants start untracked and must be converted to Vegetative via this call before they appear in plants/vegetative.',
+    annotations: CREATES,
     inputSchema: {
       type: 'object',
       properties: {
         license_number: { type: 'string', description: 'Facility license number' },
         plant_batch_name: { type: 'string', description: 'Plant batch name from plantings' },
-        count: { type: 'number', description: 'Number of plants to convert' },
-        starting_tag: { type: 'string', description: 'First plant tag for tracked plants (consumes one tag per plant)' },
-        growth_phase: { type: 'string', description: 'Target phase: Vegetative' },
-        growth_date: { type: 'string', description: 'Date YYYY-MM-DD' },
+        count: { type: 'integer', minimum: 1, description: 'Number of plants to convert' },
+        starting_tag: { type: 'string', pattern: TAG_PATTERN, description: 'First plant tag for tracked plants (consumes one tag per plant)' },
+        growth_phase: { type: 'string', enum: ['Vegetative', 'Flowering'], description: 'Target phase: Vegetative' },
+        growth_date: { type: 'string', format: 'date', description: 'Date YYYY-MM-DD' },
         new_location: { type: 'string', description: 'Location name for the plants' },
       },
       required: ['license_number', 'plant_batch_name', 'count', 'starting_tag', 'growth_phase', 'growth_date', 'new_location'],
     },
   },
+  // Plant lifecycle
+  {
+    name: 'metrc_move_plants',
+    description: 'Move plants to another location. Supply plant_ids and/or plant_labels, the location name and the date.',
+    annotations: UPDATES,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        license_number: { type: 'string', description: 'Facility license number' },
+        plant_ids: { type: 'array', items: { type: 'number' }, minItems: 1, description: 'Plant Ids to move' },
+        plant_labels: { type: 'array', items: { type: 'string', pattern: TAG_PATTERN }, minItems: 1, description: 'Plant Labels to move' },
+        location_name: { type: 'string', description: 'Destination location name (must allow plants)' },
+        sublocation_name: { type: 'string', description: 'Destination sublocation name, if the facility uses them' },
+        actual_date: { type: 'string', format: 'date', description: 'Date of the move (YYYY-MM-DD)' },
+      },
+      required: ['license_number', 'location_name', 'actual_date'],
+    },
+  },
+  {
+    name: 'metrc_change_plants_strain',
+    description: 'Change the strain of plants (e.g. to correct a data entry error). Supply plant_ids and/or plant_labels, the strain and the date.',
+    annotations: UPDATES,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        license_number: { type: 'string', description: 'Facility license number' },
+        plant_ids: { type: 'array', items: { type: 'number' }, minItems: 1, description: 'Plant Ids to change' },
+        plant_labels: { type: 'array', items: { type: 'string', pattern: TAG_PATTERN }, minItems: 1, description: 'Plant Labels to change' },
+        strain_id: { type: 'number', description: 'New strain Id from metrc_get_strains' },
+        strain_name: { type: 'string', description: 'New strain name' },
+        actual_date: { type: 'string', format: 'date', description: 'Date of the change (YYYY-MM-DD)' },
+      },
+      required: ['license_number', 'strain_id', 'actual_date'],
+    },
+  },
+  {
+    name: 'metrc_manicure_plants',
+    description: 'Record a manicure (partial harvest) of flowering plants: the trimmed weight goes to a harvest and the plants keep growing. Either give plant_labels with one weight_per_plant, or manicures[] with each plant\'s own weight; unit, drying location and harvest name (new or existing) can be set once for all entries.',
+    annotations: CREATES,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        license_number: { type: 'string', description: 'Facility license number' },
+        plant_labels: { type: 'array', items: { type: 'string', pattern: TAG_PATTERN }, minItems: 1, description: 'Plant Labels from metrc_get_plants_flowering (with weight_per_plant)' },
+        weight_per_plant: { type: 'number', minimum: 0, description: 'Manicured weight per plant (with plant_labels)' },
+        manicures: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            properties: {
+              plant_label: { type: 'string', pattern: TAG_PATTERN },
+              weight: { type: 'number', minimum: 0, description: 'Manicured weight of this plant' },
+              unit_of_weight: { type: 'string', description: 'Default: unit_of_weight' },
+              drying_location_name: { type: 'string', description: 'Default: drying_location_name' },
+              harvest_name: { type: 'string', description: 'Default: harvest_name' },
+            },
+            required: ['plant_label', 'weight'],
+          },
+          description: 'One entry per plant with its own weight',
+        },
+        unit_of_weight: { type: 'string', description: 'Unit of weight (e.g. Grams)' },
+        drying_location_name: { type: 'string', description: 'Drying location name' },
+        harvest_name: { type: 'string', description: 'Harvest to record the weight on (created if it does not exist)' },
+        actual_date: { type: 'string', format: 'date', description: 'Manicure date (YYYY-MM-DD)' },
+      },
+      required: ['license_number', 'actual_date'],
+    },
+  },
+  {
+    name: 'metrc_split_plant_batch',
+    description: 'Split plants off a plant batch into a new plant batch (group). Supply the source batch name, new group name, count, location, strain and date.',
+    annotations: CREATES,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        license_number: { type: 'string', description: 'Facility license number' },
+        plant_batch_name: { type: 'string', description: 'Source plant batch name from metrc_get_plant_batches' },
+        group_name: { type: 'string', description: 'Name of the new plant batch' },
+        count: { type: 'integer', minimum: 1, description: 'Number of plants to move to the new batch' },
+        location_name: { type: 'string', description: 'Location name of the new batch' },
+        sublocation_name: { type: 'string', description: 'Sublocation name, if the facility uses them' },
+        strain_name: { type: 'string', description: 'Strain name of the new batch' },
+        actual_date: { type: 'string', format: 'date', description: 'Split date (YYYY-MM-DD)' },
+      },
+      required: ['license_number', 'plant_batch_name', 'group_name', 'count', 'location_name', 'strain_name', 'actual_date'],
+    },
+  },
+  {
+    name: 'metrc_destroy_plant_batch',
+    description: 'Destroy plants of a plant batch (some or all). Supply the batch Id, count, waste method, waste reason, note and date; some states also require the waste weight.',
+    annotations: DESTRUCTIVE,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        license_number: { type: 'string', description: 'Facility license number' },
+        plant_batch_id: { type: 'number', description: 'Plant batch Id from metrc_get_plant_batches' },
+        count: { type: 'integer', minimum: 1, description: 'Number of plants to destroy' },
+        waste_method_name: { type: 'string', description: 'Waste method (from metrc_get_waste_methods)' },
+        waste_reason_name: { type: 'string', description: 'Waste reason (from metrc_get_plant_batch_waste_reasons)' },
+        waste_material_mixed: { type: 'string', description: 'Material the waste was mixed with (e.g. Soil)' },
+        waste_weight: { type: 'number', minimum: 0, description: 'Waste weight' },
+        waste_unit_of_measure: { type: 'string', description: 'Unit of the waste weight (e.g. Grams)' },
+        reason_note: { type: 'string', description: 'Reason for destroying the plants' },
+        actual_date: { type: 'string', format: 'date', description: 'Date of destruction (YYYY-MM-DD)' },
+      },
+      required: ['license_number', 'plant_batch_id', 'count', 'waste_method_name', 'waste_reason_name', 'reason_note', 'actual_date'],
+    },
+  },
+  {
+    name: 'metrc_create_plantings_from_plants',
+    description: 'Create a plant batch of clones or seeds taken from a mother plant. Supply the mother plant label, new batch name, type, count, location, strain and date.',
+    annotations: CREATES,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        license_number: { type: 'string', description: 'Facility license number' },
+        plant_label: { type: 'string', pattern: TAG_PATTERN, description: 'Mother plant label' },
+        plant_batch_name: { type: 'string', description: 'Name of the new plant batch' },
+        plant_batch_type: { type: 'string', description: 'Plant batch type from metrc_get_plant_batch_types (e.g. Clone, Seed)' },
+        plant_count: { type: 'integer', minimum: 1, description: 'Number of clones or seeds' },
+        location_name: { type: 'string', description: 'Location name for the new batch' },
+        sublocation_name: { type: 'string', description: 'Sublocation name, if the facility uses them' },
+        strain_name: { type: 'string', description: 'Strain name for the new batch' },
+        actual_date: { type: 'string', format: 'date', description: 'Date taken (YYYY-MM-DD)' },
+      },
+      required: ['license_number', 'plant_label', 'plant_batch_name', 'plant_batch_type', 'plant_count', 'location_name', 'strain_name', 'actual_date'],
+    },
+  },
+  {
+    name: 'metrc_tag_plant_batch',
+    description: 'Tag immature plants: assign (or replace) the plant tag of a plant batch. Only for facilities that can tag plant batches (CanTagPlantBatches in metrc_get_facilities); to give each plant its own tag, use metrc_change_plant_batch_growth_phase.',
+    annotations: UPDATES,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        license_number: { type: 'string', description: 'Facility license number' },
+        plant_batch_id: { type: 'number', description: 'Plant batch Id' },
+        plant_batch_name: { type: 'string', description: 'Plant batch name' },
+        new_tag: { type: 'string', pattern: TAG_PATTERN, description: 'Plant tag from metrc_get_tags_plant_available' },
+        replace_date: { type: 'string', format: 'date', description: 'Date tagged (YYYY-MM-DD)' },
+      },
+      required: ['license_number', 'new_tag', 'replace_date'],
+    },
+  },
+  // Additives
+  {
+    name: 'metrc_get_additive_types',
+    description: 'List additive types (Fertilizer, Pesticide, Other)',
+    annotations: READ_ONLY,
+    inputSchema: {
+      type: 'object',
+      properties: { license_number: { type: 'string', description: 'Facility license number' } },
+      required: ['license_number'],
+    },
+  },
+  {
+    name: 'metrc_get_additive_templates',
+    description: 'List the facility\'s active additive templates (product, EPA number, supplier, active ingredients, rate) to fill in additive applications',
+    annotations: READ_ONLY,
+    inputSchema: {
+      type: 'object',
+      properties: { license_number: { type: 'string', description: 'Facility license number' } },
+      required: ['license_number'],
+    },
+  },
+  {
+    name: 'metrc_record_plant_additives',
+    description: 'Record a fertilizer, pesticide or other additive application on plants: product, EPA registration number, amount and unit, applicator, active ingredients. Pesticides must include EPA number, supplier, application device and active ingredients with percentages.',
+    annotations: CREATES,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        license_number: { type: 'string', description: 'Facility license number' },
+        plant_labels: { type: 'array', items: { type: 'string', pattern: TAG_PATTERN }, minItems: 1, description: 'Labels of the plants treated' },
+        ...ADDITIVE_PROPERTIES,
+      },
+      required: ['license_number', 'plant_labels', ...ADDITIVE_REQUIRED],
+    },
+  },
+  {
+    name: 'metrc_record_plant_batch_additives',
+    description: 'Record a fertilizer, pesticide or other additive application on a plant batch: product, EPA registration number, amount and unit, applicator, active ingredients. Pesticides must include EPA number, supplier, application device and active ingredients with percentages.',
+    annotations: CREATES,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        license_number: { type: 'string', description: 'Facility license number' },
+        plant_batch_name: { type: 'string', description: 'Plant batch name from metrc_get_plant_batches' },
+        ...ADDITIVE_PROPERTIES,
+      },
+      required: ['license_number', 'plant_batch_name', ...ADDITIVE_REQUIRED],
+    },
+  },
   // Lookups by ID/label
   {
     name: 'metrc_get_harvest',
     description: 'Get a single harvest by ID',
+    annotations: READ_ONLY,
     inputSchema: {
       type: 'object',
       properties: {
@@ -269,12 +591,13 @@ export const TOOLS = [
   {
     name: 'metrc_get_package',
     description: 'Get a single package by ID or by label',
+    annotations: READ_ONLY,
     inputSchema: {
       type: 'object',
       properties: {
         license_number: { type: 'string', description: 'Facility license number' },
         package_id: { type: 'number', description: 'Package Id (use id or label, not both)' },
-        package_label: { type: 'string', description: 'Package label (use id or label)' },
+        package_label: { type: 'string', pattern: TAG_PATTERN, description: 'Package label (use id or label)' },
       },
       required: ['license_number'],
     },
@@ -282,6 +605,7 @@ export const TOOLS = [
   {
     name: 'metrc_get_plant',
     description: 'Get a single plant by ID or by label',
+    annotations: READ_ONLY,
     inputSchema: {
       type: 'object',
       properties: {
@@ -296,26 +620,104 @@ export const TOOLS = [
   {
     name: 'metrc_create_package',
     description: 'Create a new package. Requires item_id, tag, quantity, unit, location_id, and optional label.',
+    annotations: CREATES,
     inputSchema: {
       type: 'object',
       properties: {
         license_number: { type: 'string' },
-        tag: { type: 'string', description: 'Package tag from metrc_get_tags_package_available' },
+        tag: { type: 'string', pattern: TAG_PATTERN, description: 'Package tag from metrc_get_tags_package_available' },
         location_id: { type: 'number' },
         item_id: { type: 'number' },
-        quantity: { type: 'number' },
+        quantity: { type: 'number', minimum: 0 },
         unit_of_measure: { type: 'string' },
         is_production_batch: { type: 'boolean' },
         product_requires_remediation: { type: 'boolean' },
-        actual_date: { type: 'string', description: 'YYYY-MM-DD' },
-        ingredients: { type: 'array', items: { type: 'object' }, description: 'For derived packages' },
+        actual_date: { type: 'string', format: 'date', description: 'YYYY-MM-DD' },
+        ingredients: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              Package: { type: 'string', pattern: TAG_PATTERN, description: 'Source package label' },
+              Quantity: { type: 'number', minimum: 0 },
+              UnitOfMeasure: { type: 'string' },
+            },
+            required: ['Package', 'Quantity', 'UnitOfMeasure'],
+          },
+          description: 'For derived packages',
+        },
       },
       required: ['license_number', 'tag', 'location_id', 'item_id', 'quantity', 'unit_of_measure', 'actual_date'],
     },
   },
+  {
+    name: 'metrc_combine_packages',
+    description: 'Combine several packages into one new package. Give the source labels (optionally with the quantity to take from each), a new tag, and the date; item and location default to those the sources share. Checks that the sources exist, are not finished or on hold, have compatible units and enough quantity, then creates the package with the ingredients computed.',
+    annotations: CREATES,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        license_number: { type: 'string' },
+        sources: {
+          type: 'array',
+          minItems: 2,
+          items: {
+            type: 'object',
+            properties: {
+              label: { type: 'string', pattern: TAG_PATTERN, description: 'Source package label' },
+              quantity: { type: 'number', minimum: 0, description: 'Quantity to take (default: all that is left)' },
+              unit_of_measure: { type: 'string', description: 'Unit of quantity (default: the package unit)' },
+            },
+            required: ['label'],
+          },
+          description: 'Packages to combine',
+        },
+        tag: { type: 'string', pattern: TAG_PATTERN, description: 'New package tag from metrc_get_tags_package_available' },
+        item_id: { type: 'number', description: 'Item of the new package (default: the sources\' item, if they share one)' },
+        location_id: { type: 'number', description: 'Location of the new package (default: the sources\' location, if they share one)' },
+        quantity: { type: 'number', minimum: 0, description: 'Quantity of the new package; must equal the sum of the ingredients in its unit (default: that sum)' },
+        unit_of_measure: { type: 'string', description: 'Unit of the new package (default: unit of the first source)' },
+        actual_date: { type: 'string', format: 'date', description: 'YYYY-MM-DD' },
+      },
+      required: ['license_number', 'sources', 'tag', 'actual_date'],
+    },
+  },
+  {
+    name: 'metrc_split_package',
+    description: 'Split one package into several new packages, each with its own tag and quantity. Item and location default to the source package. Checks that the source exists, is not finished or on hold, that units are compatible and that the quantities fit, then creates the packages.',
+    annotations: CREATES,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        license_number: { type: 'string' },
+        label: { type: 'string', pattern: TAG_PATTERN, description: 'Source package label' },
+        packages: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            properties: {
+              tag: { type: 'string', pattern: TAG_PATTERN, description: 'New package tag from metrc_get_tags_package_available' },
+              quantity: { type: 'number', minimum: 0 },
+              unit_of_measure: { type: 'string', description: 'Default: the source package unit' },
+              item_id: { type: 'number' },
+              location_id: { type: 'number' },
+            },
+            required: ['tag', 'quantity'],
+          },
+          description: 'New packages to create from the source',
+        },
+        item_id: { type: 'number', description: 'Item for all new packages (default: the source item)' },
+        location_id: { type: 'number', description: 'Location for all new packages (default: the source location)' },
+        actual_date: { type: 'string', format: 'date', description: 'YYYY-MM-DD' },
+      },
+      required: ['license_number', 'label', 'packages', 'actual_date'],
+    },
+  },
   {
     name: 'metrc_create_harvest_packages',
     description: 'Create packages from a harvest. Supply harvest_id and package definitions (item, quantity, unit, tag, etc.).',
+    annotations: CREATES,
     inputSchema: {
       type: 'object',
       properties: {
@@ -327,16 +729,18 @@ export const TOOLS = [
           items: {
             type: 'object',
             properties: {
-              Tag: { type: 'string' },
+              Tag: { type: 'string', pattern: TAG_PATTERN },
               LocationId: { type: 'number' },
               ItemId: { type: 'number' },
-              Quantity: { type: 'number' },
+              Quantity: { type: 'number', minimum: 0 },
               UnitOfMeasure: { type: 'string' },
               IsProductionBatch: { type: 'boolean' },
               ProductRequiresRemediation: { type: 'boolean' },
-              ActualDate: { type: 'string' },
+              ActualDate: { type: 'string', format: 'date' },
             },
+            required: ['Tag', 'LocationId', 'ItemId', 'Quantity', 'UnitOfMeasure', 'ActualDate'],
           },
+          minItems: 1,
         },
       },
       required: ['license_number', 'packages'],
@@ -345,15 +749,16 @@ export const TOOLS = [
   {
     name: 'metrc_adjust_package',
     description: 'Adjust package quantity. Supply package label, quantity, unit, reason, and adjustment date.',
+    annotations: DESTRUCTIVE,
     inputSchema: {
       type: 'object',
       properties: {
         license_number: { type: 'string' },
-        label: { type: 'string' },
+        label: { type: 'string', pattern: TAG_PATTERN },
         quantity: { type: 'number' },
         unit_of_measure: { type: 'string' },
         adjustment_reason: { type: 'string' },
-        adjustment_date: { type: 'string' },
+        adjustment_date: { type: 'string', format: 'date' },
         reason_note: { type: 'string' },
       },
       required: ['license_number', 'label', 'quantity', 'unit_of_measure', 'adjustment_reason', 'adjustment_date'],
@@ -362,11 +767,12 @@ export const TOOLS = [
   {
     name: 'metrc_change_package_location',
     description: 'Change package location. Supply package label and new location_id.',
+    annotations: UPDATES,
     inputSchema: {
       type: 'object',
       properties: {
         license_number: { type: 'string' },
-        label: { type: 'string' },
+        label: { type: 'string', pattern: TAG_PATTERN },
         location_id: { type: 'number' },
       },
       required: ['license_number', 'label', 'location_id'],
@@ -375,12 +781,13 @@ export const TOOLS = [
   {
     name: 'metrc_finish_package',
     description: 'Finish a package (make it available for sale). Supply label and actual_date.',
+    annotations: DESTRUCTIVE,
     inputSchema: {
       type: 'object',
       properties: {
         license_number: { type: 'string' },
-        label: { type: 'string' },
-        actual_date: { type: 'string' },
+        label: { type: 'string', pattern: TAG_PATTERN },
+        actual_date: { type: 'string', format: 'date' },
       },
       required: ['license_number', 'label', 'actual_date'],
     },
@@ -388,12 +795,13 @@ export const TOOLS = [
   {
     name: 'metrc_unfinish_package',
     description: 'Unfinish a package. Supply label and actual_date.',
+    annotations: UPDATES,
     inputSchema: {
       type: 'object',
       properties: {
         license_number: { type: 'string' },
-        label: { type: 'string' },
-        actual_date: { type: 'string' },
+        label: { type: 'string', pattern: TAG_PATTERN },
+        actual_date: { type: 'string', format: 'date' },
       },
       required: ['license_number', 'label', 'actual_date'],
     },
@@ -402,6 +810,7 @@ export const TOOLS = [
   {
     name: 'metrc_bulk_adjust_packages',
     description: 'Adjust multiple packages in one call. Supply license_number and adjustments array (each: label, quantity, unit_of_measure, adjustment_reason, adjustment_date, optional reason_note).',
+    annotations: DESTRUCTIVE,
     inputSchema: {
       type: 'object',
       properties: {
@@ -411,15 +820,16 @@ export const TOOLS = [
           items: {
             type: 'object',
             properties: {
-              label: { type: 'string' },
+              label: { type: 'string', pattern: TAG_PATTERN },
               quantity: { type: 'number' },
               unit_of_measure: { type: 'string' },
               adjustment_reason: { type: 'string' },
-              adjustment_date: { type: 'string' },
+              adjustment_date: { type: 'string', format: 'date' },
               reason_note: { type: 'string' },
             },
             required: ['label', 'quantity', 'unit_of_measure', 'adjustment_reason', 'adjustment_date'],
           },
+          minItems: 1,
         },
       },
       required: ['license_number', 'adjustments'],
@@ -428,12 +838,13 @@ export const TOOLS = [
   {
     name: 'metrc_bulk_finish_packages',
     description: 'Finish multiple packages in one call. Supply license_number, actual_date, and labels array.',
+    annotations: DESTRUCTIVE,
     inputSchema: {
       type: 'object',
       properties: {
         license_number: { type: 'string' },
-        actual_date: { type: 'string' },
-        labels: { type: 'array', items: { type: 'string' }, description: 'Package labels to finish' },
+        actual_date: { type: 'string', format: 'date' },
+        labels: { type: 'array', items: { type: 'string', pattern: TAG_PATTERN }, minItems: 1, description: 'Package labels to finish' },
       },
       required: ['license_number', 'actual_date', 'labels'],
     },
@@ -441,6 +852,7 @@ export const TOOLS = [
   {
     name: 'metrc_bulk_change_package_location',
     description: 'Change location for multiple packages in one call. Supply license_number and moves array (each: label, location_id).',
+    annotations: UPDATES,
     inputSchema: {
       type: 'object',
       properties: {
@@ -450,11 +862,12 @@ export const TOOLS = [
           items: {
             type: 'object',
             properties: {
-              label: { type: 'string' },
+              label: { type: 'string', pattern: TAG_PATTERN },
               location_id: { type: 'number' },
             },
             required: ['label', 'location_id'],
           },
+          minItems: 1,
         },
       },
       required: ['license_number', 'moves'],
@@ -464,6 +877,7 @@ export const TOOLS = [
   {
     name: 'metrc_move_harvest',
     description: 'Move harvest to a different location. Supply harvest_id and new location_id.',
+    annotations: UPDATES,
     inputSchema: {
       type: 'object',
       properties: {
@@ -477,6 +891,7 @@ export const TOOLS = [
   {
     name: 'metrc_rename_harvest',
     description: 'Rename a harvest. Supply harvest_id and new name.',
+    annotations: UPDATES,
     inputSchema: {
       type: 'object',
       properties: {
@@ -490,12 +905,13 @@ export const TOOLS = [
   {
     name: 'metrc_finish_harvest',
     description: 'Finish a harvest. Supply harvest_id and actual_date.',
+    annotations: DESTRUCTIVE,
     inputSchema: {
       type: 'object',
       properties: {
         license_number: { type: 'string' },
         harvest_id: { type: 'number' },
-        actual_date: { type: 'string' },
+        actual_date: { type: 'string', format: 'date' },
       },
       required: ['license_number', 'harvest_id', 'actual_date'],
     },
@@ -503,12 +919,13 @@ export const TOOLS = [
   {
     name: 'metrc_unfinish_harvest',
     description: 'Unfinish a harvest. Supply harvest_id and actual_date.',
+    annotations: UPDATES,
     inputSchema: {
       type: 'object',
       properties: {
         license_number: { type: 'string' },
         harvest_id: { type: 'number' },
-        actual_date: { type: 'string' },
+        actual_date: { type: 'string', format: 'date' },
       },
       required: ['license_number', 'harvest_id', 'actual_date'],
     },
@@ -517,12 +934,13 @@ export const TOOLS = [
   {
     name: 'metrc_get_harvests_inactive',
     description: 'Get inactive harvests (with optional page)',
+    annotations: READ_ONLY,
     inputSchema: {
       type: 'object',
       properties: {
         license_number: { type: 'string' },
-        page_size: { type: 'number' },
-        page: { type: 'number' },
+        page_size: { type: 'integer', minimum: 1 },
+        page: { type: 'integer', minimum: 1 },
       },
       required: ['license_number'],
     },
@@ -530,12 +948,13 @@ export const TOOLS = [
   {
     name: 'metrc_get_packages_inactive',
     description: 'Get inactive packages',
+    annotations: READ_ONLY,
     inputSchema: {
       type: 'object',
       properties: {
         license_number: { type: 'string' },
-        page_size: { type: 'number' },
-        page: { type: 'number' },
+        page_size: { type: 'integer', minimum: 1 },
+        page: { type: 'integer', minimum: 1 },
       },
       required: ['license_number'],
     },
@@ -543,12 +962,13 @@ export const TOOLS = [
   {
     name: 'metrc_get_plant_batches_inactive',
     description: 'Get inactive plant batches',
+    annotations: READ_ONLY,
     inputSchema: {
       type: 'object',
       properties: {
         license_number: { type: 'string' },
-        page_size: { type: 'number' },
-        page: { type: 'number' },
+        page_size: { type: 'integer', minimum: 1 },
+        page: { type: 'integer', minimum: 1 },
       },
       required: ['license_number'],
     },
@@ -557,6 +977,7 @@ export const TOOLS = [
   {
     name: 'metrc_get_transfers_incoming',
     description: 'List incoming transfers',
+    annotations: READ_ONLY,
     inputSchema: {
       type: 'object',
       properties: { license_number: { type: 'string' } },
@@ -566,6 +987,7 @@ export const TOOLS = [
   {
     name: 'metrc_get_transfers_outgoing',
     description: 'List outgoing transfers',
+    annotations: READ_ONLY,
     inputSchema: {
       type: 'object',
       properties: { license_number: { type: 'string' } },
@@ -576,6 +998,7 @@ export const TOOLS = [
   {
     name: 'metrc_create_item',
     description: 'Create a new item (product). Supply name, category, unit of measure, etc.',
+    annotations: CREATES,
     inputSchema: {
       type: 'object',
       properties: {
@@ -599,6 +1022,7 @@ export const TOOLS = [
   {
     name: 'metrc_update_item',
     description: 'Update an existing item. Supply id and fields to update.',
+    annotations: UPDATES,
     inputSchema: {
       type: 'object',
       properties: {
@@ -615,16 +1039,17 @@ export const TOOLS = [
   {
     name: 'metrc_create_strain',
     description: 'Create a new strain',
+    annotations: CREATES,
     inputSchema: {
       type: 'object',
       properties: {
         license_number: { type: 'string' },
         name: { type: 'string' },
-        testing_status: { type: 'string' },
-        thc_level: { type: 'number' },
-        cbd_level: { type: 'number' },
-        indica_percentage: { type: 'number' },
-        sativa_percentage: { type: 'number' },
+        testing_status: { type: 'string', enum: ['None', 'InHouse', 'ThirdParty'] },
+        thc_level: { type: 'number', minimum: 0 },
+        cbd_level: { type: 'number', minimum: 0 },
+        indica_percentage: { type: 'number', minimum: 0, maximum: 100 },
+        sativa_percentage: { type: 'number', minimum: 0, maximum: 100 },
         genetics: { type: 'string' },
       },
       required: ['license_number', 'name'],
@@ -633,17 +1058,18 @@ export const TOOLS = [
   {
     name: 'metrc_update_strain',
     description: 'Update an existing strain',
+    annotations: UPDATES,
     inputSchema: {
       type: 'object',
       properties: {
         license_number: { type: 'string' },
         id: { type: 'number' },
         name: { type: 'string' },
-        testing_status: { type: 'string' },
-        thc_level: { type: 'number' },
-        cbd_level: { type: 'number' },
-        indica_percentage: { type: 'number' },
-        sativa_percentage: { type: 'number' },
+        testing_status: { type: 'string', enum: ['None', 'InHouse', 'ThirdParty'] },
+        thc_level: { type: 'number', minimum: 0 },
+        cbd_level: { type: 'number', minimum: 0 },
+        indica_percentage: { type: 'number', minimum: 0, maximum: 100 },
+        sativa_percentage: { type: 'number', minimum: 0, maximum: 100 },
         genetics: { type: 'string' },
       },
       required: ['license_number', 'id'],
@@ -653,6 +1079,7 @@ export const TOOLS = [
   {
     name: 'metrc_get_lab_test_types',
     description: 'Get lab test types',
+    annotations: READ_ONLY,
     inputSchema: {
       type: 'object',
       properties: { license_number: { type: 'string' } },
@@ -662,6 +1089,7 @@ export const TOOLS = [
   {
     name: 'metrc_get_lab_test_batches',
     description: 'Get lab test batches',
+    annotations: READ_ONLY,
     inputSchema: {
       type: 'object',
       properties: {
@@ -675,6 +1103,7 @@ export const TOOLS = [
   {
     name: 'metrc_get_lab_test_results',
     description: 'Get lab test results',
+    annotations: READ_ONLY,
     inputSchema: {
       type: 'object',
       properties: {
@@ -689,6 +1118,7 @@ export const TOOLS = [
   {
     name: 'metrc_post_harvest_waste',
     description: 'Record waste on a harvest. Supply harvest_id, waste method, quantity, unit, and date.',
+    annotations: DESTRUCTIVE,
     inputSchema: {
       type: 'object',
       properties: {
@@ -696,9 +1126,9 @@ export const TOOLS = [
         harvest_id: { type: 'number' },
         harvest_name: { type: 'string' },
         waste_method_id: { type: 'number' },
-        waste_amount: { type: 'number' },
+        waste_amount: { type: 'number', minimum: 0 },
         waste_unit_of_measure: { type: 'string' },
-        waste_date: { type: 'string' },
+        waste_date: { type: 'string', format: 'date' },
         reason_note: { type: 'string' },
       },
       required: ['license_number', 'harvest_id', 'harvest_name', 'waste_method_id', 'waste_amount', 'waste_unit_of_measure', 'waste_date'],
@@ -708,6 +1138,7 @@ export const TOOLS = [
   {
     name: 'metrc_get_processing_active',
     description: 'Get active processing jobs',
+    annotations: READ_ONLY,
     inputSchema: {
       type: 'object',
       properties: { license_number: { type: 'string' } },
@@ -717,6 +1148,7 @@ export const TOOLS = [
   {
     name: 'metrc_get_processing_job_types',
     description: 'Get processing job types',
+    annotations: READ_ONLY,
     inputSchema: {
       type: 'object',
       properties: { license_number: { type: 'string' } },
@@ -727,12 +1159,14 @@ export const TOOLS = [
   {
     name: 'metrc_sandbox_setup',
     description: 'Run sandbox integrator setup to seed test data (sandbox only)',
+    annotations: CREATES,
     inputSchema: { type: 'object', properties: {}, required: [] },
   },
   // Package tags
   {
     name: 'metrc_get_tags_package_available',
     description: 'Get available package tags',
+    annotations: READ_ONLY,
     inputSchema: {
       type: 'object',
       properties: { license_number: { type: 'string' } },
@@ -743,12 +1177,13 @@ export const TOOLS = [
   {
     name: 'metrc_get_sales_receipts',
     description: 'Get active sales receipts for a facility. Requires a dispensary or microbusiness license.',
+    annotations: READ_ONLY,
     inputSchema: {
       type: 'object',
       properties: {
         license_number: { type: 'string', description: 'Facility license number (dispensary or microbusiness)' },
-        page: { type: 'number', description: 'Page number (optional)' },
-        page_size: { type: 'number', description: 'Page size (optional)' },
+        page: { type: 'integer', minimum: 1, description: 'Page number (optional)' },
+        page_size: { type: 'integer', minimum: 1, description: 'Page size (optional)' },
       },
       required: ['license_number'],
     },
@@ -756,6 +1191,7 @@ export const TOOLS = [
   {
     name: 'metrc_get_sales_customer_types',
     description: 'Get available sales customer types (e.g. Consumer, Patient). Requires a dispensary or microbusiness license.',
+    annotations: READ_ONLY,
     inputSchema: {
       type: 'object',
       properties: {
@@ -767,11 +1203,12 @@ export const TOOLS = [
   {
     name: 'metrc_create_sales_receipt',
     description: 'Create a sales receipt with line-item transactions. Requires a dispensary or microbusiness license. Each transaction references a package label, quantity, unit, and total amount.',
+    annotations: CREATES,
     inputSchema: {
       type: 'object',
       properties: {
         license_number: { type: 'string', description: 'Facility license number' },
-        receipt_date: { type: 'string', description: 'Sale date YYYY-MM-DD' },
+        receipt_date: { type: 'string', format: 'date', description: 'Sale date YYYY-MM-DD' },
         sales_customer_type: { type: 'string', description: 'Customer type from metrc_get_sales_customer_types (e.g. Consumer, Patient)' },
         patient_license_number: { type: 'string', description: 'Patient license (required if customer type is Patient)' },
         caregiver_license_number: { type: 'string', description: 'Caregiver license (optional)' },
@@ -780,13 +1217,14 @@ export const TOOLS = [
           items: {
             type: 'object',
             properties: {
-              PackageLabel: { type: 'string', description: 'Package label being sold' },
-              Quantity: { type: 'number', description: 'Quantity sold' },
+              PackageLabel: { type: 'string', pattern: TAG_PATTERN, description: 'Package label being sold' },
+              Quantity: { type: 'number', minimum: 0, description: 'Quantity sold' },
               UnitOfMeasure: { type: 'string', description: 'Unit of measure' },
-              TotalAmount: { type: 'number', description: 'Total sale amount in dollars' },
+              TotalAmount: { type: 'number', minimum: 0, description: 'Total sale amount in dollars' },
             },
             required: ['PackageLabel', 'Quantity', 'UnitOfMeasure', 'TotalAmount'],
           },
+          minItems: 1,
           description: 'Array of transaction line items',
         },
       },
@@ -797,6 +1235,7 @@ export const TOOLS = [
   {
     name: 'metrc_get_transfer_types',
     description: 'Get available transfer types for a facility license',
+    annotations: READ_ONLY,
     inputSchema: {
       type: 'object',
       properties: {
@@ -807,7 +1246,8 @@ export const TOOLS = [
   },
   {
     name: 'metrc_create_transfer',
-    description: 'Create an external incoming transfer between facilities. Supply shipper, transporter, destination, packages, and dates.',
+    description: 'Create an external incoming transfer (POST /transfers/v2/external/incoming). Only facilities that can receive from external facilities (usually testing labs) may use it; to ship packages from your facility, use metrc_create_transfer_template. Supply shipper, transporter, destination, packages, and dates.',
+    annotations: CREATES,
     inputSchema: {
       type: 'object',
       properties: {
@@ -815,27 +1255,73 @@ export const TOOLS = [
         shipper_license_number: { type: 'string', description: 'Shipper facility license number' },
         transporter_license_number: { type: 'string', description: 'Transporter facility license number (can be same as shipper)' },
         transfer_type_name: { type: 'string', description: 'Transfer type from metrc_get_transfer_types' },
-        estimated_departure_date: { type: 'string', description: 'Estimated departure YYYY-MM-DD' },
-        estimated_arrival_date: { type: 'string', description: 'Estimated arrival YYYY-MM-DD' },
+        estimated_departure_date: { type: 'string', format: 'date', description: 'Estimated departure YYYY-MM-DD' },
+        estimated_arrival_date: { type: 'string', format: 'date', description: 'Estimated arrival YYYY-MM-DD' },
         packages: {
           type: 'array',
           items: {
             type: 'object',
             properties: {
-              PackageLabel: { type: 'string' },
-              WholesalePrice: { type: 'number' },
+              PackageLabel: { type: 'string', pattern: TAG_PATTERN },
+              WholesalePrice: { type: 'number', minimum: 0 },
             },
             required: ['PackageLabel'],
           },
+          minItems: 1,
           description: 'Packages to transfer',
         },
       },
       required: ['license_number', 'shipper_license_number', 'transfer_type_name', 'estimated_departure_date', 'estimated_arrival_date', 'packages'],
     },
   },
+  {
+    name: 'metrc_get_transfer_templates',
+    description: 'List outgoing transfer templates for a facility (the way transfers are created through the METRC API)',
+    annotations: READ_ONLY,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        license_number: { type: 'string', description: 'Facility license number (shipper)' },
+      },
+      required: ['license_number'],
+    },
+  },
+  {
+    name: 'metrc_create_transfer_template',
+    description: 'Create an outgoing transfer template: one or more destinations, each with transfer type, planned route, estimated departure/arrival, transporters (driver and vehicle) and packages. Get transfer types from metrc_get_transfer_types.',
+    annotations: CREATES,
+    inputSchema: { ...TRANSFER_TEMPLATE_SCHEMA },
+  },
+  {
+    name: 'metrc_update_transfer_template',
+    description: 'Replace an outgoing transfer template by template_id. Send the complete template (name, destinations, transporters, packages); omitted destinations and packages are removed.',
+    annotations: UPDATES,
+    inputSchema: {
+      ...TRANSFER_TEMPLATE_SCHEMA,
+      properties: {
+        template_id: { type: 'number', description: 'Template Id from metrc_get_transfer_templates' },
+        ...TRANSFER_TEMPLATE_SCHEMA.properties,
+      },
+      required: ['template_id', ...TRANSFER_TEMPLATE_SCHEMA.required],
+    },
+  },
+  {
+    name: 'metrc_delete_transfer_template',
+    description: 'Delete an outgoing transfer template by template_id',
+    annotations: DESTRUCTIVE,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        license_number: { type: 'string', description: 'Facility license number (shipper)' },
+        template_id: { type: 'number', description: 'Template Id from metrc_get_transfer_templates' },
+      },
+      required: ['license_number', 'template_id'],
+    },
+  },
   {
     name: 'metrc_get_transfer_deliveries',
     description: 'Get deliveries for a specific transfer by transfer ID',
+    annotations: READ_ONLY,
     inputSchema: {
       type: 'object',
       properties: {
@@ -848,6 +1334,40 @@ export const TOOLS = [
   {
     name: 'metrc_get_transfer_packages',
     description: 'Get packages within a specific delivery of a transfer',
+    annotations: READ_ONLY,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        license_number: { type: 'string', description: 'Facility license number' },
+        delivery_id: { type: 'number', description: 'Delivery ID from metrc_get_transfer_deliveries' },
+      },
+      required: ['license_number', 'delivery_id'],
+    },
+  },
+  {
+    name: 'metrc_get_transfers_rejected',
+    description: 'List transfers rejected by the receiving facility',
+    annotations: READ_ONLY,
+    inputSchema: {
+      type: 'object',
+      properties: { license_number: { type: 'string' } },
+      required: ['license_number'],
+    },
+  },
+  {
+    name: 'metrc_get_transfers_hub',
+    description: 'List transfers passing through this facility as a hub (layover)',
+    annotations: READ_ONLY,
+    inputSchema: {
+      type: 'object',
+      properties: { license_number: { type: 'string' } },
+      required: ['license_number'],
+    },
+  },
+  {
+    name: 'metrc_get_transfer_transporters',
+    description: 'Get the transporters of a delivery with driver and vehicle details',
+    annotations: READ_ONLY,
     inputSchema: {
       type: 'object',
       properties: {
@@ -857,16 +1377,75 @@ export const TOOLS = [
       required: ['license_number', 'delivery_id'],
     },
   },
+  {
+    name: 'metrc_get_transfer_package_states',
+    description: 'List the states a delivered package can be in (e.g. Shipped, Accepted, Rejected, Returned)',
+    annotations: READ_ONLY,
+    inputSchema: {
+      type: 'object',
+      properties: { license_number: { type: 'string' } },
+      required: ['license_number'],
+    },
+  },
+  {
+    name: 'metrc_get_transfer_wholesale_prices',
+    description: 'Get shipper and receiver wholesale prices reported for the packages of a delivery',
+    annotations: READ_ONLY,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        license_number: { type: 'string', description: 'Facility license number' },
+        delivery_id: { type: 'number', description: 'Delivery ID from metrc_get_transfer_deliveries' },
+      },
+      required: ['license_number', 'delivery_id'],
+    },
+  },
+  {
+    name: 'metrc_get_transfer_required_lab_batches',
+    description: 'Get the lab test batches required for a delivered package',
+    annotations: READ_ONLY,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        license_number: { type: 'string', description: 'Facility license number' },
+        package_id: { type: 'number', description: 'PackageId from metrc_get_transfer_packages' },
+      },
+      required: ['license_number', 'package_id'],
+    },
+  },
+  {
+    name: 'metrc_get_transfer_manifest',
+    description: 'Assemble one transfer into a manifest document: transfer header, deliveries, packages with wholesale prices and states, transporters with driver and vehicle details, and totals. Use for printing or reconciling a transfer.',
+    annotations: READ_ONLY,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        license_number: { type: 'string', description: 'Facility license number' },
+        transfer_id: { type: 'number', description: 'Transfer ID (Id from the incoming, outgoing or rejected list)' },
+        direction: {
+          type: 'string',
+          enum: ['outgoing', 'incoming', 'rejected'],
+          description: 'Which list holds the transfer header (default: outgoing, then incoming)',
+        },
+        include_lab_test_batches: {
+          type: 'boolean',
+          description: 'Also list required lab test batches per package (one extra request per package)',
+        },
+      },
+      required: ['license_number', 'transfer_id'],
+    },
+  },
   // Lab Tests (record) & Processing (remediate) & Item Categories
   {
     name: 'metrc_record_lab_test_results',
     description: 'Record lab test results for a package. Requires a testing lab license. Supply package label, result date, overall pass/fail, and individual test results.',
+    annotations: CREATES,
     inputSchema: {
       type: 'object',
       properties: {
         license_number: { type: 'string', description: 'Facility license number (testing lab)' },
-        package_label: { type: 'string', description: 'Package label to record results for' },
-        result_date: { type: 'string', description: 'Result date YYYY-MM-DD' },
+        package_label: { type: 'string', pattern: TAG_PATTERN, description: 'Package label to record results for' },
+        result_date: { type: 'string', format: 'date', description: 'Result date YYYY-MM-DD' },
         overall_passed: { type: 'boolean', description: 'Whether the package passed overall testing' },
         results: {
           type: 'array',
@@ -880,6 +1459,7 @@ export const TOOLS = [
             },
             required: ['LabTestTypeName', 'Quantity', 'Passed'],
           },
+          minItems: 1,
           description: 'Individual test results',
         },
       },
@@ -889,6 +1469,7 @@ export const TOOLS = [
   {
     name: 'metrc_get_item_categories',
     description: 'Get available item categories (e.g. Buds, Concentrate, Edible). Useful when creating items.',
+    annotations: READ_ONLY,
     inputSchema: {
       type: 'object',
       properties: {
@@ -900,13 +1481,14 @@ export const TOOLS = [
   {
     name: 'metrc_remediate_package',
     description: 'Remediate a package that failed lab testing. Supply the package label, remediation method, and date.',
+    annotations: CREATES,
     inputSchema: {
       type: 'object',
       properties: {
         license_number: { type: 'string', description: 'Facility license number' },
-        package_label: { type: 'string', description: 'Package label to remediate' },
+        package_label: { type: 'string', pattern: TAG_PATTERN, description: 'Package label to remediate' },
         remediation_method: { type: 'string', description: 'Remediation method description' },
-        remediation_date: { type: 'string', description: 'Remediation date YYYY-MM-DD' },
+        remediation_date: { type: 'string', format: 'date', description: 'Remediation date YYYY-MM-DD' },
       },
       required: ['license_number', 'package_label', 'remediation_method', 'remediation_date'],
     },
@@ -914,6 +1496,7 @@ export const TOOLS = [
   {
     name: 'metrc_submit_packages_for_testing',
     description: 'Submit packages for lab testing via POST /packages/v2/testing. Creates a lab sample package and transitions the source package to SubmittedForTesting state. Required for MA packages before they can be transferred.',
+    annotations: CREATES,
     inputSchema: {
       type: 'object',
       properties: {
@@ -923,29 +1506,61 @@ export const TOOLS = [
           items: {
             type: 'object',
             properties: {
-              tag: { type: 'string', description: 'Available RFID tag for the testing sample package' },
-              source_package_label: { type: 'string', description: 'Source package label to create sample from' },
+              tag: { type: 'string', pattern: TAG_PATTERN, description: 'Available RFID tag for the testing sample package' },
+              source_package_label: { type: 'string', pattern: TAG_PATTERN, description: 'Source package label to create sample from' },
               item_name: { type: 'string', description: 'Item name for the testing package' },
-              quantity: { type: 'number', description: 'Sample quantity' },
+              quantity: { type: 'number', minimum: 0, description: 'Sample quantity' },
               unit_of_measure: { type: 'string', description: 'Unit (e.g., Grams)' },
             },
             required: ['tag', 'source_package_label', 'item_name', 'quantity', 'unit_of_measure'],
           },
+          minItems: 1,
         },
       },
       required: ['license_number', 'packages'],
     },
   },
+  // Audit
+  {
+    name: 'metrc_get_audit_log',
+    description: 'Query the audit journal of writes this MCP server sent to METRC (who, when, license, tool, request body, METRC status and response). Newest first; only your own account\'s entries.',
+    annotations: READ_ONLY,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        license_number: { type: 'string', description: 'Only writes for this license' },
+        tool: { type: 'string', description: 'Only this tool (e.g. metrc_adjust_package)' },
+        package_label: { type: 'string', description: 'Only writes whose request body mentions this package label' },
+        start_date: { type: 'string', oneOf: DATE_OR_DATE_TIME, description: 'From this date/time (YYYY-MM-DD or ISO 8601)' },
+        end_date: { type: 'string', oneOf: DATE_OR_DATE_TIME, description: 'Until this date/time (a bare date includes that day)' },
+        limit: { type: 'integer', minimum: 1, description: 'Maximum entries (default 50)' },
+      },
+      required: [],
+    },
+  },
+  {
+    name: 'metrc_undo_operation',
+    description: 'Undo a previous write by its operation_id from metrc_get_audit_log: runs the compensating METRC calls (unfinish a finish, opposite adjustment, move back, rename back, delete posted harvest waste). Destroyed plants, created packages, harvests and similar writes are not reversible; the preview says why.',
+    annotations: DESTRUCTIVE,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        operation_id: { type: 'string', description: 'operation_id of the write to undo (from metrc_get_audit_log)' },
+      },
+      required: ['operation_id'],
+    },
+  },
   // Pagination
   {
     name: 'metrc_get_packages_with_pagination',
     description: 'Get packages with optional page and pageSize',
+    annotations: READ_ONLY,
     inputSchema: {
       type: 'object',
       properties: {
         license_number: { type: 'string' },
-        page: { type: 'number' },
-        page_size: { type: 'number' },
+        page: { type: 'integer', minimum: 1 },
+        page_size: { type: 'integer', minimum: 1 },
       },
       required: ['license_number'],
     },
@@ -953,6 +1568,7 @@ export const TOOLS = [
   {
     name: 'metrc_get_plant_batch_waste',
     description: 'Get plant batch waste records for a facility license',
+    annotations: READ_ONLY,
     inputSchema: {
       type: 'object',
       properties: {
@@ -964,6 +1580,7 @@ export const TOOLS = [
   {
     name: 'metrc_get_plant_batch_waste_reasons',
     description: 'Get valid waste reasons for plant batches',
+    annotations: READ_ONLY,
     inputSchema: {
       type: 'object',
       properties: {
@@ -975,6 +1592,7 @@ export const TOOLS = [
   {
     name: 'metrc_post_plant_batch_waste',
     description: 'Record waste for a plant batch',
+    annotations: DESTRUCTIVE,
     inputSchema: {
       type: 'object',
       properties: {
@@ -982,9 +1600,9 @@ export const TOOLS = [
         plant_batch_id: { type: 'number', description: 'Plant batch ID' },
         plant_batch_name: { type: 'string', description: 'Plant batch name' },
         waste_reason_name: { type: 'string', description: 'Waste reason (from metrc_get_plant_batch_waste_reasons)' },
-        waste_weight: { type: 'number', description: 'Waste weight' },
+        waste_weight: { type: 'number', minimum: 0, description: 'Waste weight' },
         unit_of_weight: { type: 'string', description: 'Unit of weight (e.g. Grams)' },
-        actual_date: { type: 'string', description: 'Date of waste event (YYYY-MM-DD)' },
+        actual_date: { type: 'string', format: 'date', description: 'Date of waste event (YYYY-MM-DD)' },
       },
       required: ['license_number', 'plant_batch_id', 'plant_batch_name', 'waste_reason_name', 'waste_weight', 'unit_of_weight', 'actual_date'],
     },
@@ -992,6 +1610,7 @@ export const TOOLS = [
   {
     name: 'metrc_get_package_adjust_reasons',
     description: 'Get valid adjustment reasons for packages (includes which require notes or waste weights)',
+    annotations: READ_ONLY,
     inputSchema: {
       type: 'object',
       properties: {
@@ -1003,6 +1622,7 @@ export const TOOLS = [
   {
     name: 'metrc_delete_harvest_waste',
     description: 'Delete a harvest waste record by ID',
+    annotations: DESTRUCTIVE,
     inputSchema: {
       type: 'object',
       properties: {
@@ -1015,28 +1635,156 @@ export const TOOLS = [
   {
     name: 'metrc_post_destroy_plants',
     description: 'Destroy mature plants (mark as destroyed with waste method and reason)',
+    annotations: DESTRUCTIVE,
     inputSchema: {
       type: 'object',
       properties: {
         license_number: { type: 'string', description: 'Facility license number' },
-        plant_ids: { type: 'array', items: { type: 'number' }, description: 'Array of plant IDs to destroy' },
+        plant_ids: { type: 'array', items: { type: 'number' }, minItems: 1, description: 'Array of plant IDs to destroy' },
         waste_method_name: { type: 'string', description: 'Waste method (from metrc_get_waste_methods)' },
         reason_note: { type: 'string', description: 'Reason for destroying plants' },
-        actual_date: { type: 'string', description: 'Date of destruction (YYYY-MM-DD)' },
+        actual_date: { type: 'string', format: 'date', description: 'Date of destruction (YYYY-MM-DD)' },
       },
       required: ['license_number', 'plant_ids', 'waste_method_name', 'reason_note', 'actual_date'],
     },
   },
 ];
 
-/** Get all tool definitions (MCP format). */
-export function getToolsList() {
-  return TOOLS;
+// List tools that accept page/page_size, `all_pages` (lib/pagination.js) and last_modified_start/_end (lib/date-windows.js)
+export const PAGINATED_TOOLS = new Set([
+  'metrc_get_packages',
+  'metrc_get_packages_with_pagination',
+  'metrc_get_packages_inactive',
+  'metrc_get_harvests',
+  'metrc_get_harvests_inactive',
+  'metrc_get_plant_batches',
+  'metrc_get_plant_batches_inactive',
+  'metrc_get_plants_flowering',
+  'metrc_get_plants_vegetative',
+  'metrc_get_sales_receipts',
+  'metrc_get_transfers_incoming',
+  'metrc_get_transfers_outgoing',
+  'metrc_get_transfers_rejected',
+  'metrc_get_transfers_hub',
+]);
+
+// List tools that also accept sales_date_start/_end
+export const SALES_DATE_TOOLS = new Set(['metrc_get_sales_receipts']);
+
+const dateArg = (what) => ({
+  type: 'string',
+  oneOf: DATE_OR_DATE_TIME,
+  description: `${what} (YYYY-MM-DD or ISO 8601). Ranges over 24h are split into daily requests and merged.`,
+});
+
+for (const tool of TOOLS) {
+  if (!PAGINATED_TOOLS.has(tool.name)) continue;
+  tool.inputSchema.properties = {
+    page: { type: 'integer', minimum: 1, description: 'Page to fetch (with all_pages: the first page to fetch)' },
+    page_size: { type: 'integer', minimum: 1 },
+    ...tool.inputSchema.properties,
+    last_modified_start: dateArg('Only records modified at or after this time'),
+    last_modified_end: dateArg('Only records modified before this time (a bare date includes that day)'),
+    ...(SALES_DATE_TOOLS.has(tool.name) && {
+      sales_date_start: dateArg('Only receipts with a sales date at or after this time'),
+      sales_date_end: dateArg('Only receipts with a sales date before this time (a bare date includes that day)'),
+    }),
+    all_pages: {
+      type: 'boolean',
+      description: 'Fetch every page and return one merged result (capped; see max_pages)',
+    },
+    max_pages: {
+      type: 'integer',
+      minimum: 1,
+      description: 'With all_pages: maximum pages to fetch (default 10, hard cap METRC_ALL_PAGES_MAX)',
+    },
+  };
+}
+
+// Read tools accept fields / where / sort / limit, applied after the fetch (lib/shaping.js),
+// output_format (lib/output-format.js) and no_cache (lib/cache.js)
+export const READ_TOOLS = new Set(TOOLS.filter((t) => t.annotations.readOnlyHint).map((t) => t.name));
+
+for (const tool of TOOLS) {
+  if (!READ_TOOLS.has(tool.name)) continue;
+  // A tool's own definition of an argument (e.g. metrc_get_audit_log's limit) wins
+  tool.inputSchema.properties = {
+    fields: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'Only return these fields; dotted paths allowed (e.g. ["Label", "Item.Name", "Quantity"])',
+    },
+    where: {
+      type: 'object',
+      description: 'Filter records: { "Item.Name": "X", "Quantity": { "lt": 5 } }. Operators: eq, ne, lt, lte, gt, gte, contains, in',
+    },
+    sort: {
+      type: 'string',
+      description: 'Sort by a field; prefix with - for descending (e.g. "-Quantity")',
+    },
+    limit: { type: 'integer', minimum: 0, description: 'Return at most this many records (after where and sort)' },
+    output_format: {
+      type: 'string',
+      enum: ['json', 'compact', 'csv', 'markdown'],
+      description: 'Result format: json (default), compact (minified JSON), csv or markdown table — csv/markdown use far fewer tokens for lists',
+    },
+    no_cache: { type: 'boolean', description: 'Skip the response cache and fetch fresh data from METRC' },
+    ...tool.inputSchema.properties,
+  };
+}
+
+// Tools that run other tools; each inner call is validated, previewed and journaled on its own
+export const COMPOSITE_TOOLS = new Set(['metrc_undo_operation']);
+
+// Every other tool writes to METRC and accepts dry_run (lib/dry-run.js) and idempotency_key (lib/idempotency.js)
+export const MUTATING_TOOLS = new Set(TOOLS.filter((t) => !READ_TOOLS.has(t.name)).map((t) => t.name));
+
+for (const tool of TOOLS) {
+  if (!MUTATING_TOOLS.has(tool.name)) continue;
+  tool.inputSchema.properties = {
+    ...tool.inputSchema.properties,
+    dry_run: {
+      type: 'boolean',
+      description: 'Preview only: build the METRC request, check it against current state and return what would change, without writing',
+    },
+    idempotency_key: {
+      type: 'string',
+      description: 'Unique key for this write (e.g. a UUID). Repeating the call with the same key and arguments returns the first result instead of writing again',
+    },
+  };
+}
+
+// Destructive tools need a confirmation_token from a first, previewing call (lib/confirmation.js)
+export const CONFIRMATION_TOOLS = new Set([
+  'metrc_undo_operation',
+  'metrc_post_destroy_plants',
+  'metrc_destroy_plant_batch',
+  'metrc_delete_harvest_waste',
+  'metrc_delete_transfer_template',
+  'metrc_bulk_finish_packages',
+  'metrc_bulk_adjust_packages',
+]);
+
+for (const tool of TOOLS) {
+  if (!CONFIRMATION_TOOLS.has(tool.name)) continue;
+  tool.description = tool.description.replace(/\.?$/, '. Two-phase: the first call returns a preview and a confirmation_token; call again with the same arguments plus confirmation_token to execute.');
+  tool.inputSchema.properties = {
+    ...tool.inputSchema.properties,
+    confirmation_token: {
+      type: 'string',
+      description: 'Token from the previewing first call; required to execute. Arguments must be unchanged.',
+    },
+  };
+}
+
+/** Get the tool definitions this deployment exposes (MCP format), per lib/policy.js. */
+export function getToolsList(policy = getToolPolicy()) {
+  return TOOLS.filter((t) => checkToolPolicy(t, policy).allowed);
 }
 
-/** Get tool definitions in OpenAI/OpenRouter function-calling format. */
-export function getOpenAITools() {
-  return TOOLS.map((t) => ({
+/** Get the exposed tool definitions in OpenAI/OpenRouter function-calling format. */
+export function getOpenAITools(policy = getToolPolicy()) {
+  return getToolsList(policy).map((t) => ({
     type: 'function',
     function: {
       name: t.name,
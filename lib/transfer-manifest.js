@@ -0,0 +1,123 @@
+/**
+ * Transfer manifest assembly (Edge-safe).
+ *
+ * METRC spreads one transfer over several endpoints: the transfer header (in the
+ * incoming/outgoing/rejected lists), its deliveries, each delivery's packages, wholesale
+ * prices, transporters and transporter details (driver, vehicle), and optionally the lab
+ * test batches each delivered package requires. buildTransferManifest() fetches them and
+ * returns one document for printing or reconciliation, with totals per delivery and overall.
+ */
+
+const HEADER_LISTS = {
+  outgoing: '/transfers/v2/outgoing',
+  incoming: '/transfers/v2/incoming',
+  rejected: '/transfers/v2/rejected',
+};
+
+function rowsOf(res) {
+  if (Array.isArray(res)) return res;
+  return Array.isArray(res?.Data) ? res.Data : [];
+}
+
+function sum(values) {
+  return values.reduce((total, v) => total + (Number.isFinite(Number(v)) ? Number(v) : 0), 0);
+}
+
+function countBy(rows, key) {
+  const counts = {};
+  for (const row of rows) {
+    const k = row[key] ?? 'Unknown';
+    counts[k] = (counts[k] || 0) + 1;
+  }
+  return counts;
+}
+
+/** Find the transfer header in the first page of the given lists (METRC has no GET by id). */
+async function findHeader(metrcFetch, licenseNumber, transferId, directions) {
+  for (const direction of directions) {
+    const list = rowsOf(await metrcFetch(HEADER_LISTS[direction], { licenseNumber }));
+    const header = list.find((t) => String(t.Id) === String(transferId));
+    if (header) return { direction, header };
+  }
+  return null;
+}
+
+async function buildDelivery(metrcFetch, licenseNumber, delivery, { includeLabTestBatches }) {
+  const id = delivery.Id;
+  const [packages, wholesale, transporters, details] = await Promise.all([
+    metrcFetch(`/transfers/v2/deliveries/${id}/packages`, { licenseNumber }),
+    metrcFetch(`/transfers/v2/deliveries/${id}/packages/wholesale`, { licenseNumber }),
+    metrcFetch(`/transfers/v2/deliveries/${id}/transporters`, { licenseNumber }),
+    metrcFetch(`/transfers/v2/deliveries/${id}/transporters/details`, { licenseNumber }),
+  ]);
+  const prices = new Map(rowsOf(wholesale).map((w) => [String(w.PackageId ?? w.PackageLabel), w]));
+
+  const rows = [];
+  for (const pkg of rowsOf(packages)) {
+    const price = prices.get(String(pkg.PackageId)) || prices.get(String(pkg.PackageLabel));
+    const row = {
+      ...pkg,
+      ShipperWholesalePrice: price?.ShipperWholesalePrice ?? pkg.ShipperWholesalePrice ?? null,
+      ReceiverWholesalePrice: price?.ReceiverWholesalePrice ?? pkg.ReceiverWholesalePrice ?? null,
+    };
+    if (includeLabTestBatches) {
+      const batches = await metrcFetch(`/transfers/v2/deliveries/package/${pkg.PackageId}/requiredlabtestbatches`, { licenseNumber });
+      row.RequiredLabTestBatches = rowsOf(batches);
+    }
+    rows.push(row);
+  }
+
+  return {
+    ...delivery,
+    Transporters: rowsOf(transporters),
+    TransporterDetails: rowsOf(details),
+    Packages: rows,
+    Totals: {
+      Packages: rows.length,
+      ShipperWholesaleTotal: sum(rows.map((r) => r.ShipperWholesalePrice)),
+      ReceiverWholesaleTotal: sum(rows.map((r) => r.ReceiverWholesalePrice)),
+      PackageStates: countBy(rows, 'ShipmentPackageState'),
+    },
+  };
+}
+
+/**
+ * Assemble transfer → deliveries → packages (with wholesale prices) → transporters.
+ *
+ * @param {Function} metrcFetch - (path, params?, options?) => Promise<any>
+ * @param {object} opts
+ * @param {string} opts.licenseNumber
+ * @param {number} opts.transferId
+ * @param {string} [opts.direction] - outgoing, incoming or rejected (default: look in outgoing, then incoming)
+ * @param {boolean} [opts.includeLabTestBatches] - One extra request per package
+ * @returns {Promise<object>} { TransferId, Direction, Transfer, Deliveries, Totals, GeneratedAt, Notice? }
+ */
+export async function buildTransferManifest(metrcFetch, { licenseNumber, transferId, direction, includeLabTestBatches = false }) {
+  const deliveries = rowsOf(await metrcFetch(`/transfers/v2/${transferId}/deliveries`, { licenseNumber }));
+  const found = await findHeader(metrcFetch, licenseNumber, transferId, direction ? [direction] : ['outgoing', 'incoming']);
+
+  const built = [];
+  for (const delivery of deliveries) {
+    built.push(await buildDelivery(metrcFetch, licenseNumber, delivery, { includeLabTestBatches }));
+  }
+  const packages = built.flatMap((d) => d.Packages);
+
+  return {
+    TransferId: transferId,
+    ManifestNumber: found?.header.ManifestNumber ?? null,
+    Direction: found?.direction ?? direction ?? null,
+    Transfer: found?.header ?? null,
+    Deliveries: built,
+    Totals: {
+      Deliveries: built.length,
+      Packages: packages.length,
+      ShipperWholesaleTotal: sum(built.map((d) => d.Totals.ShipperWholesaleTotal)),
+      ReceiverWholesaleTotal: sum(built.map((d) => d.Totals.ReceiverWholesaleTotal)),
+      PackageStates: countBy(packages, 'ShipmentPackageState'),
+    },
+    GeneratedAt: new Date().toISOString(),
+    ...(!found && {
+      Notice: `Transfer ${transferId} was not found on the first page of the ${direction || 'outgoing or incoming'} list; the header is omitted.`,
+    }),
+  };
+}
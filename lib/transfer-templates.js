@@ -0,0 +1,66 @@
+/**
+ * Outgoing transfer templates (Edge-safe).
+ *
+ * METRC only creates transfers through templates: POST /transfers/v2/templates/outgoing
+ * (confirmed by Metrc support; POST /transfers/v2/external/outgoing does not exist, and
+ * /transfers/v2/external/incoming only works for facilities that can receive from external
+ * facilities, i.e. labs). buildTransferTemplate() maps tool arguments to the payload shape
+ * proven by scripts/seeders/transfer.mjs, which uses it too: Name,
+ * TransporterFacilityLicenseNumber, and Destinations[] with PlannedRoute, estimated times,
+ * Transporters[] (driver and vehicle) and Packages[].
+ */
+
+function compact(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined && v !== null));
+}
+
+function buildTransporter(t, destination, fallbackLicense) {
+  return compact({
+    TransporterFacilityLicenseNumber: t.transporter_license_number ?? fallbackLicense,
+    TransporterDirection: t.direction ?? 'Outbound',
+    EstimatedDepartureDateTime: t.estimated_departure ?? destination.estimated_departure,
+    EstimatedArrivalDateTime: t.estimated_arrival ?? destination.estimated_arrival,
+    DriverName: t.driver_name,
+    DriverLicenseNumber: t.driver_license_number,
+    DriverOccupationalLicenseNumber: t.driver_occupational_license_number,
+    PhoneNumberForQuestions: t.phone_number,
+    VehicleMake: t.vehicle_make,
+    VehicleModel: t.vehicle_model,
+    VehicleLicensePlateNumber: t.vehicle_license_plate_number,
+    IsLayover: t.is_layover,
+  });
+}
+
+function buildPackage(p) {
+  return compact({
+    PackageLabel: p.package_label,
+    WholesalePrice: p.wholesale_price,
+    GrossWeight: p.gross_weight,
+    GrossUnitOfWeightName: p.gross_unit_of_weight,
+  });
+}
+
+/**
+ * Build one template for POST/PUT /transfers/v2/templates/outgoing.
+ *
+ * @param {object} args - Tool arguments (name, transporter_license_number, destinations[], optional template_id)
+ * @param {string} [shipperLicense] - Default transporter when none is given (the shipping facility)
+ * @returns {object} METRC template (send as a one-element array)
+ */
+export function buildTransferTemplate(args, shipperLicense = args.license_number) {
+  const transporterLicense = args.transporter_license_number ?? shipperLicense;
+  return compact({
+    TransferTemplateId: args.template_id,
+    Name: args.name,
+    TransporterFacilityLicenseNumber: transporterLicense,
+    Destinations: (args.destinations || []).map((d) => compact({
+      RecipientLicenseNumber: d.recipient_license_number,
+      TransferTypeName: d.transfer_type_name,
+      PlannedRoute: d.planned_route,
+      EstimatedDepartureDateTime: d.estimated_departure,
+      EstimatedArrivalDateTime: d.estimated_arrival,
+      Transporters: (d.transporters?.length ? d.transporters : [{}]).map((t) => buildTransporter(t, d, transporterLicense)),
+      Packages: (d.packages || []).map(buildPackage),
+    })),
+  });
+}
@@ -0,0 +1,265 @@
+/**
+ * Undo (compensating actions) for journaled writes (Edge-safe).
+ *
+ * Many writes have a natural inverse. planUndo() turns one audit journal entry
+ * (lib/audit.js) into the tool calls that reverse it; metrc_undo_operation runs them
+ * through executeTool, so each compensating call is validated, previewable with
+ * dry_run and journaled itself (with `undo_of` pointing at the original).
+ *
+ * Reversible:
+ *   finish ↔ unfinish (packages, harvests), package adjustments (opposite adjustment),
+ *   package location changes, harvest moves and renames, plant moves and strain changes
+ *   (previous value captured in the journal before the write), harvest waste (deleted by
+ *   the id of the waste record the write added; refused when it cannot be told apart).
+ * Everything else is listed in NOT_REVERSIBLE with the reason.
+ *
+ * Each compensating write is journaled with its step index (`undo_step`). A retry after a
+ * partial failure passes the steps that already succeeded to planUndo() and runs only the rest.
+ */
+
+/** Endpoints whose writes cannot be compensated, with the reason shown to the user. */
+export const NOT_REVERSIBLE = {
+  '/plants/v2/destroyplants': 'Destroyed plants cannot be restored in METRC.',
+  '/plants/v2/harvest': 'METRC cannot un-harvest plants; discontinue or adjust the harvest instead.',
+  '/plants/v2/growthphase': 'METRC does not move flowering plants back to vegetative.',
+  '/plantbatches/v2/growthphase': 'Plants created from a batch cannot be merged back into it.',
+  '/plantbatches/v2/plantings': 'Plantings cannot be removed; destroy the plant batch if it was created in error.',
+  '/plantbatches/v2/waste': 'METRC has no endpoint to delete plant batch waste.',
+  '/plantbatches/v2/': 'Destroyed plant batches cannot be restored in METRC.',
+  '/plantbatches/v2/split': 'Split plant batches cannot be merged back; destroy the new batch if it was created in error.',
+  '/plantbatches/v2/tag': 'Plant batch tags are not reverted automatically; retag the batch with metrc_tag_plant_batch.',
+  '/plants/v2/plantings': 'Plantings cannot be removed; destroy the plant batch if it was created in error.',
+  '/plants/v2/additives': 'Additive applications cannot be removed through the API.',
+  '/plantbatches/v2/additives': 'Additive applications cannot be removed through the API.',
+  '/plants/v2/manicure': 'Manicured weight cannot be removed from the harvest; adjust the harvest or its packages instead.',
+  '/packages/v2/': 'Created packages cannot be deleted; adjust them to zero and finish them instead.',
+  '/harvests/v2/packages': 'Packages created from a harvest cannot be deleted; adjust and finish them instead.',
+  '/packages/v2/remediate': 'Remediation cannot be reverted.',
+  '/packages/v2/testing': 'Test samples cannot be deleted once created.',
+  '/labtests/v2/record': 'Recorded lab results cannot be removed through the API.',
+  '/sales/v2/receipts': 'Sales receipts are not reverted automatically; void the receipt in METRC.',
+  '/transfers/v2/external/incoming': 'Transfers are not reverted automatically; void the manifest in METRC.',
+  '/transfers/v2/templates/outgoing': 'Template changes are not reverted automatically; update or delete the template (metrc_update_transfer_template, metrc_delete_transfer_template).',
+  '/sandbox/v2/integrator/setup': 'Sandbox setup cannot be reverted.',
+  '/items/v2/': 'Item changes are not reverted automatically; edit or archive the item in METRC.',
+  '/strains/v2/': 'Strain changes are not reverted automatically; edit or archive the strain in METRC.',
+  '/locations/v2/': 'Created locations are not removed automatically; archive the location in METRC.',
+};
+
+function rows(body) {
+  return Array.isArray(body) ? body : body == null ? [] : [body];
+}
+
+// Plants are addressed by Label or Id in the same request body
+function plantKey(row) {
+  return row.Label ?? row.Id;
+}
+
+function plantArgs(row) {
+  return row.Label != null ? { plant_labels: [row.Label] } : { plant_ids: [row.Id] };
+}
+
+async function getHarvestWaste(metrcFetch, harvestId, licenseNumber) {
+  const res = await metrcFetch('/harvests/v2/waste', { licenseNumber, harvestId });
+  return Array.isArray(res) ? res : Array.isArray(res?.Data) ? res.Data : [];
+}
+
+async function getHarvest(metrcFetch, id, licenseNumber) {
+  const h = await metrcFetch(`/harvests/v2/${id}`, { licenseNumber });
+  return { Id: h?.Id ?? id, Name: h?.Name ?? null, LocationId: h?.DryingLocationId ?? h?.LocationId ?? null };
+}
+
+/**
+ * Capture the state a write will overwrite, for the writes that need it to be undone.
+ * Passed to createAuditingFetch as `captureBefore`.
+ *
+ * @returns {Promise<object|null>} Keyed by package label or harvest id
+ */
+export async function captureBeforeState({ path, params, body }, metrcFetch) {
+  const licenseNumber = params.licenseNumber;
+  const before = {};
+  if (path === '/packages/v2/location') {
+    for (const row of rows(body)) {
+      const p = await metrcFetch(`/packages/v2/${encodeURIComponent(row.Label)}`, { licenseNumber });
+      before[row.Label] = { LocationId: p?.LocationId ?? null, LocationName: p?.LocationName ?? null };
+    }
+    return before;
+  }
+  if (path === '/plants/v2/location' || path === '/plants/v2/strain') {
+    for (const row of rows(body)) {
+      const key = plantKey(row);
+      const p = await metrcFetch(`/plants/v2/${encodeURIComponent(key)}`, { licenseNumber });
+      before[key] = {
+        LocationName: p?.LocationName ?? null,
+        SublocationName: p?.SublocationName ?? null,
+        StrainId: p?.StrainId ?? null,
+        StrainName: p?.StrainName ?? null,
+      };
+    }
+    return before;
+  }
+  if (path === '/harvests/v2/location' || path === '/harvests/v2/rename') {
+    for (const row of rows(body)) before[row.Id] = await getHarvest(metrcFetch, row.Id, licenseNumber);
+    return before;
+  }
+  if (path === '/harvests/v2/waste') {
+    // METRC does not return the new waste ids; the ones that existed before tell them apart afterwards
+    for (const row of rows(body)) {
+      if (before[row.HarvestId]) continue;
+      const records = await getHarvestWaste(metrcFetch, row.HarvestId, licenseNumber);
+      before[row.HarvestId] = { WasteIds: records.map((w) => w.Id) };
+    }
+    return before;
+  }
+  return null;
+}
+
+function notReversible(entry, reason) {
+  return { operation_id: entry.operation_id, reversible: false, reason, steps: [] };
+}
+
+/**
+ * Plan the compensating tool calls for a journal entry.
+ *
+ * @param {object} entry - Audit journal entry
+ * @param {Function} metrcFetch - For lookups some plans need (harvest waste ids)
+ * @param {object} [opts]
+ * @param {Map<number, object>} [opts.applied] - Step index → journal entry of a compensating write that
+ *   already succeeded; those steps are planned from the journal instead of current METRC state
+ * @returns {Promise<{ operation_id: string, reversible: boolean, reason?: string, steps: Array<{ tool: string, args: object }> }>}
+ */
+export async function planUndo(entry, metrcFetch, { applied = new Map() } = {}) {
+  if (!entry.ok) return notReversible(entry, 'The original write failed, so there is nothing to undo.');
+  const license_number = entry.license;
+  const body = rows(entry.request_body);
+  const step = (tool, args) => ({ tool, args: { license_number, ...args } });
+  const needBefore = () => notReversible(entry, 'The previous value was not captured when this write ran.');
+
+  switch (`${entry.method} ${entry.endpoint}`) {
+    case 'PUT /packages/v2/finish':
+      return { operation_id: entry.operation_id, reversible: true, steps: body.map((r) => step('metrc_unfinish_package', { label: r.Label, actual_date: r.ActualDate })) };
+    case 'PUT /packages/v2/unfinish':
+      return { operation_id: entry.operation_id, reversible: true, steps: body.map((r) => step('metrc_finish_package', { label: r.Label, actual_date: r.ActualDate })) };
+    case 'PUT /harvests/v2/finish':
+      return { operation_id: entry.operation_id, reversible: true, steps: body.map((r) => step('metrc_unfinish_harvest', { harvest_id: r.Id, actual_date: r.ActualDate })) };
+    case 'PUT /harvests/v2/unfinish':
+      return { operation_id: entry.operation_id, reversible: true, steps: body.map((r) => step('metrc_finish_harvest', { harvest_id: r.Id, actual_date: r.ActualDate })) };
+
+    case 'POST /packages/v2/adjust':
+      return {
+        operation_id: entry.operation_id,
+        reversible: true,
+        steps: body.map((r) => step('metrc_adjust_package', {
+          label: r.Label,
+          quantity: -Number(r.Quantity),
+          unit_of_measure: r.UnitOfMeasure,
+          adjustment_reason: r.AdjustmentReason,
+          adjustment_date: r.AdjustmentDate,
+          reason_note: `Undo of operation ${entry.operation_id}`,
+        })),
+      };
+
+    case 'PUT /packages/v2/location': {
+      if (!entry.before) return needBefore();
+      const missing = body.filter((r) => entry.before[r.Label]?.LocationId == null);
+      if (missing.length) return notReversible(entry, `Previous location unknown for ${missing.map((r) => r.Label).join(', ')}.`);
+      return {
+        operation_id: entry.operation_id,
+        reversible: true,
+        steps: body.map((r) => step('metrc_change_package_location', { label: r.Label, location_id: entry.before[r.Label].LocationId })),
+      };
+    }
+    case 'PUT /harvests/v2/location': {
+      if (!entry.before) return needBefore();
+      const missing = body.filter((r) => entry.before[r.Id]?.LocationId == null);
+      if (missing.length) return notReversible(entry, `Previous location unknown for harvest ${missing.map((r) => r.Id).join(', ')}.`);
+      return {
+        operation_id: entry.operation_id,
+        reversible: true,
+        steps: body.map((r) => step('metrc_move_harvest', { harvest_id: r.Id, location_id: entry.before[r.Id].LocationId })),
+      };
+    }
+    case 'PUT /harvests/v2/rename': {
+      if (!entry.before) return needBefore();
+      const missing = body.filter((r) => !entry.before[r.Id]?.Name);
+      if (missing.length) return notReversible(entry, `Previous name unknown for harvest ${missing.map((r) => r.Id).join(', ')}.`);
+      return {
+        operation_id: entry.operation_id,
+        reversible: true,
+        steps: body.map((r) => step('metrc_rename_harvest', { harvest_id: r.Id, new_name: entry.before[r.Id].Name })),
+      };
+    }
+
+    case 'PUT /plants/v2/location': {
+      if (!entry.before) return needBefore();
+      const missing = body.filter((r) => !entry.before[plantKey(r)]?.LocationName);
+      if (missing.length) return notReversible(entry, `Previous location unknown for plant ${missing.map(plantKey).join(', ')}.`);
+      return {
+        operation_id: entry.operation_id,
+        reversible: true,
+        steps: body.map((r) => {
+          const was = entry.before[plantKey(r)];
+          return step('metrc_move_plants', {
+            ...plantArgs(r),
+            location_name: was.LocationName,
+            ...(was.SublocationName && { sublocation_name: was.SublocationName }),
+            actual_date: r.ActualDate,
+          });
+        }),
+      };
+    }
+    case 'PUT /plants/v2/strain': {
+      if (!entry.before) return needBefore();
+      const missing = body.filter((r) => entry.before[plantKey(r)]?.StrainId == null);
+      if (missing.length) return notReversible(entry, `Previous strain unknown for plant ${missing.map(plantKey).join(', ')}.`);
+      return {
+        operation_id: entry.operation_id,
+        reversible: true,
+        steps: body.map((r) => {
+          const was = entry.before[plantKey(r)];
+          return step('metrc_change_plants_strain', {
+            ...plantArgs(r),
+            strain_id: was.StrainId,
+            ...(was.StrainName && { strain_name: was.StrainName }),
+            actual_date: r.ActualDate,
+          });
+        }),
+      };
+    }
+
+    case 'POST /harvests/v2/waste': {
+      // Candidates are the harvest's waste records with the posted amount and date that were not there
+      // before the write. When they cannot be told apart from other records, deleting one might delete
+      // someone else's waste, so the write is not undone.
+      const matches = (w, r) => Number(w.WasteWeight ?? w.WasteAmount) === Number(r.WasteAmount)
+        && String(w.ActualDate ?? w.WasteDate ?? '').startsWith(r.WasteDate);
+      const sameRow = (o, r) => o.HarvestId === r.HarvestId && matches(o, r);
+      const byHarvest = new Map();
+      const claimed = new Set();
+      const steps = [];
+      for (const [i, r] of body.entries()) {
+        // Already deleted by an earlier attempt: the waste id is in that write's endpoint
+        if (applied.has(i)) {
+          steps.push(step('metrc_delete_harvest_waste', { waste_id: Number(applied.get(i).endpoint.split('/').pop()) }));
+          continue;
+        }
+        if (!byHarvest.has(r.HarvestId)) byHarvest.set(r.HarvestId, await getHarvestWaste(metrcFetch, r.HarvestId, license_number));
+        const existed = new Set(entry.before?.[r.HarvestId]?.WasteIds ?? []);
+        const candidates = byHarvest.get(r.HarvestId).filter((w) => !existed.has(w.Id) && matches(w, r));
+        const wanted = body.filter((o, j) => !applied.has(j) && sameRow(o, r)).length;
+        if (candidates.length > wanted) {
+          return notReversible(entry, `More than one waste record on harvest ${r.HarvestId} matches ${r.WasteAmount} on ${r.WasteDate}, so the one this write created cannot be identified; delete it with metrc_delete_harvest_waste.`);
+        }
+        const match = candidates.sort((a, b) => a.Id - b.Id).find((w) => !claimed.has(w.Id));
+        if (!match) return notReversible(entry, `Could not find the waste record for harvest ${r.HarvestId}; it may already be deleted.`);
+        claimed.add(match.Id);
+        steps.push(step('metrc_delete_harvest_waste', { waste_id: match.Id }));
+      }
+      return { operation_id: entry.operation_id, reversible: true, steps };
+    }
+  }
+
+  const reason = NOT_REVERSIBLE[entry.endpoint]
+    || (entry.method === 'DELETE' ? 'Deleted records cannot be restored.' : `No compensating action is defined for ${entry.method} ${entry.endpoint}.`);
+  return notReversible(entry, reason);
+}
@@ -1,11 +1,23 @@
 /**
  * Lightweight JSON Schema validation for MCP tool inputs (FOR-995).
  *
- * Validates required fields and basic types without external dependencies.
- * Catches common LLM errors (wrong types, missing fields) before they hit
- * the METRC API, producing clearer error messages.
+ * Validates tool arguments against the tool's inputSchema without external
+ * dependencies, so common LLM errors (wrong types, missing or malformed fields,
+ * bad dates) are caught before they hit the METRC API with clearer messages.
+ *
+ * Supported keywords: type (string, number, integer, boolean, array, object), required,
+ * properties, items, enum, pattern, format (date, date-time), minimum, maximum,
+ * minItems, oneOf. Errors name the offending value by JSON pointer, e.g.
+ * "/packages/0/Quantity: expected number, got string".
  */
 
+// Calendar date, as METRC expects for ActualDate and friends
+const DATE_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+// 3/4/2026: lib/coerce.js only converts slash dates whose day and month cannot be swapped
+const SLASH_DATE_RE = /^(\d{1,2})\/(\d{1,2})\/\d{4}$/;
+// ISO 8601 date-time; the offset is optional (METRC treats bare times as facility-local)
+const DATE_TIME_RE = /^(\d{4}-\d{2}-\d{2})T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+
 /**
  * Validate tool arguments against the tool's inputSchema.
  *
@@ -16,52 +28,125 @@
  */
 export function validateToolInput(toolName, args, inputSchema) {
   const errors = [];
-  const { required = [], properties = {} } = inputSchema;
+  validateValue(args ?? {}, { type: 'object', ...inputSchema }, '', errors);
+  return { valid: errors.length === 0, errors };
+}
 
-  // Check required fields
-  for (const field of required) {
-    if (args[field] === undefined || args[field] === null) {
-      const prop = properties[field];
-      const hint = prop?.description ? ` (${prop.description})` : '';
-      errors.push(`Missing required field: ${field}${hint}`);
-    }
-  }
+/** Escape one JSON pointer segment (RFC 6901). */
+function segment(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
 
-  // Type-check provided fields
-  for (const [key, value] of Object.entries(args)) {
-    if (value === undefined || value === null) continue;
-    const schema = properties[key];
-    if (!schema || !schema.type) continue;
+function typeName(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
 
-    const err = checkType(key, value, schema.type);
-    if (err) errors.push(err);
-  }
+function isValidDate(text) {
+  const m = DATE_RE.exec(text);
+  if (!m) return false;
+  const d = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])));
+  return d.getUTCFullYear() === Number(m[1]) && d.getUTCMonth() === Number(m[2]) - 1 && d.getUTCDate() === Number(m[3]);
+}
 
-  return { valid: errors.length === 0, errors };
+function checkFormat(value, format) {
+  switch (format) {
+    case 'date': {
+      if (isValidDate(value)) return null;
+      const slash = SLASH_DATE_RE.exec(value);
+      return slash && Number(slash[1]) <= 12 && Number(slash[2]) <= 12
+        ? 'expected a date (YYYY-MM-DD); a slash date with day and month both 12 or less is ambiguous'
+        : 'expected a date (YYYY-MM-DD)';
+    }
+    case 'date-time': {
+      const m = DATE_TIME_RE.exec(value);
+      return m && isValidDate(m[1]) && !Number.isNaN(Date.parse(value))
+        ? null
+        : 'expected an ISO 8601 date-time (YYYY-MM-DDTHH:MM:SS)';
+    }
+  }
+  return null;
 }
 
-function checkType(key, value, expectedType) {
+function checkType(value, expectedType) {
   switch (expectedType) {
     case 'string':
-      if (typeof value !== 'string')
-        return `${key}: expected string, got ${typeof value}`;
-      break;
+      return typeof value === 'string';
     case 'number':
-      if (typeof value !== 'number' || Number.isNaN(value))
-        return `${key}: expected number, got ${typeof value}`;
-      break;
+      return typeof value === 'number' && !Number.isNaN(value);
+    case 'integer':
+      return Number.isInteger(value);
     case 'boolean':
-      if (typeof value !== 'boolean')
-        return `${key}: expected boolean, got ${typeof value}`;
-      break;
+      return typeof value === 'boolean';
     case 'array':
-      if (!Array.isArray(value))
-        return `${key}: expected array, got ${typeof value}`;
-      break;
+      return Array.isArray(value);
     case 'object':
-      if (typeof value !== 'object' || Array.isArray(value))
-        return `${key}: expected object, got ${Array.isArray(value) ? 'array' : typeof value}`;
-      break;
+      return typeof value === 'object' && value !== null && !Array.isArray(value);
+  }
+  return true;
+}
+
+/**
+ * Validate one value, appending "<pointer>: <message>" strings to `errors`.
+ * Stops descending into a value once its type is wrong.
+ */
+function validateValue(value, schema, pointer, errors) {
+  const at = pointer || '/';
+  if (schema.type && !checkType(value, schema.type)) {
+    errors.push(`${at}: expected ${schema.type}, got ${typeName(value)}`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${at}: ${JSON.stringify(value)} does not match ${schema.pattern}`);
+    }
+    const formatError = schema.format && checkFormat(value, schema.format);
+    if (formatError) errors.push(`${at}: ${formatError}, got ${JSON.stringify(value)}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${at}: must be >= ${schema.minimum}, got ${value}`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${at}: must be <= ${schema.maximum}, got ${value}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) {
+      errors.push(`${at}: expected at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}, got ${value.length}`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => validateValue(item, schema.items, `${pointer}/${i}`, errors));
+    }
+  }
+
+  if (checkType(value, 'object')) {
+    const properties = schema.properties || {};
+    for (const field of schema.required || []) {
+      if (value[field] === undefined || value[field] === null) {
+        const hint = properties[field]?.description ? ` (${properties[field].description})` : '';
+        errors.push(`${pointer}/${segment(field)}: missing required field${hint}`);
+      }
+    }
+    for (const [key, v] of Object.entries(value)) {
+      if (v === undefined || v === null || !properties[key]) continue;
+      validateValue(v, properties[key], `${pointer}/${segment(key)}`, errors);
+    }
+  }
+
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter((sub) => {
+      const subErrors = [];
+      validateValue(value, sub, pointer, subErrors);
+      return subErrors.length === 0;
+    });
+    if (matches.length !== 1) {
+      const options = schema.oneOf.map((sub) => sub.description || sub.format || sub.type || 'schema').join(' | ');
+      errors.push(`${at}: must match exactly one of: ${options} (matched ${matches.length})`);
+    }
   }
-  return null;
 }
@@ -5,6 +5,7 @@
 import { readFileSync, existsSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { createMetrcFetch as createSharedMetrcFetch } from '../../lib/metrc-http.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const root = join(__dirname, '..', '..');
@@ -62,31 +63,22 @@ export function hasCredentials() {
   return !!(VENDOR && USER);
 }
 
+// Encoded here rather than with @f8ai/metrc-client, so the scripts need no GitHub registry token
+function basicAuth(vendorKey, userKey) {
+  return `Basic ${Buffer.from(`${vendorKey}:${userKey}`).toString('base64')}`;
+}
+
+const envFetch = hasCredentials()
+  ? createSharedMetrcFetch({ baseUrl: BASE, vendorKey: VENDOR, userKey: USER, encodeAuth: basicAuth })
+  : null;
+
 export async function metrcFetch(path, params = {}, options = {}) {
-  if (!VENDOR || !USER) {
+  if (!envFetch) {
     throw new Error(
       'METRC credentials required. Set METRC_VENDOR_API_KEY and METRC_USER_API_KEY in .env (repo root) or in MCP config .cursor/mcp.json under env.'
     );
   }
-  const url = new URL(path, BASE);
-  Object.entries(params).forEach(([k, v]) => url.searchParams.set(k, String(v)));
-  const creds = Buffer.from(`${VENDOR}:${USER}`).toString('base64');
-  const init = {
-    method: options.method || 'GET',
-    headers: { Authorization: `Basic ${creds}` },
-  };
-  if (options.body !== undefined) {
-    init.headers['Content-Type'] = 'application/json';
-    init.body = JSON.stringify(options.body);
-  }
-  const res = await fetch(url.toString(), init);
-  const text = await res.text();
-  if (!res.ok) throw new Error(text || `HTTP ${res.status}`);
-  try {
-    return JSON.parse(text);
-  } catch {
-    return text;
-  }
+  return envFetch(path, params, options);
 }
 
 // Default to Retail Cultivation (CO-21) — Accelerator (CO-1) has crippled categories and no ForPlants location types.
@@ -95,13 +87,9 @@ export const LICENSE = process.env.METRC_LICENSE || 'SF-SBX-CO-21-8002';
 // ---------------------------------------------------------------------------
 // Configurable fetch — used by multi-state seeders
 // ---------------------------------------------------------------------------
-const INTER_REQUEST_DELAY_MS = 200;
-const MAX_RETRIES = 3;
-const INITIAL_BACKOFF_MS = 500;
-
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
+// Seeders pace themselves at ~5 requests/second (one every 200ms), on top of the
+// shared client's retries, 429 handling and timeouts (lib/metrc-http.js).
+const SEEDER_RATE_LIMIT = { perSecond: 5, burst: 1 };
 
 /**
  * Create a METRC API fetch function bound to a specific config.
@@ -114,54 +102,7 @@ export function createMetrcFetch(config) {
   if (!vendorKey || !userKey) {
     throw new Error('createMetrcFetch requires vendorKey and userKey');
   }
-
-  const creds = Buffer.from(`${vendorKey}:${userKey}`).toString('base64');
-
-  return async function configuredFetch(path, params = {}, options = {}) {
-    const url = new URL(path, baseUrl);
-    Object.entries(params).forEach(([k, v]) => url.searchParams.set(k, String(v)));
-    const init = {
-      method: options.method || 'GET',
-      headers: { Authorization: `Basic ${creds}` },
-    };
-    if (options.body !== undefined) {
-      init.headers['Content-Type'] = 'application/json';
-      init.body = JSON.stringify(options.body);
-    }
-
-    let lastError = null;
-    for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
-      try {
-        await sleep(INTER_REQUEST_DELAY_MS);
-        const res = await fetch(url.toString(), init);
-        const text = await res.text();
-
-        if (res.ok) {
-          try { return JSON.parse(text); } catch { return text; }
-        }
-
-        // Do not retry 4xx client errors (except 429 rate limit)
-        if (res.status >= 400 && res.status < 500 && res.status !== 429) {
-          throw new Error(text || `HTTP ${res.status}`);
-        }
-
-        lastError = text || `HTTP ${res.status}`;
-      } catch (err) {
-        if (err.message && !err.message.startsWith('HTTP')) {
-          // Network error — retry
-          lastError = err.message;
-        } else {
-          throw err;
-        }
-      }
-
-      if (attempt < MAX_RETRIES - 1) {
-        await sleep(INITIAL_BACKOFF_MS * Math.pow(2, attempt));
-      }
-    }
-
-    throw new Error(lastError || 'Request failed after retries');
-  };
+  return createSharedMetrcFetch({ baseUrl, vendorKey, userKey, encodeAuth: basicAuth, rateLimit: SEEDER_RATE_LIMIT });
 }
 
 /**
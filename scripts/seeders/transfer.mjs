@@ -19,6 +19,8 @@
  * @returns {Promise<object>} Summary of transfers created
  */
 
+import { buildTransferTemplate } from '../../lib/transfer-templates.js';
+
 const today = new Date().toISOString().slice(0, 10);
 
 function log(msg, data) {
@@ -106,53 +108,48 @@ export async function seedTransfers(api, fromLicense, toLicense, runId) {
   const TARGET = Math.min(4, packages.length);
   const toTransfer = packages.slice(0, TARGET);
 
-  const transferPackages = toTransfer.map((pkg) => {
-    const label = pkg.Label ?? pkg.PackageLabel;
-    return {
-      PackageLabel: label,
-      WholesalePrice: /unaffiliated/i.test(typeName) ? 100 : undefined,
-      GrossWeight: 50,
-      GrossUnitOfWeightName: 'Grams',
-    };
-  }).filter((p) => p.PackageLabel);
+  const toTemplatePackage = (pkg) => ({
+    package_label: pkg.Label ?? pkg.PackageLabel,
+    wholesale_price: /unaffiliated/i.test(typeName) ? 100 : undefined,
+    gross_weight: 50,
+    gross_unit_of_weight: 'Grams',
+  });
+  const transferPackages = toTransfer.map(toTemplatePackage).filter((p) => p.package_label);
 
   if (transferPackages.length === 0) {
     log('No valid package labels found. Skipping transfers.');
     return { transferred: 0, skipped: 0 };
   }
 
-  // Build the transfer template payload
+  // Build the transfer template payload (same builder as metrc_create_transfer_template)
   // Templates require: Name, TransporterFacilityLicenseNumber,
   // Destinations[].Transporters[] with driver info, PlannedRoute
   const now = new Date();
   const departure = now.toISOString().slice(0, 10) + 'T08:00:00.000';
   const arrival = now.toISOString().slice(0, 10) + 'T14:00:00.000';
 
-  const templateName = `Seed-${runId}-${Date.now().toString(36).slice(-4)}`;
-
-  const templateBody = [{
-    Name: templateName,
-    TransporterFacilityLicenseNumber: fromLicense,
-    Destinations: [{
-      RecipientLicenseNumber: toLicense,
-      TransferTypeName: typeName,
-      PlannedRoute: 'Route A - Direct',
-      EstimatedDepartureDateTime: departure,
-      EstimatedArrivalDateTime: arrival,
-      Transporters: [{
-        TransporterFacilityLicenseNumber: fromLicense,
-        TransporterDirection: 'Outbound',
-        EstimatedDepartureDateTime: departure,
-        EstimatedArrivalDateTime: arrival,
-        DriverName: 'Seed Driver',
-        DriverLicenseNumber: 'DL-000000',
-        VehicleMake: 'Ford',
-        VehicleModel: 'Transit',
-        VehicleLicensePlateNumber: 'SEED-001',
+  const templateFor = (name, templatePackages) => [buildTransferTemplate({
+    name,
+    transporter_license_number: fromLicense,
+    destinations: [{
+      recipient_license_number: toLicense,
+      transfer_type_name: typeName,
+      planned_route: 'Route A - Direct',
+      estimated_departure: departure,
+      estimated_arrival: arrival,
+      transporters: [{
+        driver_name: 'Seed Driver',
+        driver_license_number: 'DL-000000',
+        vehicle_make: 'Ford',
+        vehicle_model: 'Transit',
+        vehicle_license_plate_number: 'SEED-001',
       }],
-      Packages: transferPackages,
+      packages: templatePackages,
     }],
-  }];
+  })];
+
+  const templateName = `Seed-${runId}-${Date.now().toString(36).slice(-4)}`;
+  const templateBody = templateFor(templateName, transferPackages);
 
   let transferred = 0;
   let skipped = 0;
@@ -176,17 +173,10 @@ export async function seedTransfers(api, fromLicense, toLicense, runId) {
       log('Packages are NotSubmitted (MA regulation). Trying older packages...');
       const olderPackages = packages.slice(TARGET).slice(0, TARGET);
       if (olderPackages.length > 0) {
-        const retryPkgs = olderPackages.map((pkg) => ({
-          PackageLabel: pkg.Label ?? pkg.PackageLabel,
-          WholesalePrice: /unaffiliated/i.test(typeName) ? 100 : undefined,
-          GrossWeight: 50,
-          GrossUnitOfWeightName: 'Grams',
-        })).filter((p) => p.PackageLabel);
+        const retryPkgs = olderPackages.map(toTemplatePackage).filter((p) => p.package_label);
 
         const retryName = `Seed-${runId}-${Date.now().toString(36).slice(-4)}`;
-        const retryBody = JSON.parse(JSON.stringify(templateBody));
-        retryBody[0].Name = retryName;
-        retryBody[0].Destinations[0].Packages = retryPkgs;
+        const retryBody = templateFor(retryName, retryPkgs);
 
         try {
           await api('/transfers/v2/templates/outgoing', { licenseNumber: fromLicense }, {
@@ -1,19 +1,35 @@
 #!/usr/bin/env node
 /**
  * Railway HTTP entrypoint — wraps the Vercel Edge handler from api/mcp.js
- * into a standard Node.js HTTP server.
+ * into a standard Node.js HTTP server. Response bodies are piped through as
+ * they are produced so SSE streams (Streamable HTTP transport) reach the client live.
  */
 
 import { createServer } from 'node:http';
-import handler from './api/mcp.js';
+import { readFileSync } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+import { createMcpHandler } from './api/mcp.js';
+import { configureToolPolicy, loadToolPolicy } from './lib/policy.js';
+import { createAuditJournalFromEnv } from './lib/audit-file.js';
 
 const PORT = parseInt(process.env.PORT || '8080', 10);
 
+// Edge reads the tool policy from env only; here METRC_TOOL_POLICY_FILE works too
+configureToolPolicy(loadToolPolicy(process.env, { readFile: (file) => readFileSync(file, 'utf-8') }));
+
+// Node's fetch cannot read file: URLs, so skills are loaded from disk here
+// METRC_AUDIT_FILE keeps the write journal on disk instead of in memory
+const handler = createMcpHandler({
+  loadSkill: (file) => readFile(file, 'utf-8'),
+  journal: createAuditJournalFromEnv(),
+});
+
 const server = createServer(async (req, res) => {
   const startMs = Date.now();
 
-  // Health check
-  if (req.method === 'GET' && (req.url === '/' || req.url === '/health')) {
+  // Health check (a GET asking for an event stream is an MCP client probing for an SSE channel; the handler answers 405)
+  const wantsStream = (req.headers.accept || '').includes('text/event-stream');
+  if (req.method === 'GET' && !wantsStream && (req.url === '/' || req.url === '/health')) {
     res.writeHead(200, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify({ status: 'ok', service: 'metrc-mcp' }));
     return;
@@ -26,8 +42,13 @@ const server = createServer(async (req, res) => {
   }
   const body = Buffer.concat(chunks);
 
+  // Abort the Web Request when the client disconnects so open SSE streams are cleaned up
+  const abort = new AbortController();
+  res.on('close', () => abort.abort());
+
   const url = new URL(req.url || '/', `http://localhost:${PORT}`);
   const webRequest = new Request(url.toString(), {
+    signal: abort.signal,
     method: req.method,
     headers: Object.fromEntries(
       Object.entries(req.headers).filter(([, v]) => v != null).map(([k, v]) => [k, String(v)])
@@ -38,8 +59,14 @@ const server = createServer(async (req, res) => {
   const webResponse = await handler(webRequest);
 
   res.writeHead(webResponse.status, Object.fromEntries(webResponse.headers.entries()));
-  const responseBody = await webResponse.text();
-  res.end(responseBody);
+  if (webResponse.body) {
+    try {
+      for await (const chunk of webResponse.body) res.write(chunk);
+    } catch (_) {
+      // Client went away mid-stream
+    }
+  }
+  res.end();
 
   console.log(`${req.method} ${req.url} → ${webResponse.status} (${Date.now() - startMs}ms)`);
 });
@@ -1,12 +1,13 @@
 #!/usr/bin/env node
 /**
  * METRC MCP Server
- * Provides MCP tools for METRC cannabis tracking API (Colorado sandbox).
- * Uses Basic Auth (vendor key + user key).
+ * Provides MCP tools for METRC cannabis tracking API (Colorado sandbox by default;
+ * other states are routed by license number, see lib/metrc-routing.js).
+ * Uses Basic Auth (vendor key + user key) through the shared client in lib/metrc-http.js.
  *
  * Tool definitions: lib/tools.js (single source of truth)
  * Tool execution:   lib/tool-executor.js (shared with Edge runtime)
- * Input validation:  lib/validate.js (validates before METRC API call)
+ * Input validation:  lib/validate.js (validates before METRC API call), after lib/coerce.js normalizes arguments
  */
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
@@ -16,15 +17,26 @@ import {
   ListToolsRequestSchema,
   ListResourcesRequestSchema,
   ReadResourceRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
-import { readFileSync, existsSync } from 'fs';
+import { readFileSync } from 'fs';
 import { join } from 'path';
 import { dirname } from 'path';
 import { fileURLToPath } from 'url';
 
-import { encodeBasicAuth } from '@f8ai/metrc-client';
 import { getToolsList } from './lib/tools.js';
 import { executeTool } from './lib/tool-executor.js';
+import { describeCoercions } from './lib/coerce.js';
+import { describeResultMeta } from './lib/output-format.js';
+import { SKILL_RESOURCES, SKILL_PROMPTS, readSkillResource, getSkillPrompt } from './lib/skills.js';
+import { createLicenseResolver, createRoutingMetrcFetch } from './lib/metrc-routing.js';
+import { createMetrcFetch } from './lib/metrc-http.js';
+import { encodeBasicAuth } from '@f8ai/metrc-client';
+import { toolErrorResult } from './lib/metrc-errors.js';
+import { createCacheFromEnv } from './lib/cache-file.js';
+import { createAuditJournalFromEnv } from './lib/audit-file.js';
+import { configureToolPolicy, loadToolPolicy } from './lib/policy.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -42,56 +54,26 @@ try {
   });
 } catch (_) {}
 
-const BASE = process.env.METRC_API_URL || 'https://sandbox-api-co.metrc.com';
-const VENDOR = process.env.METRC_VENDOR_API_KEY || '';
-const USER = process.env.METRC_USER_API_KEY || '';
+// Read-only mode / allow-deny lists (env or METRC_TOOL_POLICY_FILE); hides and blocks tools
+configureToolPolicy(loadToolPolicy(process.env, { readFile: (file) => readFileSync(file, 'utf-8') }));
 
-async function metrcFetch(path, params = {}, options = {}) {
-  if (!VENDOR || !USER) {
-    throw new Error(
-      'METRC credentials required. Set METRC_VENDOR_API_KEY and METRC_USER_API_KEY in .env or environment.'
-    );
-  }
-  const url = new URL(path, BASE);
-  Object.entries(params).forEach(([k, v]) => url.searchParams.set(k, String(v)));
-  const init = {
-    method: options.method || 'GET',
-    headers: { Authorization: encodeBasicAuth(VENDOR, USER) },
-  };
-  if (options.body !== undefined) {
-    init.headers['Content-Type'] = 'application/json';
-    init.body = JSON.stringify(options.body);
-  }
-  const res = await fetch(url.toString(), init);
-  const text = await res.text();
-  if (!res.ok) throw new Error(text || `HTTP ${res.status}`);
-  try {
-    return JSON.parse(text);
-  } catch {
-    return text;
-  }
-}
+// Each call goes to the state API for its license_number (METRC_STATES; default METRC_API_URL)
+const metrcFetch = createRoutingMetrcFetch(
+  (target) => createMetrcFetch({ ...target, encodeAuth: encodeBasicAuth }),
+  createLicenseResolver()
+);
+// METRC_CACHE_FILE persists cached reference data across restarts; otherwise the in-memory cache is used
+const toolCache = createCacheFromEnv();
+// Every write is journaled; METRC_AUDIT_FILE keeps the journal as JSONL on disk
+const auditJournal = createAuditJournalFromEnv();
 
 const server = new Server(
   { name: 'metrc-mcp-server', version: '0.1.0' },
-  { capabilities: { tools: {}, resources: {} } }
+  { capabilities: { tools: {}, resources: {}, prompts: {} } }
 );
 
-// Skills exposed as MCP resources (metrc://skills/<name>) so any MCP client can read them
-const SKILL_RESOURCES = [
-  { uri: 'metrc://skills/needs-attention', name: 'Needs attention', description: 'What needs attention? Compliance, expiring tags, stuck harvests/transfers. Use with METRC tools.' },
-  { uri: 'metrc://skills/facility-summary', name: 'Facility summary', description: 'Summarize the facility: counts, state, overview. Use with METRC tools.' },
-  { uri: 'metrc://skills/traceability', name: 'Traceability', description: 'Package origin and harvest outputs. Use with METRC tools.' },
-  { uri: 'metrc://skills/inventory-summary', name: 'Inventory summary', description: 'Inventory by item, location, or strain. Use with METRC tools.' },
-  { uri: 'metrc://skills/audit-ready-snapshot', name: 'Audit-ready snapshot', description: 'Audit in a week? Check risk areas, health snapshot, cleanup recommendations. Use with METRC tools.' },
-  { uri: 'metrc://skills/fifo-aging-pull', name: 'FIFO / aging pull', description: 'What to pull for samples, vendor days, discounting; FIFO; warn before breaking full case. Use with METRC tools.' },
-  { uri: 'metrc://skills/fragmentation-detection', name: 'Fragmentation detection', description: 'Show package fragmentation; multiple partials per item/location. Use with METRC tools.' },
-  { uri: 'metrc://skills/sample-out-low-counts', name: 'Sample-out low counts', description: 'Low-count packages for samples or sales incentives. Use with METRC tools.' },
-  { uri: 'metrc://skills/slow-moving-inventory', name: 'Slow-moving inventory', description: 'Slow or non-moving inventory detection. Use with METRC tools.' },
-  { uri: 'metrc://skills/aging-discount-sampling', name: 'Aging discount/sampling', description: 'Aging inventory; discount or sampling recommendations. Use with METRC tools.' },
-  { uri: 'metrc://skills/package-consolidation', name: 'Package consolidation', description: 'Recommend re-sticker, combine low-counts, simplify units. Use with METRC tools.' },
-  { uri: 'metrc://skills/README', name: 'Skills index', description: 'Index of all METRC analysis skills.' },
-];
+// Skills (metrc://skills/<name>) are defined in lib/skills.js and read from disk here
+const loadSkill = (file) => readFileSync(file, 'utf-8');
 
 // Tool definitions from single source of truth
 const tools = getToolsList();
@@ -102,34 +84,49 @@ server.setRequestHandler(ListResourcesRequestSchema, async () => ({
   resources: SKILL_RESOURCES,
 }));
 
-server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
-  const uri = request.params?.uri;
-  if (!uri || !uri.startsWith('metrc://skills/')) {
-    throw new Error('Invalid or unsupported resource URI. Use metrc://skills/<name> (e.g. metrc://skills/needs-attention).');
-  }
-  const slug = uri.replace('metrc://skills/', '').trim() || 'README';
-  const safeSlug = slug.replace(/[^a-z0-9-]/gi, '');
-  const path = join(__dirname, 'skills', safeSlug === 'README' ? 'README.md' : `${safeSlug}.md`);
-  if (!existsSync(path)) {
-    throw new Error(`Skill not found: ${slug}. Available: needs-attention, facility-summary, traceability, inventory-summary, audit-ready-snapshot, fifo-aging-pull, fragmentation-detection, sample-out-low-counts, slow-moving-inventory, aging-discount-sampling, package-consolidation, README.`);
-  }
-  const text = readFileSync(path, 'utf-8');
-  return {
-    contents: [{ type: 'text', text }],
-  };
-});
+server.setRequestHandler(ReadResourceRequestSchema, async (request) =>
+  readSkillResource(request.params?.uri, loadSkill)
+);
+
+server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+  prompts: SKILL_PROMPTS,
+}));
+
+server.setRequestHandler(GetPromptRequestSchema, async (request) =>
+  getSkillPrompt(request.params?.name, request.params?.arguments ?? {}, loadSkill)
+);
 
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
+server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
   const { name, arguments: args = {} } = request.params;
 
+  // Forward executor progress as notifications/progress when the client asked for it
+  const progressToken = request.params?._meta?.progressToken;
+  const onProgress = progressToken !== undefined
+    ? (progress, total, message) => extra.sendNotification({
+      method: 'notifications/progress',
+      params: { progressToken, progress, ...(total != null && { total }), ...(message && { message }) },
+    }).catch(() => {})
+    : undefined;
+
+  let coercions = [];
+  let resultMeta = null;
   try {
-    const text = await executeTool(name, args, metrcFetch);
-    return { content: [{ type: 'text', text }] };
+    const text = await executeTool(name, args, metrcFetch, {
+      onProgress,
+      onCoerce: (changes) => { coercions = changes; },
+      onResultMeta: (meta) => { resultMeta = meta; },
+      cache: toolCache,
+      journal: auditJournal,
+      actor: server.getClientVersion()?.name,
+    });
+    const content = [{ type: 'text', text }];
+    // A csv result is pure CSV; Total, Notice and the like follow as their own item
+    if (resultMeta) content.push({ type: 'text', text: describeResultMeta(resultMeta) });
+    // Tell the model which of its arguments were normalized (lib/coerce.js)
+    if (coercions.length > 0) content.push({ type: 'text', text: describeCoercions(coercions) });
+    return { content };
   } catch (err) {
-    return {
-      content: [{ type: 'text', text: `Error: ${err.message}` }],
-      isError: true,
-    };
+    return toolErrorResult(err);
   }
 });
 
@@ -0,0 +1,97 @@
+/**
+ * Unit tests: additive applications (lib/additives.js).
+ * Run from repo root: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { additiveErrors, buildAdditive } from '../lib/additives.js';
+import { createMemoryJournal } from '../lib/audit.js';
+import { executeTool } from '../lib/tool-executor.js';
+
+const P1 = '1A4000000000000000000101';
+
+const PESTICIDE = {
+  additive_type: 'Pesticide',
+  product_trade_name: 'Mite Stop',
+  epa_registration_number: '12345-6',
+  product_supplier: 'AgriCo',
+  application_device: 'Backpack sprayer',
+  total_amount_applied: 2.5,
+  unit_of_measure: 'Fluid Ounces',
+  active_ingredients: [{ name: 'Azadirachtin', percentage: 1.2 }, { name: 'Neem oil', percentage: 70 }],
+  actual_date: '2026-10-01',
+};
+
+test('additiveErrors: only Pesticide applications have extra requirements', () => {
+  assert.deepEqual(additiveErrors(PESTICIDE), []);
+  assert.deepEqual(additiveErrors({ additive_type: 'Fertilizer', product_trade_name: 'Grow Big' }), []);
+  assert.deepEqual(additiveErrors({ additive_type: 'Other' }), []);
+});
+
+test('additiveErrors: a Pesticide without EPA number, supplier, device or ingredients', () => {
+  assert.deepEqual(additiveErrors({ additive_type: 'Pesticide', epa_registration_number: '  ', product_supplier: null }), [
+    '/epa_registration_number: required for Pesticide additives (EPA registration number from the product label)',
+    '/product_supplier: required for Pesticide additives (product supplier)',
+    '/application_device: required for Pesticide additives (application device or applicator)',
+    '/active_ingredients: required for Pesticide additives (name and percentage of each active ingredient)',
+  ]);
+  assert.deepEqual(additiveErrors({ ...PESTICIDE, active_ingredients: [] }), [
+    '/active_ingredients: required for Pesticide additives (name and percentage of each active ingredient)',
+  ]);
+});
+
+test('additiveErrors: each Pesticide ingredient needs a percentage, and they cannot exceed 100', () => {
+  assert.deepEqual(additiveErrors({ ...PESTICIDE, active_ingredients: [{ name: 'Azadirachtin', percentage: 1.2 }, { name: 'Neem oil' }] }), [
+    '/active_ingredients/1/percentage: required for Pesticide additives',
+  ]);
+  assert.deepEqual(additiveErrors({ ...PESTICIDE, active_ingredients: [{ name: 'A', percentage: 60 }, { name: 'B', percentage: 45.5 }] }), [
+    '/active_ingredients: percentages add up to 105.5, more than 100',
+  ]);
+  assert.deepEqual(additiveErrors({ ...PESTICIDE, active_ingredients: [{ name: 'A', percentage: 60 }, { name: 'B', percentage: 40 }] }), []);
+});
+
+test('buildAdditive: maps arguments to the METRC payload with the target before ActualDate', () => {
+  const row = buildAdditive(PESTICIDE, { PlantBatchName: 'Clones 1' });
+  assert.deepEqual(row, {
+    AdditiveType: 'Pesticide',
+    ProductTradeName: 'Mite Stop',
+    EpaRegistrationNumber: '12345-6',
+    ProductSupplier: 'AgriCo',
+    ApplicationDevice: 'Backpack sprayer',
+    TotalAmountApplied: 2.5,
+    TotalAmountUnitOfMeasure: 'Fluid Ounces',
+    ActiveIngredients: [{ Name: 'Azadirachtin', Percentage: 1.2 }, { Name: 'Neem oil', Percentage: 70 }],
+    PlantBatchName: 'Clones 1',
+    ActualDate: '2026-10-01',
+  });
+  assert.deepEqual(Object.keys(row).slice(-2), ['PlantBatchName', 'ActualDate']);
+
+  const fertilizer = buildAdditive(
+    { additive_type: 'Fertilizer', product_trade_name: 'Grow Big', total_amount_applied: 1, unit_of_measure: 'Gallons', active_ingredients: [{ name: 'Nitrogen' }], actual_date: '2026-10-01' },
+    { PlantLabels: [P1] }
+  );
+  assert.equal(fertilizer.EpaRegistrationNumber, null);
+  assert.equal(fertilizer.ProductSupplier, null);
+  assert.equal(fertilizer.ApplicationDevice, null);
+  assert.deepEqual(fertilizer.ActiveIngredients, [{ Name: 'Nitrogen', Percentage: null }]);
+  assert.deepEqual(fertilizer.PlantLabels, [P1]);
+  assert.deepEqual(buildAdditive({ additive_type: 'Other' }, {}).ActiveIngredients, []);
+});
+
+test('executeTool: additive errors reject the call before anything is sent', async () => {
+  const sent = [];
+  const metrcFetch = async (path, params, options = {}) => {
+    sent.push({ method: options.method, path, body: options.body });
+    return null;
+  };
+  const context = { journal: createMemoryJournal(), cache: null };
+  await assert.rejects(
+    executeTool('metrc_record_plant_batch_additives', { license_number: 'LIC-1', plant_batch_name: 'Clones 1', ...PESTICIDE, product_supplier: undefined }, metrcFetch, context),
+    /^Error: Invalid input for metrc_record_plant_batch_additives: \/product_supplier: required for Pesticide additives/
+  );
+  assert.deepEqual(sent, []);
+
+  await executeTool('metrc_record_plant_additives', { license_number: 'LIC-1', plant_labels: [P1], ...PESTICIDE }, metrcFetch, context);
+  assert.deepEqual(sent, [{ method: 'POST', path: '/plants/v2/additives', body: [buildAdditive(PESTICIDE, { PlantLabels: [P1] })] }]);
+});
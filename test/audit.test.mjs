@@ -0,0 +1,146 @@
+/**
+ * Unit tests: audit journal (lib/audit.js) and its JSONL file store (lib/audit-file.js).
+ * Run from repo root: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { filterEntries, createMemoryJournal, createAuditingFetch } from '../lib/audit.js';
+import { createFileJournal } from '../lib/audit-file.js';
+import { MetrcApiError } from '../lib/metrc-errors.js';
+import { executeTool } from '../lib/tool-executor.js';
+
+const A = '1A4000000000000000000001';
+const B = '1A4000000000000000000002';
+
+function entry(operation_id, overrides = {}) {
+  return {
+    operation_id,
+    timestamp: '2026-10-01T12:00:00.000Z',
+    actor: { tenant: null, client: null },
+    license: 'LIC-1',
+    tool: 'metrc_finish_package',
+    request_body: [{ Label: A }],
+    ...overrides,
+  };
+}
+
+/** Run `fn` with console.error silenced; returns what it would have printed. */
+async function quietly(fn) {
+  const original = console.error;
+  const printed = [];
+  console.error = (message) => printed.push(message);
+  try {
+    await fn();
+  } finally {
+    console.error = original;
+  }
+  return printed;
+}
+
+const ENTRIES = [
+  entry('op-1', { timestamp: '2026-09-30T23:00:00.000Z' }),
+  entry('op-2', { tool: 'metrc_adjust_package', request_body: [{ Label: B }] }),
+  entry('op-3', { license: 'LIC-2', timestamp: '2026-10-02T08:00:00.000Z' }),
+  entry('op-4', { actor: { tenant: 'tenant-a', client: null } }),
+];
+
+const ids = (entries) => entries.map((e) => e.operation_id);
+
+test('filterEntries: newest first, by tool, license and package label', () => {
+  assert.deepEqual(ids(filterEntries(ENTRIES)), ['op-3', 'op-2', 'op-1']);
+  assert.deepEqual(ids(filterEntries(ENTRIES, { tool: 'metrc_adjust_package' })), ['op-2']);
+  assert.deepEqual(ids(filterEntries(ENTRIES, { license_number: 'LIC-2' })), ['op-3']);
+  assert.deepEqual(ids(filterEntries(ENTRIES, { package_label: B })), ['op-2']);
+  assert.deepEqual(ids(filterEntries(ENTRIES, { limit: 1 })), ['op-3']);
+});
+
+test('filterEntries: a bare end date includes that day; start is inclusive', () => {
+  assert.deepEqual(ids(filterEntries(ENTRIES, { start_date: '2026-10-01' })), ['op-3', 'op-2']);
+  assert.deepEqual(ids(filterEntries(ENTRIES, { end_date: '2026-10-01' })), ['op-2', 'op-1']);
+  assert.deepEqual(ids(filterEntries(ENTRIES, { start_date: '2026-10-01T12:00:00Z', end_date: '2026-10-01T12:00:01Z' })), ['op-2']);
+});
+
+test('filterEntries: queries only see the caller\'s tenant', () => {
+  assert.deepEqual(ids(filterEntries(ENTRIES, { tenant: 'tenant-a' })), ['op-4']);
+  assert.deepEqual(ids(filterEntries(ENTRIES, { tenant: 'tenant-b' })), []);
+  assert.ok(!ids(filterEntries(ENTRIES, { tenant: null })).includes('op-4'));
+});
+
+test('createAuditingFetch: journals writes, successful or not, and passes reads through', async () => {
+  const journal = createMemoryJournal();
+  const metrcFetch = async (path, params, options = {}) => {
+    options.onResponse?.({ status: path.endsWith('adjust') ? 400 : 200, attempt: 0 });
+    if (path.endsWith('adjust')) {
+      throw new MetrcApiError({ status: 400, method: 'POST', endpoint: path, body: '[{"row":0,"message":"Quantity too large"}]' });
+    }
+    return options.method ? null : [{ Id: 1 }];
+  };
+  const audited = createAuditingFetch(metrcFetch, journal, { tool: 't', tenant: 'tenant-a', actor: 'client' });
+
+  assert.deepEqual(await audited('/packages/v2/active', { licenseNumber: 'LIC-1' }), [{ Id: 1 }]);
+  await audited('/packages/v2/finish', { licenseNumber: 'LIC-1' }, { method: 'PUT', body: [{ Label: A, ActualDate: '2026-10-01' }] });
+  await assert.rejects(audited('/packages/v2/adjust', { licenseNumber: 'LIC-1' }, { method: 'POST', body: [] }), MetrcApiError);
+
+  const entries = journal.query({ tenant: 'tenant-a' });
+  assert.equal(entries.length, 2, 'the GET was not journaled');
+  const [failed, finished] = entries;
+  assert.deepEqual(
+    { method: finished.method, endpoint: finished.endpoint, license: finished.license, status: finished.status, ok: finished.ok, actor: finished.actor },
+    { method: 'PUT', endpoint: '/packages/v2/finish', license: 'LIC-1', status: 200, ok: true, actor: { tenant: 'tenant-a', client: 'client' } }
+  );
+  assert.deepEqual(finished.request_body, [{ ActualDate: '2026-10-01', Label: A }]);
+  assert.equal(failed.ok, false);
+  assert.equal(failed.status, 400);
+  assert.deepEqual(failed.error.failedRows, [0]);
+});
+
+test('executeTool: only mutating tools write journal entries', async () => {
+  const journal = createMemoryJournal();
+  const metrcFetch = async () => null;
+  const context = { journal, cache: null };
+  await executeTool('metrc_get_packages', { license_number: 'LIC-1' }, metrcFetch, context);
+  await executeTool('metrc_finish_package', { license_number: 'LIC-1', label: A, actual_date: '2026-10-01', dry_run: true }, metrcFetch, context);
+  assert.deepEqual(journal.query({}), [], 'reads and dry runs are not journaled');
+  await executeTool('metrc_finish_package', { license_number: 'LIC-1', label: A, actual_date: '2026-10-01' }, metrcFetch, context);
+  assert.deepEqual(journal.query({}).map((e) => e.tool), ['metrc_finish_package']);
+});
+
+test('a failing sink does not fail the tool call', async () => {
+  const writes = [];
+  const metrcFetch = async (path, params, options = {}) => {
+    if (options.method) writes.push(path);
+    return null;
+  };
+  const finish = (journal) => executeTool('metrc_finish_package', { license_number: 'LIC-1', label: A, actual_date: '2026-10-01' }, metrcFetch, { journal, cache: null });
+
+  const forwarding = createMemoryJournal({ forward: async () => { throw new Error('webhook down'); } });
+  const broken = { append: async () => { throw new Error('disk full'); }, query: () => [] };
+  const printed = await quietly(async () => {
+    await finish(forwarding);
+    await finish(broken);
+  });
+  assert.equal(writes.length, 2);
+  assert.equal(forwarding.query({}).length, 1, 'the memory journal keeps the entry');
+  assert.match(printed[0], /Audit sink failed for .*: webhook down/);
+  assert.match(printed[1], /Could not journal .*: disk full/);
+});
+
+test('createFileJournal: appends JSONL, queries it with the same filters, and survives a bad file', async () => {
+  const dir = mkdtempSync(join(tmpdir(), 'metrc-audit-'));
+  const file = join(dir, 'logs', 'audit.jsonl');
+  const journal = createFileJournal(file);
+  assert.deepEqual(await journal.query({}), []);
+  await Promise.all(ENTRIES.map((e) => journal.append(e)));
+  assert.equal(readFileSync(file, 'utf-8').trim().split('\n').length, 4);
+  assert.deepEqual(ids(await journal.query({ license_number: 'LIC-1' })), ['op-2', 'op-1']);
+  assert.deepEqual(ids(await journal.query({ tenant: 'tenant-a' })), ['op-4']);
+
+  // A path that cannot be created is logged, not thrown
+  writeFileSync(join(dir, 'not-a-dir'), '');
+  const printed = await quietly(() => createFileJournal(join(dir, 'not-a-dir', 'audit.jsonl')).append(entry('op-5')));
+  assert.match(printed[0], /Could not write audit entry op-5/);
+});
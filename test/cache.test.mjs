@@ -0,0 +1,114 @@
+/**
+ * Unit tests: response cache (lib/cache.js) and its file-backed store (lib/cache-file.js).
+ * Run from repo root: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { execFileSync } from 'child_process';
+import { createCachingFetch, createMemoryCache } from '../lib/cache.js';
+import { createFileCache } from '../lib/cache-file.js';
+import { executeTool } from '../lib/tool-executor.js';
+
+const TAG = '1A4000000000000000000001';
+
+/** A METRC stand-in whose list responses change on every read. */
+function countingEndpoint() {
+  const reads = [];
+  const fetch = async (path, params = {}, options = {}) => {
+    if (options.method && options.method !== 'GET') return null;
+    reads.push(`${path}?${params.licenseNumber}`);
+    return [{ Id: reads.length }];
+  };
+  return { fetch, reads };
+}
+
+test('createCachingFetch: list reads are cached per license until a write to that resource', async () => {
+  const { fetch, reads } = countingEndpoint();
+  const cached = createCachingFetch(fetch, createMemoryCache(), { scope: 'tenant-a' });
+  const packages = (license) => cached('/packages/v2/active', { licenseNumber: license });
+
+  assert.deepEqual(await packages('LIC-1'), [{ Id: 1 }]);
+  assert.deepEqual(await packages('LIC-1'), [{ Id: 1 }]);
+  assert.deepEqual(await packages('LIC-2'), [{ Id: 2 }]);
+
+  await cached('/packages/v2/adjust', { licenseNumber: 'LIC-1' }, { method: 'POST', body: [] });
+  assert.deepEqual(await packages('LIC-1'), [{ Id: 3 }], 'the write dropped LIC-1\'s packages');
+  assert.deepEqual(await packages('LIC-2'), [{ Id: 2 }], 'other licenses keep theirs');
+  assert.equal(reads.length, 3);
+});
+
+test('createCachingFetch: a write also drops related resources, and uncached paths always hit METRC', async () => {
+  const { fetch, reads } = countingEndpoint();
+  const cached = createCachingFetch(fetch, createMemoryCache());
+  await cached('/harvests/v2/active', { licenseNumber: 'LIC-1' });
+  await cached('/packages/v2/active', { licenseNumber: 'LIC-1' });
+  await cached('/harvests/v2/packages', { licenseNumber: 'LIC-1' }, { method: 'POST', body: [] });
+  await cached('/harvests/v2/active', { licenseNumber: 'LIC-1' });
+  await cached('/packages/v2/active', { licenseNumber: 'LIC-1' });
+  await cached('/packages/v2/inactive', { licenseNumber: 'LIC-1' });
+  await cached('/packages/v2/inactive', { licenseNumber: 'LIC-1' });
+  assert.equal(reads.length, 6);
+});
+
+test('executeTool: a write invalidates the tenant\'s cached reads', async () => {
+  const { fetch, reads } = countingEndpoint();
+  const context = { tenant: 'tenant-a', cache: createMemoryCache() };
+  const read = () => executeTool('metrc_get_packages', { license_number: 'LIC-1' }, fetch, context).then(JSON.parse);
+
+  assert.deepEqual(await read(), [{ Id: 1 }]);
+  assert.deepEqual(await read(), [{ Id: 1 }]);
+  await executeTool('metrc_finish_package', { license_number: 'LIC-1', label: TAG, actual_date: '2026-10-01' }, fetch, context);
+  assert.deepEqual(await read(), [{ Id: 2 }]);
+  assert.equal(reads.length, 2);
+});
+
+test('executeTool: no_cache bypasses the cached read and refreshes the entry', async () => {
+  const { fetch, reads } = countingEndpoint();
+  const context = { cache: createMemoryCache() };
+  const read = (args = {}) => executeTool('metrc_get_packages', { license_number: 'LIC-1', ...args }, fetch, context).then(JSON.parse);
+
+  assert.deepEqual(await read(), [{ Id: 1 }]);
+  assert.deepEqual(await read({ no_cache: true }), [{ Id: 2 }]);
+  assert.deepEqual(await read(), [{ Id: 2 }], 'the fresh result replaced the cached one');
+  assert.equal(reads.length, 2);
+});
+
+test('createFileCache: flush writes the entries and a new cache loads them, without expired ones', async () => {
+  const file = join(mkdtempSync(join(tmpdir(), 'metrc-cache-')), 'nested', 'cache.json');
+  const cache = createFileCache(file);
+  cache.set('a', { v: 1 }, 60_000, ['t']);
+  cache.set('b', { v: 2 }, 1, ['t']);
+  await cache.flush();
+  assert.deepEqual(Object.keys(JSON.parse(readFileSync(file, 'utf-8'))).sort(), ['a', 'b']);
+
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  const reloaded = createFileCache(file);
+  assert.deepEqual(reloaded.get('a'), { v: 1 });
+  assert.equal(reloaded.get('b'), undefined);
+});
+
+test('createFileCache: a corrupt file is ignored', () => {
+  const file = join(mkdtempSync(join(tmpdir(), 'metrc-cache-')), 'cache.json');
+  writeFileSync(file, '{not json');
+  const original = console.error;
+  console.error = () => {};
+  try {
+    assert.equal(createFileCache(file).get('a'), undefined);
+  } finally {
+    console.error = original;
+  }
+});
+
+test('createFileCache: a write still pending when the process exits is not lost', () => {
+  const file = join(mkdtempSync(join(tmpdir(), 'metrc-cache-')), 'cache.json');
+  const script = `
+    import { createFileCache } from ${JSON.stringify(new URL('../lib/cache-file.js', import.meta.url).href)};
+    createFileCache(${JSON.stringify(file)}).set('a', { v: 1 }, 60_000, []);
+  `;
+  execFileSync(process.execPath, ['--input-type=module', '-e', script], { timeout: 10_000 });
+  assert.deepEqual(JSON.parse(readFileSync(file, 'utf-8')).a.value, { v: 1 });
+});
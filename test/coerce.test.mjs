@@ -0,0 +1,104 @@
+/**
+ * Unit tests: argument coercion (lib/coerce.js).
+ * Run from repo root: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeDate, normalizeUnit, coerceArgs, describeCoercions } from '../lib/coerce.js';
+import { validateToolInput } from '../lib/validate.js';
+
+test('normalizeDate: accepted forms', () => {
+  const cases = {
+    '2026-03-01': '2026-03-01',
+    '2026-03-01T00:00': '2026-03-01',
+    '2026-3-1 14:30:00': '2026-03-01',
+    '2026/03/01': '2026-03-01',
+    '1/13/2026': '2026-01-13',
+    '13/1/2026': '2026-01-13',
+    '3/3/2026': '2026-03-03',
+    'Mar 1, 2026': '2026-03-01',
+    'March 1 2026': '2026-03-01',
+    '1 March 2026': '2026-03-01',
+    ' 1 Mar. 2026 ': '2026-03-01',
+  };
+  for (const [input, expected] of Object.entries(cases)) {
+    assert.equal(normalizeDate(input), expected, input);
+  }
+});
+
+test('normalizeDate: ambiguous and invalid dates are not converted', () => {
+  for (const input of ['3/4/2026', '12/11/2026', '1/2/2026', '2026-02-30', '31/31/2026', 'Foo 1, 2026', '03-01-2026', 'yesterday']) {
+    assert.equal(normalizeDate(input), null, input);
+  }
+});
+
+test('normalizeUnit: aliases map to METRC names, unknown units are left alone', () => {
+  assert.equal(normalizeUnit('g'), 'Grams');
+  assert.equal(normalizeUnit(' LBS '), 'Pounds');
+  assert.equal(normalizeUnit('fl  oz'), 'Fluid Ounces');
+  assert.equal(normalizeUnit('grams'), 'Grams');
+  assert.equal(normalizeUnit('Each'), 'Each');
+  assert.equal(normalizeUnit('stones'), null);
+});
+
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    quantity: { type: 'number' },
+    count: { type: 'integer' },
+    active: { type: 'boolean' },
+    actual_date: { type: 'string', format: 'date' },
+    unit_of_measure: { type: 'string' },
+    labels: { type: 'array', items: { type: 'string' } },
+    rows: {
+      type: 'array',
+      items: { type: 'object', properties: { Quantity: { type: 'number' }, UnitOfMeasure: { type: 'string' } } },
+    },
+  },
+};
+
+test('coerceArgs: converts by schema and reports every change by JSON pointer', () => {
+  const input = {
+    quantity: ' 12.5 ',
+    count: '3',
+    active: 'TRUE',
+    actual_date: 'Mar 1, 2026',
+    unit_of_measure: 'g',
+    labels: '["A","B"]',
+    rows: [{ Quantity: '2', UnitOfMeasure: 'oz' }],
+  };
+  const { args, changes } = coerceArgs(input, SCHEMA);
+  assert.deepEqual(args, {
+    quantity: 12.5,
+    count: 3,
+    active: true,
+    actual_date: '2026-03-01',
+    unit_of_measure: 'Grams',
+    labels: ['A', 'B'],
+    rows: [{ Quantity: 2, UnitOfMeasure: 'Ounces' }],
+  });
+  assert.deepEqual(changes.map((c) => c.path), [
+    '/quantity', '/count', '/active', '/actual_date', '/unit_of_measure', '/labels', '/rows/0/Quantity', '/rows/0/UnitOfMeasure',
+  ]);
+  assert.equal(input.quantity, ' 12.5 ', 'the input is not modified');
+  assert.match(describeCoercions(changes), /\/labels JSON string → array of 2/);
+});
+
+test('coerceArgs: values that are not unambiguous are left for validation', () => {
+  const { args, changes } = coerceArgs({ count: '2.5', quantity: '12abc', labels: '{"a":1}', actual_date: '3/4/2026' }, SCHEMA);
+  assert.deepEqual(args, { count: '2.5', quantity: '12abc', labels: '{"a":1}', actual_date: '3/4/2026' });
+  assert.deepEqual(changes, []);
+});
+
+test('an ambiguous slash date is rejected with a hint to use YYYY-MM-DD', () => {
+  const { args } = coerceArgs({ actual_date: '3/4/2026' }, SCHEMA);
+  const { valid, errors } = validateToolInput('t', args, SCHEMA);
+  assert.equal(valid, false);
+  assert.match(errors.join('\n'), /\/actual_date: expected a date \(YYYY-MM-DD\); a slash date with day and month both 12 or less is ambiguous, got "3\/4\/2026"/);
+});
+
+test('an invalid slash date gets the plain date error', () => {
+  const { args } = coerceArgs({ actual_date: '31/31/2026' }, SCHEMA);
+  assert.deepEqual(validateToolInput('t', args, SCHEMA).errors, ['/actual_date: expected a date (YYYY-MM-DD), got "31/31/2026"']);
+});
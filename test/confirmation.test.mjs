@@ -0,0 +1,99 @@
+/**
+ * Unit tests: two-phase confirmation tokens for destructive tools (lib/confirmation.js).
+ * Run from repo root: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { issueConfirmationToken, consumeConfirmationToken, canonicalJson, payloadArgs } from '../lib/confirmation.js';
+import { createMemoryJournal } from '../lib/audit.js';
+import { executeTool } from '../lib/tool-executor.js';
+
+const TOOL = 'metrc_bulk_finish_packages';
+const A = '1A4000000000000000000001';
+const B = '1A4000000000000000000002';
+const ARGS = { license_number: 'LIC-1', actual_date: '2026-10-01', labels: [A] };
+
+async function withToken(args = ARGS, tenant = 'tenant-1') {
+  const { token } = await issueConfirmationToken(TOOL, args, tenant);
+  return { ...args, confirmation_token: token };
+}
+
+test('canonicalJson and payloadArgs: key order and control arguments do not change the payload', () => {
+  assert.equal(canonicalJson({ b: 1, a: [{ d: 2, c: 3 }] }), canonicalJson({ a: [{ c: 3, d: 2 }], b: 1 }));
+  assert.deepEqual(payloadArgs({ ...ARGS, dry_run: false, idempotency_key: 'k', confirmation_token: 't' }), ARGS);
+});
+
+test('a token confirms exactly the call it was issued for, once', async () => {
+  const call = await withToken();
+  await consumeConfirmationToken(TOOL, { ...call, idempotency_key: 'added later' }, 'tenant-1');
+  await assert.rejects(consumeConfirmationToken(TOOL, call, 'tenant-1'), /already used/);
+});
+
+test('a token does not confirm other arguments, another tool or another tenant', async () => {
+  const call = await withToken();
+  await assert.rejects(consumeConfirmationToken(TOOL, { ...call, labels: [A, B] }, 'tenant-1'), /does not match these arguments/);
+  await assert.rejects(consumeConfirmationToken('metrc_bulk_adjust_packages', call, 'tenant-1'), /does not match/);
+  await assert.rejects(consumeConfirmationToken(TOOL, call, 'tenant-2'), /does not match/);
+  // Still unused: the failed attempts did not burn it
+  await consumeConfirmationToken(TOOL, call, 'tenant-1');
+});
+
+test('expired, malformed and tampered tokens are rejected', async () => {
+  const ttl = process.env.MCP_CONFIRMATION_TTL_MS;
+  process.env.MCP_CONFIRMATION_TTL_MS = '-1000';
+  try {
+    await assert.rejects(consumeConfirmationToken(TOOL, await withToken(), 'tenant-1'), /expired/);
+  } finally {
+    if (ttl === undefined) delete process.env.MCP_CONFIRMATION_TTL_MS;
+    else process.env.MCP_CONFIRMATION_TTL_MS = ttl;
+  }
+  await assert.rejects(consumeConfirmationToken(TOOL, { ...ARGS, confirmation_token: 'nope' }, 'tenant-1'), /malformed/);
+  const call = await withToken();
+  const [expires, sig] = call.confirmation_token.split('.');
+  const extended = { ...call, confirmation_token: `${Number(expires) + 60 * 60 * 1000}.${sig}` };
+  await assert.rejects(consumeConfirmationToken(TOOL, extended, 'tenant-1'), /does not match/);
+});
+
+test('executeTool: a destructive tool writes only when called back with its token', async () => {
+  const writes = [];
+  const metrcFetch = async (path, params, options = {}) => {
+    if (options.method && options.method !== 'GET') {
+      writes.push(path);
+      return null;
+    }
+    return { Label: A, Quantity: 0, UnitOfMeasureName: 'Grams' };
+  };
+  const context = { journal: createMemoryJournal(), cache: null, tenant: 'tenant-1' };
+
+  const preview = JSON.parse(await executeTool(TOOL, ARGS, metrcFetch, context));
+  assert.equal(preview.confirmation_required, true);
+  assert.deepEqual(writes, []);
+
+  await assert.rejects(
+    executeTool(TOOL, { ...ARGS, labels: [B], confirmation_token: preview.confirmation_token }, metrcFetch, context),
+    /does not match these arguments/
+  );
+  assert.deepEqual(writes, []);
+
+  await executeTool(TOOL, { ...ARGS, confirmation_token: preview.confirmation_token }, metrcFetch, context);
+  assert.deepEqual(writes, ['/packages/v2/finish']);
+  await assert.rejects(executeTool(TOOL, { ...ARGS, confirmation_token: preview.confirmation_token }, metrcFetch, context), /already used/);
+  assert.equal(writes.length, 1);
+});
+
+test('executeTool: deleting a transfer template needs a confirmation token', async () => {
+  const writes = [];
+  const metrcFetch = async (path, params, options = {}) => {
+    if (options.method && options.method !== 'GET') writes.push(`${options.method} ${path}`);
+    return null;
+  };
+  const context = { journal: createMemoryJournal(), cache: null, tenant: 'tenant-1' };
+  const args = { license_number: 'LIC-1', template_id: 42 };
+
+  const preview = JSON.parse(await executeTool('metrc_delete_transfer_template', args, metrcFetch, context));
+  assert.equal(preview.confirmation_required, true);
+  assert.deepEqual(writes, []);
+  await executeTool('metrc_delete_transfer_template', { ...args, confirmation_token: preview.confirmation_token }, metrcFetch, context);
+  assert.deepEqual(writes, ['DELETE /transfers/v2/templates/outgoing/42']);
+});
@@ -0,0 +1,127 @@
+/**
+ * Unit tests: per-request credentials and tenant isolation (lib/credentials.js, api/mcp.js).
+ * Run from repo root: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  readRequestCredentials,
+  credentialFingerprint,
+  redactSecrets,
+  VENDOR_KEY_HEADER,
+  USER_KEY_HEADER,
+} from '../lib/credentials.js';
+import { createMcpHandler } from '../api/mcp.js';
+import { createMemoryJournal } from '../lib/audit.js';
+import { createMemoryCache } from '../lib/cache.js';
+import { createIdempotencyStore } from '../lib/idempotency.js';
+import { executeTool } from '../lib/tool-executor.js';
+
+const TAG = '1A4000000000000000000001';
+const KEYS_A = { vendorKey: 'vendor-a-secret', userKey: 'user-a-secret' };
+const KEYS_B = { vendorKey: 'vendor-b-secret', userKey: 'user-b-secret' };
+
+const keyHeaders = ({ vendorKey, userKey }) => ({ [VENDOR_KEY_HEADER]: vendorKey, [USER_KEY_HEADER]: userKey });
+
+test('readRequestCredentials: both headers, neither, or an error', () => {
+  assert.deepEqual(readRequestCredentials(new Headers(keyHeaders({ vendorKey: ' v ', userKey: 'u' }))), { vendorKey: 'v', userKey: 'u' });
+  assert.equal(readRequestCredentials(new Headers()), null);
+  assert.throws(() => readRequestCredentials(new Headers({ [VENDOR_KEY_HEADER]: 'v' })), /Send both/);
+});
+
+test('credentialFingerprint: stable per key pair, distinct across pairs, never the keys', async () => {
+  const a = await credentialFingerprint(KEYS_A);
+  assert.match(a, /^[0-9a-f]{16}$/);
+  assert.equal(await credentialFingerprint({ ...KEYS_A }), a);
+  assert.notEqual(await credentialFingerprint(KEYS_B), a);
+  assert.notEqual(await credentialFingerprint({ vendorKey: KEYS_A.userKey, userKey: KEYS_A.vendorKey }), a);
+  assert.equal(redactSecrets(`401 for ${KEYS_A.userKey}`, [KEYS_A.vendorKey, KEYS_A.userKey]), '401 for [REDACTED]');
+});
+
+/** POST a JSON-RPC message to the handler. */
+function post(handler, message, headers = {}) {
+  return handler(new Request('http://localhost/api/mcp', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(message),
+  }));
+}
+
+const auditLogCall = (id) => ({ jsonrpc: '2.0', id, method: 'tools/call', params: { name: 'metrc_get_audit_log', arguments: {} } });
+
+test('api/mcp.js: a session is bound to the tenant of the keys it was initialized with', async () => {
+  const journal = createMemoryJournal();
+  const tenantA = await credentialFingerprint(KEYS_A);
+  const tenantB = await credentialFingerprint(KEYS_B);
+  const entry = (operation_id, tenant) => ({ operation_id, timestamp: new Date().toISOString(), actor: { tenant, client: null }, license: 'LIC-1', tool: 'metrc_finish_package' });
+  await journal.append(entry('op-a', tenantA));
+  await journal.append(entry('op-b', tenantB));
+  const handler = createMcpHandler({ loadSkill: async () => '', journal });
+
+  const init = await post(handler, { jsonrpc: '2.0', id: 1, method: 'initialize', params: {} }, keyHeaders(KEYS_A));
+  const sessionId = init.headers.get('Mcp-Session-Id');
+  assert.ok(sessionId);
+
+  const operations = async (res) => JSON.parse((await res.json()).result.content[0].text).map((e) => e.operation_id);
+  // The session keeps tenant A whether or not later requests repeat the keys
+  assert.deepEqual(await operations(await post(handler, auditLogCall(2), { 'Mcp-Session-Id': sessionId })), ['op-a']);
+  assert.deepEqual(await operations(await post(handler, auditLogCall(3), { 'Mcp-Session-Id': sessionId, ...keyHeaders(KEYS_A) })), ['op-a']);
+
+  const hijack = await post(handler, auditLogCall(4), { 'Mcp-Session-Id': sessionId, ...keyHeaders(KEYS_B) });
+  assert.equal(hijack.status, 403);
+  assert.deepEqual(await hijack.json(), { error: 'Credentials do not match this session' });
+
+  // Without a session, request keys pick the tenant
+  assert.deepEqual(await operations(await post(handler, auditLogCall(5), keyHeaders(KEYS_B))), ['op-b']);
+  assert.equal((await post(handler, auditLogCall(6), { [USER_KEY_HEADER]: 'only-one' })).status, 400);
+});
+
+test('executeTool: cached reads are scoped per tenant', async () => {
+  const cache = createMemoryCache();
+  const calls = [];
+  const fetchAs = (tenant) => async (path) => {
+    calls.push(tenant);
+    return [{ Id: 1, Label: `${tenant}-package` }];
+  };
+  const read = (tenant) => executeTool('metrc_get_packages', { license_number: 'LIC-1' }, fetchAs(tenant), { tenant, cache });
+
+  assert.match(await read('tenant-a'), /tenant-a-package/);
+  assert.match(await read('tenant-a'), /tenant-a-package/);
+  assert.match(await read('tenant-b'), /tenant-b-package/, 'B never gets the result cached for A');
+  assert.deepEqual(calls, ['tenant-a', 'tenant-b']);
+});
+
+test('executeTool: an idempotency key is scoped per tenant', async () => {
+  const idempotency = createIdempotencyStore();
+  const writes = [];
+  const metrcFetch = async (path, params, options = {}) => {
+    if (!options.method || options.method === 'GET') return null;
+    writes.push(path);
+    return { ok: writes.length };
+  };
+  const finish = (tenant) => executeTool(
+    'metrc_finish_package',
+    { license_number: 'LIC-1', label: TAG, actual_date: '2026-10-01', idempotency_key: 'finish-1' },
+    metrcFetch,
+    { tenant, cache: null, journal: createMemoryJournal(), idempotency }
+  );
+
+  const first = await finish('tenant-a');
+  assert.equal(await finish('tenant-a'), first, 'A replays its own result');
+  await finish('tenant-b');
+  assert.equal(writes.length, 2, 'B reusing A\'s key is a new write, not a replay of A\'s result');
+});
+
+test('executeTool: audit entries record the tenant and metrc_get_audit_log only returns the caller\'s', async () => {
+  const journal = createMemoryJournal();
+  const metrcFetch = async () => null;
+  const context = (tenant) => ({ tenant, cache: null, journal });
+  await executeTool('metrc_finish_package', { license_number: 'LIC-1', label: TAG, actual_date: '2026-10-01' }, metrcFetch, context('tenant-a'));
+
+  const forA = JSON.parse(await executeTool('metrc_get_audit_log', {}, metrcFetch, context('tenant-a')));
+  assert.equal(forA.length, 1);
+  assert.equal(forA[0].actor.tenant, 'tenant-a');
+  assert.deepEqual(JSON.parse(await executeTool('metrc_get_audit_log', {}, metrcFetch, context('tenant-b'))), []);
+  assert.deepEqual(JSON.parse(await executeTool('metrc_get_audit_log', {}, metrcFetch, context(undefined))), [], 'env keys are their own tenant');
+});
@@ -0,0 +1,68 @@
+/**
+ * Unit tests: date-range filters split into 24h windows (lib/date-windows.js).
+ * Run from repo root: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveDateFilter, splitWindows, createDateWindowFetch } from '../lib/date-windows.js';
+import { executeTool } from '../lib/tool-executor.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+test('resolveDateFilter: a bare end date includes that whole day', () => {
+  const range = resolveDateFilter({ last_modified_start: '2026-10-01', last_modified_end: '2026-10-03' }, ['last_modified']);
+  assert.equal(range.filter.startParam, 'lastModifiedStart');
+  assert.equal(new Date(range.start).toISOString(), '2026-10-01T00:00:00.000Z');
+  assert.equal(new Date(range.end).toISOString(), '2026-10-04T00:00:00.000Z');
+});
+
+test('resolveDateFilter: rejects reversed ranges and two filters at once', () => {
+  assert.equal(resolveDateFilter({}, ['last_modified']), null);
+  assert.throws(() => resolveDateFilter({ last_modified_start: '2026-10-03', last_modified_end: '2026-10-01T00:00:00Z' }, ['last_modified']), /must be before/);
+  assert.throws(
+    () => resolveDateFilter({ last_modified_start: '2026-10-01', sales_date_start: '2026-10-01' }, ['last_modified', 'sales_date']),
+    /one date filter at a time/
+  );
+});
+
+test('splitWindows: consecutive windows of at most 24 hours', () => {
+  const start = Date.parse('2026-10-01T00:00:00Z');
+  const windows = splitWindows(start, start + 2.5 * DAY);
+  assert.deepEqual(windows.map(([from, to]) => (to - from) / DAY), [1, 1, 0.5]);
+  assert.equal(windows[1][0], windows[0][1]);
+});
+
+test('createDateWindowFetch: one request per window, merged and de-duplicated by Id', async () => {
+  const start = Date.parse('2026-10-01T00:00:00Z');
+  const seen = [];
+  const fetch = async (path, params) => {
+    seen.push(params.lastModifiedStart);
+    return { Data: [{ Id: 1 }, { Id: seen.length + 1 }], TotalPages: 1 };
+  };
+  const range = resolveDateFilter({ last_modified_start: '2026-10-01', last_modified_end: '2026-10-03' }, ['last_modified']);
+  const res = await createDateWindowFetch(fetch, range)('/packages/v2/active', { licenseNumber: 'LIC-1' });
+  assert.deepEqual(seen, [0, 1, 2].map((d) => new Date(start + d * DAY).toISOString()));
+  assert.deepEqual(res.Data.map((r) => r.Id), [1, 2, 3, 4]);
+  assert.equal(res.Windows, 3);
+  assert.equal(res.Truncated, false);
+});
+
+test('createDateWindowFetch: too many windows are refused before any request', () => {
+  const range = resolveDateFilter({ last_modified_start: '2026-01-01', last_modified_end: '2026-03-01' }, ['last_modified']);
+  assert.throws(() => createDateWindowFetch(async () => assert.fail('no request expected'), range), /at most 31 are allowed/);
+});
+
+test('executeTool: pages nest inside date windows so progress never restarts', async () => {
+  const fetch = async (path, params) => ({ Data: [{ Id: `${params.lastModifiedStart}-${params.page}` }], TotalPages: 3 });
+  const events = [];
+  const args = { license_number: 'LIC-1', all_pages: true, last_modified_start: '2026-10-01', last_modified_end: '2026-10-02' };
+  const text = await executeTool('metrc_get_packages', args, fetch, {
+    cache: null,
+    onProgress: (progress, total, message) => events.push({ progress, total, message }),
+  });
+  assert.equal(JSON.parse(text).Data.length, 6);
+  const values = events.map((e) => e.progress);
+  assert.ok(values.every((v, i) => i === 0 || v > values[i - 1]), `not increasing: ${values.join(', ')}`);
+  assert.deepEqual(values, [0, 0.1667, 0.3333, 0.5, 0.6667, 0.8333, 1]);
+});
@@ -0,0 +1,114 @@
+/**
+ * Unit tests: dry-run previews of write tools (lib/dry-run.js).
+ * Run from repo root: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCapturingFetch, previewWrites } from '../lib/dry-run.js';
+import { MetrcApiError } from '../lib/metrc-errors.js';
+import { createMemoryJournal } from '../lib/audit.js';
+import { executeTool } from '../lib/tool-executor.js';
+
+const A = '1A4000000000000000000001';
+const B = '1A4000000000000000000002';
+const MISSING = '1A4000000000000000000009';
+
+const PACKAGES = {
+  [A]: { Label: A, Quantity: 5, UnitOfMeasureName: 'Grams', LocationName: 'Vault', FinishedDate: null },
+  [B]: { Label: B, Quantity: 1, UnitOfMeasureName: 'Grams', LocationName: 'Vault', FinishedDate: '2026-09-01' },
+};
+const LOCATIONS = [{ Id: 10, Name: 'Vault', ForPackages: true }, { Id: 11, Name: 'Veg room', ForPackages: false, LocationTypeName: 'Plants' }];
+
+/** METRC state for lookups; records every request so a test can assert no write went out. */
+function fakeMetrc() {
+  const requests = [];
+  const fetch = async (path, params = {}, options = {}) => {
+    const method = (options.method || 'GET').toUpperCase();
+    requests.push(`${method} ${path}`);
+    if (method !== 'GET') return null;
+    if (path === '/locations/v2/active') return LOCATIONS;
+    const label = decodeURIComponent(path.split('/').pop());
+    if (PACKAGES[label]) return PACKAGES[label];
+    throw new MetrcApiError({ status: 404, method, endpoint: path, body: '' });
+  };
+  const writes = () => requests.filter((r) => !r.startsWith('GET '));
+  return { fetch, requests, writes };
+}
+
+test('createCapturingFetch: writes are recorded, reads go through', async () => {
+  const metrc = fakeMetrc();
+  const capture = createCapturingFetch(metrc.fetch);
+  assert.equal((await capture.fetch(`/packages/v2/${A}`, { licenseNumber: 'LIC-1' })).Label, A);
+  assert.equal(await capture.fetch('/packages/v2/adjust', { licenseNumber: 'LIC-1' }, { method: 'post', body: [{ Label: A }] }), null);
+  assert.deepEqual(capture.writes, [{ method: 'POST', path: '/packages/v2/adjust', params: { licenseNumber: 'LIC-1' }, body: [{ Label: A }] }]);
+  assert.deepEqual(metrc.writes(), []);
+});
+
+test('previewWrites: bulk adjustments are summed per package and checked against current state', async () => {
+  const metrc = fakeMetrc();
+  const body = [
+    { Label: A, Quantity: -3, UnitOfMeasure: 'Grams', AdjustmentReason: 'Drying' },
+    { Label: A, Quantity: -3, UnitOfMeasure: 'Ounces', AdjustmentReason: 'Drying' },
+    { Label: MISSING, Quantity: -1, UnitOfMeasure: 'Grams' },
+  ];
+  const writes = [{ method: 'POST', path: '/packages/v2/adjust', params: { licenseNumber: 'LIC-1' }, body }];
+  const preview = await previewWrites('metrc_bulk_adjust_packages', writes, metrc.fetch);
+  assert.equal(preview.would_succeed, false);
+  assert.deepEqual(preview.issues, [
+    `row 1: ${A}: adjustment -3 would leave -1 Grams (negative)`,
+    `row 2: ${MISSING}: package not found`,
+  ]);
+  assert.deepEqual(preview.notes, [`row 1: ${A}: adjusting in Ounces; package is tracked in Grams`]);
+  assert.deepEqual(preview.changes, [`${A}: Quantity 5 Grams → 2 Grams (Drying)`, `${A}: Quantity 2 Grams → -1 Grams (Drying)`]);
+  assert.deepEqual(preview.requests, writes);
+  assert.equal(metrc.requests.filter((r) => r === `GET /packages/v2/${A}`).length, 1, 'each package is looked up once');
+});
+
+test('previewWrites: finished packages, locations and unchecked endpoints', async () => {
+  const metrc = fakeMetrc();
+  const preview = await previewWrites('t', [
+    { method: 'PUT', path: '/packages/v2/location', params: { licenseNumber: 'LIC-1' }, body: [{ Label: B, LocationId: 11 }] },
+    { method: 'PUT', path: '/packages/v2/unfinish', params: { licenseNumber: 'LIC-1' }, body: [{ Label: B }] },
+    { method: 'POST', path: '/harvests/v2/waste', params: { licenseNumber: 'LIC-1' }, body: [{}, {}] },
+  ], metrc.fetch);
+  assert.deepEqual(preview.issues, [
+    `${B}: package is finished (2026-09-01)`,
+    'location Veg room: does not accept packages (type Plants)',
+  ]);
+  assert.deepEqual(preview.changes, [
+    `${B}: Location Vault → Veg room`,
+    `${B}: unfinished (was finished 2026-09-01)`,
+    'POST /harvests/v2/waste: 2 record(s)',
+  ]);
+});
+
+test('executeTool: dry_run makes zero METRC writes and returns the would-be request bodies', async () => {
+  const metrc = fakeMetrc();
+  const journal = createMemoryJournal();
+  const context = { journal, cache: null };
+
+  const adjust = JSON.parse(await executeTool('metrc_adjust_package', {
+    license_number: 'LIC-1', label: A, quantity: -2, unit_of_measure: 'Grams', adjustment_reason: 'Drying', adjustment_date: '2026-10-01', dry_run: true,
+  }, metrc.fetch, context));
+  assert.equal(adjust.dry_run, true);
+  assert.equal(adjust.would_succeed, true);
+  assert.equal(adjust.requests.length, 1);
+  assert.equal(adjust.requests[0].method, 'POST');
+  assert.equal(adjust.requests[0].path, '/packages/v2/adjust');
+  assert.equal(adjust.requests[0].body[0].Label, A);
+  assert.equal(adjust.requests[0].body[0].Quantity, -2);
+
+  const waste = JSON.parse(await executeTool('metrc_post_harvest_waste', {
+    license_number: 'LIC-1', harvest_id: 5, harvest_name: 'H-5', waste_method_id: 1, waste_amount: 3, waste_unit_of_measure: 'Grams', waste_date: '2026-10-01', dry_run: true,
+  }, metrc.fetch, context));
+  assert.deepEqual(waste.requests, [{
+    method: 'POST',
+    path: '/harvests/v2/waste',
+    params: { licenseNumber: 'LIC-1' },
+    body: [{ HarvestId: 5, HarvestName: 'H-5', WasteMethodId: 1, WasteAmount: 3, WasteUnitOfMeasure: 'Grams', WasteDate: '2026-10-01', ReasonNote: '' }],
+  }]);
+
+  assert.deepEqual(metrc.writes(), []);
+  assert.deepEqual(journal.query({}), [], 'nothing was written, so nothing is journaled');
+});
@@ -0,0 +1,109 @@
+/**
+ * Unit tests: idempotency keys for write tools (lib/idempotency.js).
+ * Run from repo root: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createIdempotencyStore } from '../lib/idempotency.js';
+import { createMemoryJournal } from '../lib/audit.js';
+import { executeTool } from '../lib/tool-executor.js';
+
+const A = '1A4000000000000000000001';
+const CALL = { scope: 'tenant-1', tool: 'metrc_finish_package', key: 'k-1', args: { label: A, actual_date: '2026-10-01' } };
+
+function counter(result = 'written') {
+  const fn = async () => {
+    fn.calls++;
+    return result;
+  };
+  fn.calls = 0;
+  return fn;
+}
+
+test('a repeated key replays the first result without running the write again', async () => {
+  const store = createIdempotencyStore();
+  const execute = counter();
+  assert.deepEqual(await store.run(CALL, execute), { result: 'written', replayed: false });
+  // Control arguments such as idempotency_key itself are not part of the payload
+  assert.deepEqual(await store.run({ ...CALL, args: { ...CALL.args, idempotency_key: 'k-1' } }, execute), { result: 'written', replayed: true });
+  assert.equal(execute.calls, 1);
+});
+
+test('reusing a key with different arguments is a conflict', async () => {
+  const store = createIdempotencyStore();
+  const execute = counter();
+  await store.run(CALL, execute);
+  await assert.rejects(
+    store.run({ ...CALL, args: { ...CALL.args, actual_date: '2026-10-02' } }, execute),
+    /already used for metrc_finish_package with different arguments/
+  );
+  assert.equal(execute.calls, 1);
+});
+
+test('keys are scoped by tenant and tool', async () => {
+  const store = createIdempotencyStore();
+  const execute = counter();
+  await store.run(CALL, execute);
+  assert.equal((await store.run({ ...CALL, scope: 'tenant-2' }, execute)).replayed, false);
+  assert.equal((await store.run({ ...CALL, tool: 'metrc_unfinish_package' }, execute)).replayed, false);
+  assert.equal(execute.calls, 3);
+});
+
+test('a concurrent call with the same key waits for the first', async () => {
+  const store = createIdempotencyStore();
+  let release;
+  let calls = 0;
+  const execute = () => {
+    calls++;
+    return new Promise((resolve) => { release = resolve; });
+  };
+  const first = store.run(CALL, execute);
+  const second = store.run(CALL, execute);
+  // Hashing the arguments is async; wait until the first call has started its write
+  while (!release) await new Promise((resolve) => setImmediate(resolve));
+  release('done');
+  assert.deepEqual(await first, { result: 'done', replayed: false });
+  assert.deepEqual(await second, { result: 'done', replayed: true });
+  assert.equal(calls, 1);
+});
+
+test('a failed call is not kept, so the same key can be retried', async () => {
+  const store = createIdempotencyStore();
+  await assert.rejects(store.run(CALL, async () => { throw new Error('METRC returned 500'); }), /500/);
+  const execute = counter();
+  assert.equal((await store.run(CALL, execute)).replayed, false);
+  assert.equal(execute.calls, 1);
+});
+
+test('results expire after ttlMs and the oldest are evicted past maxEntries', async () => {
+  const expired = createIdempotencyStore({ ttlMs: -1 });
+  const execute = counter();
+  await expired.run(CALL, execute);
+  assert.equal((await expired.run(CALL, execute)).replayed, false);
+
+  const small = createIdempotencyStore({ maxEntries: 1 });
+  await small.run(CALL, execute);
+  await small.run({ ...CALL, key: 'k-2' }, execute);
+  assert.equal((await small.run(CALL, execute)).replayed, false);
+  assert.equal(execute.calls, 5);
+});
+
+test('executeTool: a write with a repeated idempotency_key reaches METRC once', async () => {
+  const writes = [];
+  const metrcFetch = async (path, params, options = {}) => {
+    if (options.method && options.method !== 'GET') writes.push(path);
+    return null;
+  };
+  const context = { journal: createMemoryJournal(), cache: null, idempotency: createIdempotencyStore() };
+  const args = { license_number: 'LIC-1', label: A, actual_date: '2026-10-01', idempotency_key: 'finish-1' };
+  const first = await executeTool('metrc_finish_package', args, metrcFetch, context);
+  const second = await executeTool('metrc_finish_package', args, metrcFetch, context);
+  assert.equal(second, first);
+  assert.deepEqual(writes, ['/packages/v2/finish']);
+  await assert.rejects(
+    executeTool('metrc_finish_package', { ...args, actual_date: '2026-10-02' }, metrcFetch, context),
+    /different arguments/
+  );
+  assert.equal(writes.length, 1);
+});
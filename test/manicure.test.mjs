@@ -0,0 +1,94 @@
+/**
+ * Unit tests: metrc_manicure_plants validation and row mapping (manicureRows in lib/tool-executor.js).
+ * Run from repo root: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryJournal } from '../lib/audit.js';
+import { executeTool } from '../lib/tool-executor.js';
+
+const P1 = '1A4000000000000000000101';
+const P2 = '1A4000000000000000000102';
+const P3 = '1A4000000000000000000103';
+
+/** Run metrc_manicure_plants and return the rows it posted. */
+async function manicure(args) {
+  const sent = [];
+  const metrcFetch = async (path, params, options = {}) => {
+    sent.push(options.body);
+    return null;
+  };
+  await executeTool('metrc_manicure_plants', { license_number: 'LIC-1', actual_date: '2026-10-01', ...args }, metrcFetch, {
+    journal: createMemoryJournal(),
+    cache: null,
+  });
+  assert.equal(sent.length, 1);
+  return sent[0];
+}
+
+test('manicure: plant_labels share weight_per_plant and the top-level fields', async () => {
+  const rows = await manicure({ plant_labels: [P1, P2], weight_per_plant: 4, unit_of_weight: 'Grams', drying_location_name: 'Dry Room', harvest_name: 'H-1' });
+  assert.deepEqual(rows, [
+    { Plant: P1, Weight: 4, UnitOfWeight: 'Grams', DryingLocation: 'Dry Room', HarvestName: 'H-1', ActualDate: '2026-10-01' },
+    { Plant: P2, Weight: 4, UnitOfWeight: 'Grams', DryingLocation: 'Dry Room', HarvestName: 'H-1', ActualDate: '2026-10-01' },
+  ]);
+});
+
+test('manicure: manicures[] entries override the top-level fields and follow plant_labels', async () => {
+  const rows = await manicure({
+    plant_labels: [P1],
+    weight_per_plant: 4,
+    manicures: [
+      { plant_label: P2, weight: 6.5 },
+      { plant_label: P3, weight: 2, unit_of_weight: 'Ounces', drying_location_name: 'Dry Room 2', harvest_name: 'H-2' },
+    ],
+    unit_of_weight: 'Grams',
+    drying_location_name: 'Dry Room',
+    harvest_name: 'H-1',
+  });
+  assert.deepEqual(rows.map((r) => [r.Plant, r.Weight, r.UnitOfWeight, r.DryingLocation, r.HarvestName]), [
+    [P1, 4, 'Grams', 'Dry Room', 'H-1'],
+    [P2, 6.5, 'Grams', 'Dry Room', 'H-1'],
+    [P3, 2, 'Ounces', 'Dry Room 2', 'H-2'],
+  ]);
+});
+
+test('manicure: shared fields may be left off when every entry sets them', async () => {
+  const rows = await manicure({
+    manicures: [
+      { plant_label: P1, weight: 1, unit_of_weight: 'Grams', drying_location_name: 'Dry Room', harvest_name: 'H-1' },
+      { plant_label: P2, weight: 2, unit_of_weight: 'Grams', drying_location_name: 'Dry Room', harvest_name: 'H-2' },
+    ],
+  });
+  assert.deepEqual(rows.map((r) => r.HarvestName), ['H-1', 'H-2']);
+});
+
+test('manicure: validation messages', async () => {
+  await assert.rejects(manicure({ unit_of_weight: 'Grams', drying_location_name: 'Dry Room', harvest_name: 'H-1' }), /Provide plant_labels with weight_per_plant, or manicures/);
+  await assert.rejects(
+    manicure({ plant_labels: [P1], unit_of_weight: 'Grams', drying_location_name: 'Dry Room', harvest_name: 'H-1' }),
+    /weight_per_plant is required with plant_labels/
+  );
+  await assert.rejects(
+    manicure({
+      plant_labels: [P1],
+      weight_per_plant: 4,
+      manicures: [{ plant_label: P2, weight: 1, unit_of_weight: 'Grams', harvest_name: 'H-2' }],
+      drying_location_name: 'Dry Room',
+    }),
+    (err) => {
+      assert.equal(
+        err.message,
+        'Invalid input for metrc_manicure_plants: '
+          + '/unit_of_weight: required unless every entry sets it (missing for /plant_labels/0); '
+          + '/harvest_name: required unless every entry sets it (missing for /plant_labels/0)'
+      );
+      return true;
+    }
+  );
+  await assert.rejects(
+    manicure({ manicures: [{ plant_label: P1, weight: 1 }, { plant_label: P2, weight: 2, drying_location_name: 'Dry Room' }], unit_of_weight: 'Grams', harvest_name: 'H-1' }),
+    /\/drying_location_name: required unless every entry sets it \(missing for \/manicures\/0\)$/
+  );
+});
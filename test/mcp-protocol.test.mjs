@@ -0,0 +1,137 @@
+/**
+ * Unit tests: MCP JSON-RPC dispatcher (lib/mcp-protocol.js).
+ * Run from repo root: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMcpDispatcher, dispatchBatch, mapWithConcurrency, JSONRPC_ERRORS, SUPPORTED_PROTOCOL_VERSIONS } from '../lib/mcp-protocol.js';
+
+const TOOLS = [{ name: 'echo', description: 'Echo', inputSchema: { type: 'object', properties: {} } }];
+
+function dispatcher(executeTool = async (name, args) => JSON.stringify(args)) {
+  return createMcpDispatcher({ listTools: () => TOOLS, executeTool, loadSkill: async () => '# Skill' });
+}
+
+test('requests get a response with their id; notifications get none', async () => {
+  const dispatch = dispatcher();
+  assert.deepEqual(await dispatch({ jsonrpc: '2.0', id: 7, method: 'ping' }), { jsonrpc: '2.0', id: 7, result: {} });
+  assert.equal(await dispatch({ jsonrpc: '2.0', method: 'notifications/initialized' }), null);
+  assert.equal(await dispatch({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 7 } }), null);
+  // A JSON-RPC request without an id is a notification: not executed, not answered
+  let ran = false;
+  const spy = dispatcher(async () => { ran = true; return ''; });
+  assert.equal(await spy({ jsonrpc: '2.0', method: 'tools/call', params: { name: 'echo' } }), null);
+  assert.equal(ran, false);
+});
+
+test('messages without jsonrpc are accepted, and bare { method } bodies are answered with id 1', async () => {
+  const dispatch = dispatcher();
+  assert.deepEqual((await dispatch({ id: 3, method: 'tools/list' })).result.tools, TOOLS);
+  const bare = await dispatch({ method: 'tools/call', params: { name: 'echo', arguments: { a: 1 } } });
+  assert.equal(bare.id, 1);
+  assert.deepEqual(bare.result.content, [{ type: 'text', text: '{"a":1}' }]);
+  assert.equal(await dispatch({ method: 'notifications/initialized' }), null);
+});
+
+test('invalid messages and unknown methods are JSON-RPC errors', async () => {
+  const dispatch = dispatcher();
+  assert.equal((await dispatch({ jsonrpc: '1.0', id: 1, method: 'ping' })).error.code, JSONRPC_ERRORS.INVALID_REQUEST);
+  assert.equal((await dispatch({ jsonrpc: '2.0', id: 1 })).error.code, JSONRPC_ERRORS.INVALID_REQUEST);
+  assert.deepEqual(await dispatch('ping'), { jsonrpc: '2.0', id: null, error: { code: JSONRPC_ERRORS.INVALID_REQUEST, message: 'Invalid Request' } });
+  const unknown = await dispatch({ jsonrpc: '2.0', id: 2, method: 'tools/run' });
+  assert.equal(unknown.error.code, JSONRPC_ERRORS.METHOD_NOT_FOUND);
+  assert.equal(unknown.id, 2);
+  assert.equal((await dispatch({ jsonrpc: '2.0', id: 4, method: 'tools/call', params: {} })).error.code, JSONRPC_ERRORS.INVALID_PARAMS);
+});
+
+test('initialize negotiates the protocol version', async () => {
+  const dispatch = dispatcher();
+  const known = await dispatch({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-03-26' } });
+  assert.equal(known.result.protocolVersion, '2025-03-26');
+  const unknown = await dispatch({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '1999-01-01' } });
+  assert.equal(unknown.result.protocolVersion, SUPPORTED_PROTOCOL_VERSIONS[0]);
+});
+
+test('tools/call: tool errors are results with isError, progress goes to notify', async () => {
+  const failing = dispatcher(async () => { throw new Error('METRC returned 500'); });
+  const failed = await failing({ jsonrpc: '2.0', id: 5, method: 'tools/call', params: { name: 'echo' } });
+  assert.equal(failed.result.isError, true);
+
+  const sent = [];
+  const progressing = dispatcher(async (name, args, context) => {
+    context.onProgress(1, 1, 'Done');
+    return 'ok';
+  });
+  await progressing(
+    { jsonrpc: '2.0', id: 6, method: 'tools/call', params: { name: 'echo', _meta: { progressToken: 'p' } } },
+    { notify: (message) => sent.push(message) }
+  );
+  assert.deepEqual(sent, [{ jsonrpc: '2.0', method: 'notifications/progress', params: { progressToken: 'p', progress: 1, total: 1, message: 'Done' } }]);
+});
+
+const call = (id, args) => ({ jsonrpc: '2.0', id, method: 'tools/call', params: { name: 'echo', arguments: args } });
+
+test('dispatchBatch: responses keep request order, notifications are omitted, initialize is refused', async () => {
+  const dispatch = dispatcher();
+  const responses = await dispatchBatch([
+    call(1, { n: 1 }),
+    { jsonrpc: '2.0', method: 'notifications/initialized' },
+    { jsonrpc: '2.0', id: 2, method: 'initialize', params: {} },
+    { jsonrpc: '2.0', id: 3, method: 'ping' },
+  ], dispatch);
+  assert.deepEqual(responses.map((r) => r.id), [1, 2, 3]);
+  assert.match(responses[1].error.message, /initialize must not be part of a batch/);
+  assert.deepEqual(await dispatchBatch([{ jsonrpc: '2.0', method: 'notifications/initialized' }], dispatch), []);
+});
+
+test('dispatchBatch: calls run concurrently up to the limit and onResponse sees each as it finishes', async () => {
+  let running = 0;
+  let peak = 0;
+  const delays = { 1: 80, 2: 5, 3: 5 };
+  const dispatch = dispatcher(async (name, args) => {
+    running++;
+    peak = Math.max(peak, running);
+    await new Promise((resolve) => setTimeout(resolve, delays[args.n]));
+    running--;
+    return String(args.n);
+  });
+  const streamed = [];
+  const responses = await dispatchBatch([call(1, { n: 1 }), call(2, { n: 2 }), call(3, { n: 3 })], dispatch, {
+    concurrency: 2,
+    onResponse: (response) => streamed.push(response.id),
+  });
+  assert.equal(peak, 2);
+  assert.deepEqual(streamed, [2, 3, 1], 'the slow first call does not hold back the others');
+  assert.deepEqual(responses.map((r) => r.id), [1, 2, 3]);
+});
+
+test('mapWithConcurrency: a limit that is not a positive number still runs every item', async () => {
+  for (const limit of [NaN, 0, -2, undefined, 2.5, Infinity]) {
+    assert.deepEqual(await mapWithConcurrency([1, 2, 3], limit, async (n) => n * 2), [2, 4, 6], String(limit));
+  }
+});
+
+test('api/mcp.js: a non-numeric MCP_BATCH_CONCURRENCY falls back to the default', async () => {
+  process.env.MCP_BATCH_CONCURRENCY = 'four';
+  const { createMcpHandler } = await import('../api/mcp.js');
+  const handler = createMcpHandler({ loadSkill: async () => '' });
+  const res = await handler(new Request('http://localhost/api/mcp', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify([{ jsonrpc: '2.0', id: 1, method: 'ping' }, { jsonrpc: '2.0', id: 2, method: 'ping' }]),
+  }));
+  assert.deepEqual(await res.json(), [{ jsonrpc: '2.0', id: 1, result: {} }, { jsonrpc: '2.0', id: 2, result: {} }]);
+});
+
+test('tools/call: csv envelope metadata follows the CSV as its own content item', async () => {
+  const dispatch = dispatcher(async (name, args, context) => {
+    context.onResultMeta({ Total: 2, Truncated: false });
+    return 'Id\n1\n2';
+  });
+  const response = await dispatch({ jsonrpc: '2.0', id: 8, method: 'tools/call', params: { name: 'echo', arguments: { output_format: 'csv' } } });
+  assert.deepEqual(response.result.content, [
+    { type: 'text', text: 'Id\n1\n2' },
+    { type: 'text', text: 'Result metadata: Total: 2; Truncated: false' },
+  ]);
+});
@@ -0,0 +1,94 @@
+/**
+ * Unit tests: Streamable HTTP response streams (lib/mcp-transport.js).
+ * Run from repo root: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createResponseStream } from '../lib/mcp-transport.js';
+import { createMcpDispatcher } from '../lib/mcp-protocol.js';
+import { createIdempotencyStore } from '../lib/idempotency.js';
+import { createMemoryJournal } from '../lib/audit.js';
+import { executeTool } from '../lib/tool-executor.js';
+
+const A = '1A4000000000000000000001';
+
+async function readAll(stream) {
+  const decoder = new TextDecoder();
+  let text = '';
+  for await (const chunk of stream) text += decoder.decode(chunk);
+  return text;
+}
+
+test('createResponseStream: notifications, then the response, then the stream closes', async () => {
+  const stream = createResponseStream(async (notify) => {
+    notify({ jsonrpc: '2.0', method: 'notifications/progress', params: { progressToken: 'p', progress: 0.5 } });
+    return { jsonrpc: '2.0', id: 1, result: {} };
+  });
+  const events = (await readAll(stream)).trim().split('\n\n');
+  assert.equal(events.length, 2);
+  assert.match(events[0], /^event: message\ndata: .*notifications\/progress/);
+  assert.match(events[1], /"id":1/);
+});
+
+test('createResponseStream: a client that disconnects mid-call does not fail the call', async () => {
+  let release;
+  let outcome;
+  const stream = createResponseStream(async (notify) => {
+    notify({ jsonrpc: '2.0', method: 'notifications/progress', params: { progress: 0 } });
+    await new Promise((resolve) => { release = resolve; });
+    notify({ jsonrpc: '2.0', method: 'notifications/progress', params: { progress: 1 } });
+    outcome = 'finished';
+    return { jsonrpc: '2.0', id: 1, result: {} };
+  });
+  const reader = stream.getReader();
+  await reader.read();
+  await reader.cancel();
+  release();
+  while (outcome === undefined) await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(outcome, 'finished');
+});
+
+test('a dropped SSE connection during a write does not let the same idempotency_key write twice', async () => {
+  const writes = [];
+  let releaseWrite;
+  const metrcFetch = async (path, params, options = {}) => {
+    if (!options.method || options.method === 'GET') return null;
+    writes.push(path);
+    if (writes.length === 1) await new Promise((resolve) => { releaseWrite = resolve; });
+    return null;
+  };
+  const toolContext = { journal: createMemoryJournal(), cache: null, idempotency: createIdempotencyStore() };
+  const dispatch = createMcpDispatcher({
+    listTools: () => [],
+    executeTool: (name, args, context) => executeTool(name, args, metrcFetch, { ...toolContext, ...context }),
+    loadSkill: async () => '',
+  });
+  const message = {
+    jsonrpc: '2.0',
+    id: 1,
+    method: 'tools/call',
+    params: {
+      name: 'metrc_finish_package',
+      arguments: { license_number: 'LIC-1', label: A, actual_date: '2026-10-01', idempotency_key: 'finish-1' },
+      _meta: { progressToken: 'p' },
+    },
+  };
+
+  let first;
+  const stream = createResponseStream(async (notify) => {
+    first = await dispatch(message, { notify });
+    return first;
+  });
+  const reader = stream.getReader();
+  await reader.read();
+  while (!releaseWrite) await new Promise((resolve) => setImmediate(resolve));
+  await reader.cancel();
+  releaseWrite();
+  while (!first) await new Promise((resolve) => setImmediate(resolve));
+  assert.notEqual(first.result.isError, true, 'METRC accepted the write, so the call succeeded');
+
+  const retry = await dispatch(message);
+  assert.notEqual(retry.result.isError, true);
+  assert.deepEqual(writes, ['/packages/v2/finish']);
+});
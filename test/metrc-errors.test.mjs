@@ -0,0 +1,103 @@
+/**
+ * Unit tests: structured METRC API errors (lib/metrc-errors.js).
+ * Run from repo root: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMetrcErrorBody, MetrcApiError, toolErrorResult } from '../lib/metrc-errors.js';
+
+test('parseMetrcErrorBody: an array of per-row messages', () => {
+  const body = JSON.stringify([
+    { row: 0, message: 'Package 1A40... not found' },
+    { Row: 2, Message: 'Quantity exceeds available' },
+    { code: 7 },
+  ]);
+  assert.deepEqual(parseMetrcErrorBody(body), {
+    summary: null,
+    errors: [
+      { row: 0, field: null, message: 'Package 1A40... not found' },
+      { row: 2, field: null, message: 'Quantity exceeds available' },
+      { row: null, field: null, message: '{"code":7}' },
+    ],
+  });
+});
+
+test('parseMetrcErrorBody: ModelState keys give the row and the field', () => {
+  const body = JSON.stringify({
+    Message: 'The request is invalid.',
+    ModelState: { 'request[2].Quantity': ['Must be positive', 'Required'], 'request.LicenseNumber': 'Unknown' },
+  });
+  assert.deepEqual(parseMetrcErrorBody(body), {
+    summary: 'The request is invalid.',
+    errors: [
+      { row: 2, field: 'Quantity', message: 'Must be positive' },
+      { row: 2, field: 'Quantity', message: 'Required' },
+      { row: null, field: 'LicenseNumber', message: 'Unknown' },
+    ],
+  });
+});
+
+test('parseMetrcErrorBody: { Message }, plain text, empty and scalar bodies', () => {
+  assert.deepEqual(parseMetrcErrorBody('{"Message":"Authorization has been denied for this request."}'), {
+    summary: 'Authorization has been denied for this request.',
+    errors: [{ row: null, field: null, message: 'Authorization has been denied for this request.' }],
+  });
+  assert.deepEqual(parseMetrcErrorBody('  Service Unavailable \n'), {
+    summary: 'Service Unavailable',
+    errors: [{ row: null, field: null, message: 'Service Unavailable' }],
+  });
+  assert.deepEqual(parseMetrcErrorBody(''), { summary: null, errors: [] });
+  assert.deepEqual(parseMetrcErrorBody('"Bad Request"'), { summary: 'Bad Request', errors: [{ row: null, field: null, message: 'Bad Request' }] });
+});
+
+test('MetrcApiError: message lists each row and field; failedRows are unique', () => {
+  const err = new MetrcApiError({
+    status: 400,
+    method: 'POST',
+    endpoint: '/packages/v2/adjust',
+    body: JSON.stringify([{ row: 1, message: 'Not found' }, { row: 1, message: 'Finished' }, { row: 3, message: 'Bad unit' }]),
+  });
+  assert.ok(err instanceof Error);
+  assert.equal(err.name, 'MetrcApiError');
+  assert.equal(err.message, 'METRC POST /packages/v2/adjust failed (400): row 1: Not found; row 1: Finished; row 3: Bad unit');
+  assert.deepEqual(err.failedRows, [1, 3]);
+  assert.equal(new MetrcApiError({ status: 500, method: 'GET', endpoint: '/x' }).message, 'METRC GET /x failed (500)');
+});
+
+test('toolErrorResult: structuredContent from a MetrcApiError', () => {
+  const err = new MetrcApiError({
+    status: 400,
+    method: 'PUT',
+    endpoint: '/packages/v2/finish',
+    body: JSON.stringify({ Message: 'The request is invalid.', ModelState: { 'request[0].ActualDate': ['Date is in the future'] } }),
+  });
+  assert.deepEqual(toolErrorResult(err), {
+    content: [{ type: 'text', text: 'Error: METRC PUT /packages/v2/finish failed (400): row 0: ActualDate: Date is in the future' }],
+    structuredContent: {
+      error: 'MetrcApiError',
+      status: 400,
+      method: 'PUT',
+      endpoint: '/packages/v2/finish',
+      message: 'The request is invalid.',
+      failedRows: [0],
+      errors: [{ row: 0, field: 'ActualDate', message: 'Date is in the future' }],
+    },
+    isError: true,
+  });
+});
+
+test('toolErrorResult: structuredContent for plain-text bodies and other errors', () => {
+  const text = toolErrorResult(new MetrcApiError({ status: 503, method: 'GET', endpoint: '/harvests/v2/active', body: 'Service Unavailable' }));
+  assert.deepEqual(text.structuredContent, {
+    error: 'MetrcApiError',
+    status: 503,
+    method: 'GET',
+    endpoint: '/harvests/v2/active',
+    message: 'Service Unavailable',
+    failedRows: [],
+    errors: [{ row: null, field: null, message: 'Service Unavailable' }],
+  });
+  assert.deepEqual(toolErrorResult(new TypeError('boom')).structuredContent, { error: 'TypeError', message: 'boom' });
+  assert.deepEqual(toolErrorResult('nope'), { content: [{ type: 'text', text: 'Error: nope' }], structuredContent: { error: 'Error', message: 'nope' }, isError: true });
+});
@@ -0,0 +1,108 @@
+/**
+ * Unit tests: retries, timeouts and rate limiting of the METRC HTTP client (lib/metrc-http.js).
+ * Run from repo root: node --test test/
+ */
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMetrcFetch, parseRetryAfter } from '../lib/metrc-http.js';
+import { MetrcApiError } from '../lib/metrc-errors.js';
+
+const realFetch = globalThis.fetch;
+afterEach(() => { globalThis.fetch = realFetch; });
+
+/** Replace global fetch with `respond(call)`; returns the recorded calls. */
+function stubFetch(respond) {
+  const calls = [];
+  globalThis.fetch = async (url, init) => {
+    const call = { url: new URL(url), method: init.method, at: Date.now(), init };
+    calls.push(call);
+    return respond(call, calls.length);
+  };
+  return calls;
+}
+
+let clients = 0;
+/** A client with its own base URL, so token buckets are not shared between tests. */
+function client(overrides = {}) {
+  return createMetrcFetch({
+    baseUrl: `https://api-${++clients}.metrc.test`,
+    vendorKey: 'vendor',
+    userKey: 'user',
+    encodeAuth: (v, u) => `Basic ${v}:${u}`,
+    timeoutMs: 1000,
+    maxRetries: 2,
+    rateLimit: { perSecond: 0 },
+    ...overrides,
+  });
+}
+
+const json = (status, body, headers = {}) => new Response(JSON.stringify(body), { status, headers });
+
+test('parseRetryAfter: seconds or an HTTP date', () => {
+  assert.equal(parseRetryAfter('2'), 2000);
+  assert.equal(parseRetryAfter(null), null);
+  assert.equal(parseRetryAfter('soon'), null);
+  const ms = parseRetryAfter(new Date(Date.now() + 5000).toUTCString());
+  assert.ok(ms > 3000 && ms <= 5000, String(ms));
+});
+
+test('429: waits for Retry-After, then retries, for writes too', async () => {
+  const calls = stubFetch((call, n) => (n === 1 ? json(429, { Message: 'Too many requests' }, { 'Retry-After': '0.08' }) : json(200, { ok: true })));
+  const res = await client()('/packages/v2/adjust', { licenseNumber: 'LIC-1' }, { method: 'POST', body: [] });
+  assert.deepEqual(res, { ok: true });
+  assert.equal(calls.length, 2);
+  assert.ok(calls[1].at - calls[0].at >= 75, `retried after ${calls[1].at - calls[0].at}ms`);
+});
+
+test('5xx: a GET is retried', async () => {
+  const calls = stubFetch((call, n) => (n === 1 ? json(503, 'busy') : json(200, [{ Id: 1 }])));
+  assert.deepEqual(await client({ maxRetries: 1 })('/packages/v2/active', { licenseNumber: 'LIC-1' }), [{ Id: 1 }]);
+  assert.equal(calls.length, 2);
+});
+
+test('5xx: a POST or PUT is never retried, and the error is a MetrcApiError', async () => {
+  for (const method of ['POST', 'PUT']) {
+    const calls = stubFetch(() => json(500, { Message: 'An error has occurred.' }));
+    await assert.rejects(client()('/packages/v2/finish', { licenseNumber: 'LIC-1' }, { method, body: [] }), (err) => {
+      assert.ok(err instanceof MetrcApiError);
+      assert.equal(err.status, 500);
+      assert.equal(err.method, method);
+      return true;
+    });
+    assert.equal(calls.length, 1, method);
+  }
+});
+
+/** A fetch that never answers and rejects when its signal aborts, as fetch does. */
+function hangUntilAborted(call) {
+  return new Promise((resolve, reject) => {
+    call.init.signal.addEventListener('abort', () => reject(new DOMException('aborted', 'AbortError')));
+  });
+}
+
+test('timeout: each attempt is aborted; a GET retries, a write fails after one attempt', async () => {
+  let calls = stubFetch((call, n) => (n === 1 ? hangUntilAborted(call) : json(200, { ok: true })));
+  assert.deepEqual(await client({ timeoutMs: 20, maxRetries: 1 })('/harvests/v2/active'), { ok: true });
+  assert.equal(calls.length, 2);
+
+  calls = stubFetch(hangUntilAborted);
+  await assert.rejects(
+    client({ timeoutMs: 20 })('/harvests/v2/waste', { licenseNumber: 'LIC-1' }, { method: 'POST', body: [] }),
+    /METRC POST \/harvests\/v2\/waste failed: timed out after 20ms/
+  );
+  assert.equal(calls.length, 1);
+});
+
+test('rate limit: requests for one license queue behind the token bucket; other licenses do not wait', async () => {
+  const calls = stubFetch(() => json(200, []));
+  const metrcFetch = client({ rateLimit: { perSecond: 20, burst: 1 } });
+  const started = Date.now();
+  await Promise.all([1, 2, 3].map(() => metrcFetch('/packages/v2/active', { licenseNumber: 'LIC-1' })));
+  assert.ok(Date.now() - started >= 90, `three requests at 20/s with burst 1 took ${Date.now() - started}ms`);
+
+  const other = Date.now();
+  await metrcFetch('/packages/v2/active', { licenseNumber: 'LIC-2' });
+  assert.ok(Date.now() - other < 40, 'LIC-2 has its own bucket');
+  assert.equal(calls.length, 4);
+});
@@ -0,0 +1,98 @@
+/**
+ * Unit tests: multi-state routing by license number (lib/metrc-routing.js).
+ * Run from repo root: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLicenseResolver, createRoutingMetrcFetch, loadStateConfig, describeBaseUrl } from '../lib/metrc-routing.js';
+
+const ENV = {
+  METRC_API_URL: 'https://sandbox-api-co.metrc.com',
+  METRC_VENDOR_API_KEY: 'vendor',
+  METRC_USER_API_KEY: 'user',
+  METRC_STATES: JSON.stringify({
+    ma: { licensePrefixes: ['MAC', 'MAR'], vendorKey: 'vendor-ma', userKey: 'user-ma' },
+    ok: { licensePrefixes: ['GAAA'], baseUrl: 'https://metrc-ok.proxy.test' },
+  }),
+  METRC_VENDOR_API_KEY_OK: 'vendor-ok',
+  METRC_USER_API_KEY_OK: 'user-ok',
+};
+
+/** Run `fn` with console.error silenced; returns what it would have printed. */
+function quietly(fn) {
+  const original = console.error;
+  const printed = [];
+  console.error = (message) => printed.push(message);
+  try {
+    fn();
+  } finally {
+    console.error = original;
+  }
+  return printed;
+}
+
+test('describeBaseUrl: state and environment from METRC hosts only', () => {
+  assert.deepEqual(describeBaseUrl('https://sandbox-api-co.metrc.com'), { state: 'CO', environment: 'sandbox' });
+  assert.deepEqual(describeBaseUrl('https://api-ma.metrc.com/'), { state: 'MA', environment: 'production' });
+  assert.equal(describeBaseUrl('https://metrc.proxy.test'), null);
+  assert.equal(describeBaseUrl('not a url'), null);
+});
+
+test('createLicenseResolver: license prefixes pick the state base URL and keys', () => {
+  const resolve = createLicenseResolver(ENV);
+  assert.deepEqual(resolve('mac-000123'), {
+    state: 'MA',
+    environment: 'production',
+    baseUrl: 'https://api-ma.metrc.com',
+    vendorKey: 'vendor-ma',
+    userKey: 'user-ma',
+  });
+  const ok = resolve('GAAA-1234-XYZ');
+  assert.equal(ok.baseUrl, 'https://metrc-ok.proxy.test', 'a configured baseUrl wins');
+  assert.deepEqual([ok.vendorKey, ok.userKey], ['vendor-ok', 'user-ok'], 'per-state env keys');
+});
+
+test('createLicenseResolver: sandbox licenses carry their state', () => {
+  const resolve = createLicenseResolver(ENV);
+  const ma = resolve('SF-SBX-MA-4-3301');
+  assert.equal(ma.baseUrl, 'https://sandbox-api-ma.metrc.com');
+  assert.equal(ma.environment, 'sandbox');
+  // The default target's own state keeps METRC_API_URL
+  assert.equal(resolve('SF-SBX-CO-1-0001').baseUrl, ENV.METRC_API_URL);
+});
+
+test('createLicenseResolver: unknown prefixes and missing licenses use the default target', () => {
+  const resolve = createLicenseResolver(ENV);
+  const fallback = { state: 'CO', environment: 'sandbox', baseUrl: ENV.METRC_API_URL, vendorKey: 'vendor', userKey: 'user' };
+  assert.deepEqual(resolve('403R-00001'), fallback);
+  assert.deepEqual(resolve(undefined), fallback);
+  assert.deepEqual(resolve('  '), fallback);
+  assert.equal(createLicenseResolver({ METRC_API_URL: 'https://metrc.proxy.test', METRC_DEFAULT_STATE: 'co' })('x').state, 'CO');
+});
+
+test('a malformed METRC_STATES is reported and ignored', () => {
+  for (const value of ['{"ma": {', '[]', '"MA"', 'null', '42']) {
+    let states;
+    const printed = quietly(() => { states = loadStateConfig({ METRC_STATES: value }); });
+    assert.deepEqual(states, {}, value);
+    assert.match(printed[0], /Ignoring METRC_STATES/, value);
+  }
+  assert.deepEqual(loadStateConfig({ METRC_STATES: '{"ma": "MAC", "ok": null}' }), { MA: {}, OK: {} });
+
+  let resolve;
+  quietly(() => { resolve = createLicenseResolver({ ...ENV, METRC_STATES: 'not json' }); });
+  assert.equal(resolve('MAC-000123').baseUrl, ENV.METRC_API_URL, 'no prefixes: every license goes to the default target');
+});
+
+test('createRoutingMetrcFetch: one client per target, chosen by licenseNumber', async () => {
+  const created = [];
+  const routed = createRoutingMetrcFetch((target) => {
+    created.push(target.baseUrl);
+    return async (path) => `${target.baseUrl}${path}`;
+  }, createLicenseResolver(ENV));
+  assert.equal(await routed('/packages/v2/active', { licenseNumber: 'MAC-1' }), 'https://api-ma.metrc.com/packages/v2/active');
+  assert.equal(await routed('/harvests/v2/active', { licenseNumber: 'MAR-2' }), 'https://api-ma.metrc.com/harvests/v2/active');
+  assert.equal(await routed('/facilities/v2/'), `${ENV.METRC_API_URL}/facilities/v2/`);
+  assert.deepEqual(created, ['https://api-ma.metrc.com', ENV.METRC_API_URL]);
+});
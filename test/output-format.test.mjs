@@ -0,0 +1,63 @@
+/**
+ * Unit tests: output formats for read tool results (lib/output-format.js).
+ * Run from repo root: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatResult, describeResultMeta } from '../lib/output-format.js';
+import { executeTool } from '../lib/tool-executor.js';
+
+const ENVELOPE = {
+  Data: [
+    { Id: 1, Label: 'A', Item: { Name: 'Flower, "Blue"' }, Quantity: 5 },
+    { Id: 2, Label: 'B', Item: { Name: 'Trim' }, Quantity: 1.5 },
+  ],
+  Total: 120,
+  Truncated: true,
+  Notice: 'Call again with page=2 to continue, or narrow the query.',
+};
+
+test('csv: an envelope renders as pure CSV and its other fields go to onMeta', () => {
+  let meta = null;
+  const csv = formatResult(ENVELOPE, 'csv', { onMeta: (m) => { meta = m; } });
+  assert.equal(csv, [
+    'Id,Label,Item.Name,Quantity',
+    '1,A,"Flower, ""Blue""",5',
+    '2,B,Trim,1.5',
+  ].join('\n'));
+  assert.deepEqual(meta, { Total: 120, Truncated: true, Notice: ENVELOPE.Notice });
+  assert.equal(describeResultMeta(meta), `Result metadata: Total: 120; Truncated: true; Notice: ${ENVELOPE.Notice}`);
+});
+
+test('csv: an envelope with only Data does not call onMeta', () => {
+  let called = false;
+  assert.equal(formatResult({ Data: [{ Id: 1 }] }, 'csv', { onMeta: () => { called = true; } }), 'Id\n1');
+  assert.equal(called, false);
+});
+
+test('markdown keeps envelope fields above the table', () => {
+  const md = formatResult(ENVELOPE, 'markdown');
+  assert.match(md, /^Total: 120\nTruncated: true\nNotice: .+\n\n\| Id \| Label \| Item.Name \| Quantity \|/);
+});
+
+test('json, compact and single records', () => {
+  assert.equal(formatResult({ a: 1 }), '{\n  "a": 1\n}');
+  assert.equal(formatResult({ a: 1 }, 'compact'), '{"a":1}');
+  assert.equal(formatResult({ Id: 1, Item: { Name: 'x' } }, 'csv'), 'field,value\nId,1\nItem.Name,x');
+  assert.throws(() => formatResult({}, 'xml'), /output_format must be one of/);
+});
+
+test('executeTool: a csv read passes the envelope fields to onResultMeta', async () => {
+  const metrcFetch = async (path, params) => ({ Data: [{ Id: params.page }], Total: 2, TotalPages: 2 });
+  let meta = null;
+  const text = await executeTool(
+    'metrc_get_packages',
+    { license_number: 'LIC-1', all_pages: true, max_pages: 1, output_format: 'csv' },
+    metrcFetch,
+    { cache: null, onResultMeta: (m) => { meta = m; } }
+  );
+  assert.equal(text, 'Id\n1');
+  assert.equal(meta.Truncated, true);
+  assert.match(meta.Notice, /page=2/);
+});
@@ -0,0 +1,98 @@
+/**
+ * Unit tests: all_pages (lib/pagination.js) and progress reporting (lib/progress.js).
+ * Run from repo root: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPagingFetch } from '../lib/pagination.js';
+import { createProgress } from '../lib/progress.js';
+import { executeTool } from '../lib/tool-executor.js';
+import { PAGINATED_TOOLS, getToolByName } from '../lib/tools.js';
+
+/** A list endpoint with `pages` pages of two records each. */
+function pagedEndpoint(pages) {
+  const calls = [];
+  const fetch = async (path, params = {}, options = {}) => {
+    calls.push({ path, params, method: options.method || 'GET' });
+    if (options.method && options.method !== 'GET') return { written: true };
+    const page = params.page || 1;
+    return { Data: [{ Id: page * 10 + 1 }, { Id: page * 10 + 2 }], Total: pages * 2, TotalPages: pages, PageSize: 2 };
+  };
+  return { fetch, calls };
+}
+
+function assertIncreasing(events) {
+  for (let i = 1; i < events.length; i++) {
+    assert.ok(events[i].progress > events[i - 1].progress, `progress went from ${events[i - 1].progress} to ${events[i].progress}`);
+  }
+}
+
+test('createPagingFetch: merges every page into one envelope', async () => {
+  const { fetch, calls } = pagedEndpoint(3);
+  const res = await createPagingFetch(fetch)('/packages/v2/active', { licenseNumber: 'LIC-1' });
+  assert.deepEqual(res.Data.map((r) => r.Id), [11, 12, 21, 22, 31, 32]);
+  assert.equal(res.PagesFetched, 3);
+  assert.equal(res.Truncated, false);
+  assert.deepEqual(calls.map((c) => c.params.page), [1, 2, 3]);
+});
+
+test('createPagingFetch: stops at maxPages and says how to continue', async () => {
+  const { fetch } = pagedEndpoint(5);
+  const res = await createPagingFetch(fetch, { maxPages: 2 })('/packages/v2/active', {});
+  assert.equal(res.Data.length, 4);
+  assert.equal(res.Truncated, true);
+  assert.match(res.Notice, /page=3/);
+});
+
+test('createPagingFetch: writes and non-envelope responses pass through', async () => {
+  const { fetch, calls } = pagedEndpoint(3);
+  const paging = createPagingFetch(fetch);
+  assert.deepEqual(await paging('/packages/v2/adjust', {}, { method: 'POST', body: [] }), { written: true });
+  assert.equal(calls.length, 1);
+  const plain = await createPagingFetch(async () => [{ Id: 1 }])('/facilities/v2/');
+  assert.deepEqual(plain, [{ Id: 1 }]);
+});
+
+test('createProgress: nested spans map into one increasing value', () => {
+  const events = [];
+  const progress = createProgress((p, total, message) => events.push({ progress: p, total, message }));
+  progress(0, 1, 'start');
+  const half = progress.span(0, 0.5);
+  half(1, 2, 'a');
+  half(2, 2, 'b');
+  progress(1, 2, 'again'); // same as the last value: dropped
+  progress.span(0.5, 1)(1, 1, 'c');
+  progress(1, 1, 'Done'); // already at 1: dropped
+  assert.deepEqual(events.map((e) => [e.progress, e.message]), [[0, 'start'], [0.25, 'a'], [0.5, 'b'], [1, 'c']]);
+  assert.ok(events.every((e) => e.total === 1));
+});
+
+test('executeTool: all_pages progress increases from the first call to the last page', async () => {
+  const { fetch } = pagedEndpoint(4);
+  const events = [];
+  const onProgress = (progress, total, message) => events.push({ progress, total, message });
+  const text = await executeTool('metrc_get_packages', { license_number: 'LIC-1', all_pages: true }, fetch, { cache: null, onProgress });
+  assert.equal(JSON.parse(text).Data.length, 8);
+  assertIncreasing(events);
+  assert.equal(events[0].progress, 0);
+  assert.equal(events.at(-1).progress, 1);
+  assert.match(events.at(-1).message, /page 4 of 4/);
+});
+
+test('executeTool: following the truncation Notice continues where the last call stopped', async () => {
+  for (const name of [...PAGINATED_TOOLS]) {
+    assert.ok(getToolByName(name).inputSchema.properties.page, `${name} accepts page`);
+  }
+  const { fetch, calls } = pagedEndpoint(5);
+  const args = { license_number: 'LIC-1', all_pages: true, max_pages: 2 };
+  const first = JSON.parse(await executeTool('metrc_get_packages', args, fetch, { cache: null }));
+  const next = Number(first.Notice.match(/page=(\d+)/)[1]);
+  assert.equal(next, 3);
+
+  calls.length = 0;
+  const second = JSON.parse(await executeTool('metrc_get_packages', { ...args, page: next }, fetch, { cache: null }));
+  assert.deepEqual(calls.map((c) => c.params.page), [3, 4]);
+  assert.deepEqual(second.Data.map((r) => r.Id), [31, 32, 41, 42]);
+  assert.match(second.Notice, /page=5/);
+});
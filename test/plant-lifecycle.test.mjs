@@ -0,0 +1,124 @@
+/**
+ * Unit tests: plant lifecycle write tools (lib/tool-executor.js) — endpoint, method and request body.
+ * Run from repo root: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryJournal } from '../lib/audit.js';
+import { executeTool } from '../lib/tool-executor.js';
+
+const P1 = '1A4000000000000000000101';
+const P2 = '1A4000000000000000000102';
+const NEW_TAG = '1A4000000000000000000201';
+
+/** Run a tool and return the one write it sent to METRC. */
+async function sentBy(name, args) {
+  const writes = [];
+  const metrcFetch = async (path, params, options = {}) => {
+    if (options.method && options.method !== 'GET') writes.push({ method: options.method, path, license: params.licenseNumber, body: options.body });
+    return null;
+  };
+  await executeTool(name, { license_number: 'LIC-1', ...args }, metrcFetch, { journal: createMemoryJournal(), cache: null, confirmed: true });
+  assert.equal(writes.length, 1, `${name} sends one write`);
+  assert.equal(writes[0].license, 'LIC-1');
+  return writes[0];
+}
+
+test('metrc_move_plants: PUT /plants/v2/location, one row per plant id or label', async () => {
+  const sent = await sentBy('metrc_move_plants', {
+    plant_ids: [7], plant_labels: [P1], location_name: 'Flower Room', sublocation_name: 'Bench 2', actual_date: '2026-10-01',
+  });
+  assert.deepEqual(sent, {
+    method: 'PUT',
+    path: '/plants/v2/location',
+    license: 'LIC-1',
+    body: [
+      { Id: 7, Location: 'Flower Room', ActualDate: '2026-10-01', Sublocation: 'Bench 2' },
+      { Label: P1, Location: 'Flower Room', ActualDate: '2026-10-01', Sublocation: 'Bench 2' },
+    ],
+  });
+  await assert.rejects(sentBy('metrc_move_plants', { location_name: 'Flower Room', actual_date: '2026-10-01' }), /Provide plant_ids or plant_labels/);
+});
+
+test('metrc_change_plants_strain: PUT /plants/v2/strain', async () => {
+  const sent = await sentBy('metrc_change_plants_strain', { plant_labels: [P1, P2], strain_id: 12, strain_name: 'Gelato', actual_date: '2026-10-01' });
+  assert.equal(sent.method, 'PUT');
+  assert.equal(sent.path, '/plants/v2/strain');
+  assert.deepEqual(sent.body, [
+    { Label: P1, StrainId: 12, ActualDate: '2026-10-01', StrainName: 'Gelato' },
+    { Label: P2, StrainId: 12, ActualDate: '2026-10-01', StrainName: 'Gelato' },
+  ]);
+  const bare = await sentBy('metrc_change_plants_strain', { plant_ids: [7], strain_id: 12, actual_date: '2026-10-01' });
+  assert.deepEqual(bare.body, [{ Id: 7, StrainId: 12, ActualDate: '2026-10-01' }]);
+});
+
+test('metrc_manicure_plants: POST /plants/v2/manicure', async () => {
+  const sent = await sentBy('metrc_manicure_plants', {
+    plant_labels: [P1], weight_per_plant: 12.5, unit_of_weight: 'Grams', drying_location_name: 'Dry Room', harvest_name: 'H-1', actual_date: '2026-10-01',
+  });
+  assert.deepEqual(sent, {
+    method: 'POST',
+    path: '/plants/v2/manicure',
+    license: 'LIC-1',
+    body: [{ Plant: P1, Weight: 12.5, UnitOfWeight: 'Grams', DryingLocation: 'Dry Room', HarvestName: 'H-1', ActualDate: '2026-10-01' }],
+  });
+});
+
+test('metrc_split_plant_batch: POST /plantbatches/v2/split', async () => {
+  const sent = await sentBy('metrc_split_plant_batch', {
+    plant_batch_name: 'Batch 1', group_name: 'Batch 1-B', count: 10, location_name: 'Veg Room', sublocation_name: 'Shelf 1', strain_name: 'Gelato', actual_date: '2026-10-01',
+  });
+  assert.deepEqual(sent, {
+    method: 'POST',
+    path: '/plantbatches/v2/split',
+    license: 'LIC-1',
+    body: [{ PlantBatch: 'Batch 1', GroupName: 'Batch 1-B', Count: 10, Location: 'Veg Room', Strain: 'Gelato', ActualDate: '2026-10-01', Sublocation: 'Shelf 1' }],
+  });
+});
+
+test('metrc_destroy_plant_batch: DELETE /plantbatches/v2/ with the waste details in the body', async () => {
+  const base = {
+    plant_batch_id: 44, count: 3, waste_method_name: 'Grinder', waste_reason_name: 'Disease', reason_note: 'Mold', actual_date: '2026-10-01',
+  };
+  const sent = await sentBy('metrc_destroy_plant_batch', { ...base, waste_material_mixed: 'Soil', waste_weight: 2, waste_unit_of_measure: 'Pounds' });
+  assert.deepEqual(sent, {
+    method: 'DELETE',
+    path: '/plantbatches/v2/',
+    license: 'LIC-1',
+    body: [{
+      Id: 44,
+      Count: 3,
+      WasteMethodName: 'Grinder',
+      WasteReasonName: 'Disease',
+      ReasonNote: 'Mold',
+      ActualDate: '2026-10-01',
+      WasteMaterialMixed: 'Soil',
+      WasteWeight: 2,
+      WasteUnitOfMeasure: 'Pounds',
+    }],
+  });
+  assert.deepEqual(Object.keys((await sentBy('metrc_destroy_plant_batch', base)).body[0]), ['Id', 'Count', 'WasteMethodName', 'WasteReasonName', 'ReasonNote', 'ActualDate']);
+});
+
+test('metrc_create_plantings_from_plants: POST /plants/v2/plantings', async () => {
+  const sent = await sentBy('metrc_create_plantings_from_plants', {
+    plant_label: P1, plant_batch_name: 'Clones 1', plant_batch_type: 'Clone', plant_count: 20, location_name: 'Clone Room', strain_name: 'Gelato', actual_date: '2026-10-01',
+  });
+  assert.deepEqual(sent, {
+    method: 'POST',
+    path: '/plants/v2/plantings',
+    license: 'LIC-1',
+    body: [{
+      PlantLabel: P1, PlantBatchName: 'Clones 1', PlantBatchType: 'Clone', PlantCount: 20, LocationName: 'Clone Room', StrainName: 'Gelato', ActualDate: '2026-10-01',
+    }],
+  });
+});
+
+test('metrc_tag_plant_batch: PUT /plantbatches/v2/tag by id or by name', async () => {
+  const byId = await sentBy('metrc_tag_plant_batch', { plant_batch_id: 44, plant_batch_name: 'ignored', new_tag: NEW_TAG, replace_date: '2026-10-01' });
+  assert.deepEqual(byId, { method: 'PUT', path: '/plantbatches/v2/tag', license: 'LIC-1', body: [{ NewTag: NEW_TAG, ReplaceDate: '2026-10-01', Id: 44 }] });
+  const byName = await sentBy('metrc_tag_plant_batch', { plant_batch_name: 'Clones 1', new_tag: NEW_TAG, replace_date: '2026-10-01' });
+  assert.deepEqual(byName.body, [{ NewTag: NEW_TAG, ReplaceDate: '2026-10-01', Group: 'Clones 1' }]);
+  await assert.rejects(sentBy('metrc_tag_plant_batch', { new_tag: NEW_TAG, replace_date: '2026-10-01' }), /Provide plant_batch_id or plant_batch_name/);
+});
@@ -0,0 +1,83 @@
+/**
+ * Unit tests: per-deployment tool policy (lib/policy.js).
+ * Run from repo root: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadToolPolicy, checkToolPolicy, toolCategories } from '../lib/policy.js';
+import { TOOLS, getToolByName, getToolsList } from '../lib/tools.js';
+import { executeTool } from '../lib/tool-executor.js';
+
+const tool = (name) => getToolByName(name);
+const allowed = (name, policy) => checkToolPolicy(tool(name), policy).allowed;
+
+test('toolCategories: access class, destructive and domain', () => {
+  assert.deepEqual(toolCategories(tool('metrc_get_packages')), ['read', 'packages']);
+  assert.deepEqual(toolCategories(tool('metrc_post_destroy_plants')), ['write', 'destructive', 'plants']);
+  assert.deepEqual(toolCategories(tool('metrc_get_plant_batches')), ['read', 'plant_batches']);
+  assert.deepEqual(toolCategories(tool('metrc_get_facilities')), ['read', 'reference']);
+});
+
+test('loadToolPolicy: no settings allow every tool', () => {
+  const policy = loadToolPolicy({});
+  assert.deepEqual(policy, { readOnly: false, allow: [], deny: [] });
+  assert.equal(getToolsList(policy).length, TOOLS.length);
+  assert.ok(allowed('metrc_finish_package', policy));
+});
+
+test('read-only: only readOnlyHint tools are listed and allowed', () => {
+  const policy = loadToolPolicy({ METRC_READ_ONLY: 'true' });
+  assert.equal(policy.readOnly, true);
+  assert.ok(allowed('metrc_get_packages', policy));
+  assert.deepEqual(checkToolPolicy(tool('metrc_finish_package'), policy), { allowed: false, reason: 'this deployment is read-only' });
+  assert.ok(getToolsList(policy).every((t) => t.annotations.readOnlyHint));
+  assert.equal(loadToolPolicy({ METRC_TOOL_POLICY: '{"readOnly":true}' }).readOnly, true);
+});
+
+test('allow-list: names and categories from env and JSON are combined', () => {
+  const policy = loadToolPolicy({ METRC_TOOL_ALLOW: ' read , metrc_finish_package', METRC_TOOL_POLICY: '{"allow":["harvests"]}' });
+  assert.deepEqual(policy.allow, ['harvests', 'read', 'metrc_finish_package']);
+  assert.ok(allowed('metrc_get_packages', policy));
+  assert.ok(allowed('metrc_finish_package', policy));
+  assert.ok(allowed('metrc_finish_harvest', policy));
+  assert.match(checkToolPolicy(tool('metrc_adjust_package'), policy).reason, /not in the allowed tools/);
+});
+
+test('deny-list: wins over the allow-list', () => {
+  const policy = loadToolPolicy({ METRC_TOOL_ALLOW: 'packages', METRC_TOOL_DENY: 'destructive' });
+  assert.ok(allowed('metrc_get_packages', policy));
+  assert.deepEqual(checkToolPolicy(tool('metrc_finish_package'), policy), { allowed: false, reason: 'denied by policy (destructive)' });
+  assert.ok(!getToolsList(policy).some((t) => t.name === 'metrc_finish_package'));
+});
+
+test('an invalid policy falls back to read-only', () => {
+  const original = console.error;
+  console.error = () => {};
+  try {
+    assert.deepEqual(loadToolPolicy({ METRC_TOOL_POLICY: '{"allow": [' }), { readOnly: true, allow: [], deny: [] });
+    const fromFile = loadToolPolicy({ METRC_TOOL_POLICY_FILE: 'policy.json' }, { readFile: () => 'not json' });
+    assert.equal(fromFile.readOnly, true);
+  } finally {
+    console.error = original;
+  }
+  const fromFile = loadToolPolicy({ METRC_TOOL_POLICY_FILE: 'policy.json' }, { readFile: () => '{"deny":["sales"]}' });
+  assert.deepEqual(fromFile, { readOnly: false, allow: [], deny: ['sales'] });
+});
+
+test('executeTool: a denied tool never reaches metrcFetch', async () => {
+  let calls = 0;
+  const metrcFetch = async () => { calls++; return null; };
+  const policy = loadToolPolicy({ METRC_TOOL_DENY: 'metrc_get_packages', METRC_READ_ONLY: 'true' });
+  await assert.rejects(
+    executeTool('metrc_finish_package', { license_number: 'LIC-1', label: '1A4000000000000000000001', actual_date: '2026-10-01' }, metrcFetch, { policy, cache: null }),
+    /^Error: Tool metrc_finish_package is not available: this deployment is read-only$/
+  );
+  await assert.rejects(
+    executeTool('metrc_get_packages', { license_number: 'LIC-1' }, metrcFetch, { policy, cache: null }),
+    /not available: denied by policy \(metrc_get_packages\)/
+  );
+  assert.equal(calls, 0);
+  await executeTool('metrc_get_harvests', { license_number: 'LIC-1' }, metrcFetch, { policy, cache: null });
+  assert.equal(calls, 1);
+});
@@ -0,0 +1,61 @@
+/**
+ * Unit tests: package combine and split planning (lib/repackage.js).
+ * Run from repo root: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planCombine, planSplit, convertQuantity } from '../lib/repackage.js';
+
+const A = '1A4000000000000000000001';
+const B = '1A4000000000000000000002';
+const NEW = '1A4000000000000000000009';
+
+const PACKAGES = {
+  [A]: { Label: A, Quantity: 5, UnitOfMeasureName: 'Grams', Item: { Id: 1 }, LocationId: 3 },
+  [B]: { Label: B, Quantity: 5, UnitOfMeasureName: 'Grams', Item: { Id: 1 }, LocationId: 3 },
+};
+const metrcFetch = async (path) => PACKAGES[decodeURIComponent(path.split('/').pop())] ?? null;
+const combine = (extra = {}) => planCombine(metrcFetch, {
+  license_number: 'LIC-1',
+  sources: [{ label: A }, { label: B }],
+  tag: NEW,
+  actual_date: '2026-10-01',
+  ...extra,
+});
+
+test('convertQuantity converts within a unit group only', () => {
+  assert.equal(convertQuantity(1, 'Kilograms', 'Grams'), 1000);
+  assert.equal(convertQuantity(1, 'Grams', 'Each'), null);
+});
+
+test('planCombine: the new package holds the sum of the ingredients', async () => {
+  const [row] = await combine();
+  assert.equal(row.Quantity, 10);
+  assert.equal(row.ItemId, 1);
+  assert.deepEqual(row.Ingredients.map((i) => i.Quantity), [5, 5]);
+});
+
+test('planCombine: a quantity equal to the converted total is accepted', async () => {
+  const [row] = await combine({ quantity: 0.01, unit_of_measure: 'Kilograms' });
+  assert.equal(row.Quantity, 0.01);
+  assert.equal(row.UnitOfMeasure, 'Kilograms');
+});
+
+test('planCombine: a quantity that differs from the ingredients is rejected', async () => {
+  await assert.rejects(combine({ quantity: 100 }), /quantity 100 Grams does not match the ingredients, which add up to 10 Grams/);
+});
+
+test('planCombine: taking more than is available is rejected', async () => {
+  await assert.rejects(
+    combine({ sources: [{ label: A, quantity: 6 }, { label: B }] }),
+    /6 Grams requested, only 5 Grams available/
+  );
+});
+
+test('planSplit: outputs may not exceed the source quantity', async () => {
+  await assert.rejects(
+    planSplit(metrcFetch, { license_number: 'LIC-1', label: A, packages: [{ tag: NEW, quantity: 6 }], actual_date: '2026-10-01' }),
+    /need 6 Grams, only 5 Grams available/
+  );
+});
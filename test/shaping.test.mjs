@@ -0,0 +1,81 @@
+/**
+ * Unit tests: result shaping for read tools (lib/shaping.js).
+ * Run from repo root: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { shapeResult, getPath, hasShaping } from '../lib/shaping.js';
+import { executeTool } from '../lib/tool-executor.js';
+
+const PACKAGES = [
+  { Id: 1, Label: 'A', Quantity: 10, Item: { Name: 'Blue Dream', Category: { Name: 'Flower' } }, LocationName: null },
+  { Id: 2, Label: 'B', Quantity: 2, Item: { Name: 'OG Kush', Category: { Name: 'Flower' } }, LocationName: 'Vault' },
+  { Id: 3, Label: 'C', Quantity: '4.5', Item: { Name: 'Blue Dream Trim', Category: { Name: 'Trim' } }, LocationName: 'Vault' },
+  { Id: 4, Label: 'D', Quantity: 7, Item: { Name: 'Gelato', Category: { Name: 'Flower' } } },
+];
+
+const ids = (rows) => rows.map((r) => r.Id);
+
+test('getPath and hasShaping', () => {
+  assert.equal(getPath(PACKAGES[0], 'Item.Category.Name'), 'Flower');
+  assert.equal(getPath(PACKAGES[3], 'LocationName.Length'), undefined);
+  assert.equal(hasShaping({ output_format: 'csv' }), false);
+  assert.equal(hasShaping({ limit: 0 }), true);
+});
+
+test('where: nested fields, bare values and operators', () => {
+  assert.deepEqual(ids(shapeResult(PACKAGES, { where: { 'Item.Category.Name': 'Flower' } })), [1, 2, 4]);
+  assert.deepEqual(ids(shapeResult(PACKAGES, { where: { 'Item.Name': { contains: 'blue' }, Quantity: { lt: 5 } } })), [3]);
+  assert.deepEqual(ids(shapeResult(PACKAGES, { where: { Quantity: { gte: 4.5, lte: 7 } } })), [3, 4], 'numeric strings compare as numbers');
+  assert.deepEqual(ids(shapeResult(PACKAGES, { where: { Label: { in: ['B', 'D'] } } })), [2, 4]);
+  assert.deepEqual(ids(shapeResult(PACKAGES, { where: { LocationName: { ne: 'Vault' } } })), [1, 4]);
+  assert.deepEqual(ids(shapeResult(PACKAGES, { where: { LocationName: null } })), [1], 'null matches null, not a missing field');
+});
+
+test('sort: ascending, descending and several keys', () => {
+  assert.deepEqual(ids(shapeResult(PACKAGES, { sort: 'Quantity' })), [2, 3, 4, 1]);
+  assert.deepEqual(ids(shapeResult(PACKAGES, { sort: '-Quantity' })), [1, 4, 3, 2]);
+  assert.deepEqual(ids(shapeResult(PACKAGES, { sort: ['Item.Category.Name', '-Quantity'] })), [1, 4, 2, 3]);
+  assert.deepEqual(ids(shapeResult(PACKAGES, { sort: 'LocationName' })), [1, 4, 2, 3], 'missing values sort first');
+  assert.deepEqual(ids(PACKAGES), [1, 2, 3, 4], 'the input is not reordered');
+});
+
+test('limit applies after filtering and sorting; fields project dotted paths', () => {
+  const shaped = shapeResult(
+    { Data: PACKAGES, Total: 4 },
+    { where: { 'Item.Category.Name': 'Flower' }, sort: '-Quantity', limit: 2, fields: ['Label', 'Item.Name'] }
+  );
+  assert.deepEqual(shaped, {
+    Data: [{ Label: 'A', 'Item.Name': 'Blue Dream' }, { Label: 'D', 'Item.Name': 'Gelato' }],
+    Total: 4,
+    Matched: 3,
+    Returned: 2,
+  });
+  assert.deepEqual(shapeResult(PACKAGES, { limit: 0 }), []);
+  assert.deepEqual(shapeResult(PACKAGES[1], { fields: ['Label', 'Item.Name'], limit: 1 }), { Label: 'B', 'Item.Name': 'OG Kush' });
+});
+
+test('an invalid where is an error', () => {
+  assert.throws(() => shapeResult(PACKAGES, { where: { Quantity: { below: 5 } } }), /where: unknown operator "below" \(use eq, ne, lt, lte, gt, gte, contains, in\)/);
+});
+
+test('executeTool: shaping runs on the METRC result, and a bad where is rejected', async () => {
+  const metrcFetch = async () => ({ Data: PACKAGES, Total: 4, TotalPages: 1 });
+  const text = await executeTool(
+    'metrc_get_packages',
+    { license_number: 'LIC-1', where: '{"Item.Name": {"contains": "blue"}}', sort: '-Id', limit: 1, fields: ['Id'] },
+    metrcFetch,
+    { cache: null }
+  );
+  assert.deepEqual(JSON.parse(text), { Data: [{ Id: 3 }], Total: 4, TotalPages: 1, Matched: 2, Returned: 1 });
+
+  await assert.rejects(
+    executeTool('metrc_get_packages', { license_number: 'LIC-1', where: 'Quantity < 5' }, metrcFetch, { cache: null }),
+    /^Error: Invalid input for metrc_get_packages: \/where: expected object, got string/
+  );
+  await assert.rejects(
+    executeTool('metrc_get_packages', { license_number: 'LIC-1', where: { Quantity: { under: 5 } } }, metrcFetch, { cache: null }),
+    /where: unknown operator "under"/
+  );
+});
@@ -45,10 +45,23 @@ const EXPECTED_TOOLS = [
   'metrc_get_plants_vegetative',
   'metrc_create_plant_batch_plantings',
   'metrc_change_plants_growth_phase',
+  'metrc_move_plants',
+  'metrc_change_plants_strain',
+  'metrc_manicure_plants',
+  'metrc_split_plant_batch',
+  'metrc_destroy_plant_batch',
+  'metrc_create_plantings_from_plants',
+  'metrc_tag_plant_batch',
+  'metrc_get_additive_types',
+  'metrc_get_additive_templates',
+  'metrc_record_plant_additives',
+  'metrc_record_plant_batch_additives',
   'metrc_get_harvest',
   'metrc_get_package',
   'metrc_get_plant',
   'metrc_create_package',
+  'metrc_combine_packages',
+  'metrc_split_package',
   'metrc_create_harvest_packages',
   'metrc_adjust_package',
   'metrc_change_package_location',
@@ -66,6 +79,17 @@ const EXPECTED_TOOLS = [
   'metrc_get_plant_batches_inactive',
   'metrc_get_transfers_incoming',
   'metrc_get_transfers_outgoing',
+  'metrc_get_transfer_templates',
+  'metrc_create_transfer_template',
+  'metrc_update_transfer_template',
+  'metrc_delete_transfer_template',
+  'metrc_get_transfers_rejected',
+  'metrc_get_transfers_hub',
+  'metrc_get_transfer_transporters',
+  'metrc_get_transfer_package_states',
+  'metrc_get_transfer_wholesale_prices',
+  'metrc_get_transfer_required_lab_batches',
+  'metrc_get_transfer_manifest',
   'metrc_create_item',
   'metrc_update_item',
   'metrc_create_strain',
@@ -79,6 +103,8 @@ const EXPECTED_TOOLS = [
   'metrc_sandbox_setup',
   'metrc_get_tags_package_available',
   'metrc_get_packages_with_pagination',
+  'metrc_get_audit_log',
+  'metrc_undo_operation',
 ];
 
 async function run() {
@@ -0,0 +1,112 @@
+/**
+ * Unit tests: transfer manifest assembly (lib/transfer-manifest.js).
+ * Run from repo root: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildTransferManifest } from '../lib/transfer-manifest.js';
+
+const A = '1A4000000000000000000001';
+const B = '1A4000000000000000000002';
+const C = '1A4000000000000000000003';
+
+/** METRC responses for transfer 77: two deliveries, one package without a wholesale price. */
+const FIXTURE = {
+  '/transfers/v2/outgoing': { Data: [{ Id: 76, ManifestNumber: '0000076' }] },
+  '/transfers/v2/incoming': { Data: [{ Id: 77, ManifestNumber: '0000077', ShipperFacilityName: 'Grower' }] },
+  '/transfers/v2/77/deliveries': [{ Id: 1, RecipientFacilityLicenseNumber: 'RECV-1' }, { Id: 2, RecipientFacilityLicenseNumber: 'RECV-2' }],
+  '/transfers/v2/deliveries/1/packages': [
+    { PackageId: 11, PackageLabel: A, ShipmentPackageState: 'Accepted' },
+    { PackageId: 12, PackageLabel: B, ShipmentPackageState: 'Rejected' },
+  ],
+  '/transfers/v2/deliveries/1/packages/wholesale': [
+    { PackageId: 11, ShipperWholesalePrice: 100.5, ReceiverWholesalePrice: 100 },
+    { PackageLabel: B, ShipperWholesalePrice: 20, ReceiverWholesalePrice: null },
+  ],
+  '/transfers/v2/deliveries/1/transporters': [{ TransporterFacilityName: 'Hauler' }],
+  '/transfers/v2/deliveries/1/transporters/details': [{ DriverName: 'Sam Lee', VehicleLicensePlateNumber: 'ABC123' }],
+  '/transfers/v2/deliveries/2/packages': { Data: [{ PackageId: 13, PackageLabel: C, ShipmentPackageState: 'Accepted' }] },
+  '/transfers/v2/deliveries/2/packages/wholesale': [],
+  '/transfers/v2/deliveries/2/transporters': [],
+  '/transfers/v2/deliveries/2/transporters/details': [],
+  '/transfers/v2/deliveries/package/11/requiredlabtestbatches': [{ LabTestBatchName: 'Potency' }],
+  '/transfers/v2/deliveries/package/12/requiredlabtestbatches': [],
+  '/transfers/v2/deliveries/package/13/requiredlabtestbatches': null,
+};
+
+function fixtureFetch(overrides = {}) {
+  const calls = [];
+  const responses = { ...FIXTURE, ...overrides };
+  const fetch = async (path, params) => {
+    calls.push(path);
+    assert.equal(params.licenseNumber, 'LIC-1');
+    return responses[path] ?? [];
+  };
+  return { fetch, calls };
+}
+
+test('buildTransferManifest: header, deliveries, prices and totals', async () => {
+  const { fetch } = fixtureFetch();
+  const manifest = await buildTransferManifest(fetch, { licenseNumber: 'LIC-1', transferId: 77 });
+
+  assert.equal(manifest.ManifestNumber, '0000077');
+  assert.equal(manifest.Direction, 'incoming');
+  assert.equal(manifest.Transfer.ShipperFacilityName, 'Grower');
+  assert.equal(manifest.Notice, undefined);
+
+  const [first, second] = manifest.Deliveries;
+  assert.deepEqual(first.Packages.map((p) => [p.PackageLabel, p.ShipperWholesalePrice, p.ReceiverWholesalePrice]), [
+    [A, 100.5, 100],
+    [B, 20, null],
+  ]);
+  assert.deepEqual(first.TransporterDetails, [{ DriverName: 'Sam Lee', VehicleLicensePlateNumber: 'ABC123' }]);
+  assert.deepEqual(first.Totals, {
+    Packages: 2,
+    ShipperWholesaleTotal: 120.5,
+    ReceiverWholesaleTotal: 100,
+    PackageStates: { Accepted: 1, Rejected: 1 },
+  });
+  assert.deepEqual(manifest.Totals, {
+    Deliveries: 2,
+    Packages: 3,
+    ShipperWholesaleTotal: 120.5,
+    ReceiverWholesaleTotal: 100,
+    PackageStates: { Accepted: 2, Rejected: 1 },
+  });
+  assert.equal(second.Packages[0].RequiredLabTestBatches, undefined, 'lab test batches only on request');
+});
+
+test('buildTransferManifest: packages without a wholesale price are kept with null prices', async () => {
+  const { fetch } = fixtureFetch();
+  const manifest = await buildTransferManifest(fetch, { licenseNumber: 'LIC-1', transferId: 77 });
+  const delivery = manifest.Deliveries[1];
+  assert.deepEqual(delivery.Packages.map((p) => p.PackageLabel), [C]);
+  assert.equal(delivery.Packages[0].ShipperWholesalePrice, null);
+  assert.deepEqual(delivery.Totals, { Packages: 1, ShipperWholesaleTotal: 0, ReceiverWholesaleTotal: 0, PackageStates: { Accepted: 1 } });
+});
+
+test('buildTransferManifest: a transfer missing from the header lists still returns its deliveries', async () => {
+  const { fetch, calls } = fixtureFetch();
+  const manifest = await buildTransferManifest(fetch, { licenseNumber: 'LIC-1', transferId: 77, direction: 'rejected' });
+  assert.equal(manifest.Transfer, null);
+  assert.equal(manifest.ManifestNumber, null);
+  assert.equal(manifest.Direction, 'rejected');
+  assert.match(manifest.Notice, /Transfer 77 was not found on the first page of the rejected list/);
+  assert.equal(manifest.Totals.Packages, 3);
+  assert.ok(!calls.includes('/transfers/v2/outgoing'), 'only the named list is searched');
+});
+
+test('buildTransferManifest: a transfer with no deliveries has zero totals', async () => {
+  const { fetch } = fixtureFetch({ '/transfers/v2/77/deliveries': [] });
+  const manifest = await buildTransferManifest(fetch, { licenseNumber: 'LIC-1', transferId: 77 });
+  assert.deepEqual(manifest.Deliveries, []);
+  assert.deepEqual(manifest.Totals, { Deliveries: 0, Packages: 0, ShipperWholesaleTotal: 0, ReceiverWholesaleTotal: 0, PackageStates: {} });
+});
+
+test('buildTransferManifest: include_lab_test_batches adds one request per package', async () => {
+  const { fetch, calls } = fixtureFetch();
+  const manifest = await buildTransferManifest(fetch, { licenseNumber: 'LIC-1', transferId: 77, includeLabTestBatches: true });
+  assert.deepEqual(manifest.Deliveries.flatMap((d) => d.Packages.map((p) => p.RequiredLabTestBatches)), [[{ LabTestBatchName: 'Potency' }], [], []]);
+  assert.equal(calls.filter((c) => c.endsWith('/requiredlabtestbatches')).length, 3);
+});
@@ -0,0 +1,94 @@
+/**
+ * Unit tests: outgoing transfer template payloads (lib/transfer-templates.js).
+ * Run from repo root: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildTransferTemplate } from '../lib/transfer-templates.js';
+import { executeTool } from '../lib/tool-executor.js';
+import { createMemoryJournal } from '../lib/audit.js';
+
+const A = '1A4000000000000000000001';
+const B = '1A4000000000000000000002';
+
+const ARGS = {
+  license_number: 'SHIP-1',
+  name: 'Weekly run',
+  destinations: [
+    {
+      recipient_license_number: 'RECV-1',
+      transfer_type_name: 'Wholesale',
+      planned_route: 'I-25 north',
+      estimated_departure: '2026-10-20T08:00:00',
+      estimated_arrival: '2026-10-20T10:00:00',
+      transporters: [{ driver_name: 'Sam Lee', vehicle_license_plate_number: 'ABC123', estimated_arrival: '2026-10-20T11:00:00' }],
+      packages: [{ package_label: A, wholesale_price: 100, gross_weight: 2.5, gross_unit_of_weight: 'Pounds' }],
+    },
+    { recipient_license_number: 'RECV-2', transfer_type_name: 'Wholesale', packages: [{ package_label: B }] },
+  ],
+};
+
+test('buildTransferTemplate: maps destinations, transporters and packages to METRC fields', () => {
+  assert.deepEqual(buildTransferTemplate(ARGS), {
+    Name: 'Weekly run',
+    TransporterFacilityLicenseNumber: 'SHIP-1',
+    Destinations: [
+      {
+        RecipientLicenseNumber: 'RECV-1',
+        TransferTypeName: 'Wholesale',
+        PlannedRoute: 'I-25 north',
+        EstimatedDepartureDateTime: '2026-10-20T08:00:00',
+        EstimatedArrivalDateTime: '2026-10-20T10:00:00',
+        Transporters: [{
+          TransporterFacilityLicenseNumber: 'SHIP-1',
+          TransporterDirection: 'Outbound',
+          EstimatedDepartureDateTime: '2026-10-20T08:00:00',
+          EstimatedArrivalDateTime: '2026-10-20T11:00:00',
+          DriverName: 'Sam Lee',
+          VehicleLicensePlateNumber: 'ABC123',
+        }],
+        Packages: [{ PackageLabel: A, WholesalePrice: 100, GrossWeight: 2.5, GrossUnitOfWeightName: 'Pounds' }],
+      },
+      {
+        RecipientLicenseNumber: 'RECV-2',
+        TransferTypeName: 'Wholesale',
+        Transporters: [{ TransporterFacilityLicenseNumber: 'SHIP-1', TransporterDirection: 'Outbound' }],
+        Packages: [{ PackageLabel: B }],
+      },
+    ],
+  });
+});
+
+test('buildTransferTemplate: a template id and a separate transporter license carry through', () => {
+  const template = buildTransferTemplate({ ...ARGS, template_id: 7, transporter_license_number: 'HAUL-1' });
+  assert.equal(template.TransferTemplateId, 7);
+  assert.equal(template.TransporterFacilityLicenseNumber, 'HAUL-1');
+  assert.deepEqual(template.Destinations.map((d) => d.Transporters[0].TransporterFacilityLicenseNumber), ['HAUL-1', 'HAUL-1']);
+  assert.equal(buildTransferTemplate({ name: 'x' }, 'SHIP-9').TransporterFacilityLicenseNumber, 'SHIP-9');
+});
+
+test('executeTool: create and update send the template as a one-element array', async () => {
+  const sent = [];
+  const metrcFetch = async (path, params, options = {}) => {
+    if (options.method) sent.push({ path, method: options.method, license: params.licenseNumber, body: options.body });
+    return null;
+  };
+  const context = { journal: createMemoryJournal(), cache: null };
+  const [first] = ARGS.destinations;
+  const args = {
+    ...ARGS,
+    destinations: [{
+      ...first,
+      transporters: [{ ...first.transporters[0], driver_license_number: 'D-1', vehicle_make: 'Ford', vehicle_model: 'Transit' }],
+    }],
+  };
+  await executeTool('metrc_create_transfer_template', args, metrcFetch, context);
+  await executeTool('metrc_update_transfer_template', { ...args, template_id: 7 }, metrcFetch, context);
+  assert.deepEqual(sent.map((s) => [s.method, s.path, s.license]), [
+    ['POST', '/transfers/v2/templates/outgoing', 'SHIP-1'],
+    ['PUT', '/transfers/v2/templates/outgoing', 'SHIP-1'],
+  ]);
+  assert.deepEqual(sent[0].body, [buildTransferTemplate(args)]);
+  assert.equal(sent[1].body[0].TransferTemplateId, 7);
+});
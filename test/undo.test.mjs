@@ -0,0 +1,196 @@
+/**
+ * Unit tests: undo planning (lib/undo.js) and metrc_undo_operation retries after a partial failure.
+ * Run from repo root: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planUndo, captureBeforeState } from '../lib/undo.js';
+import { createMemoryJournal } from '../lib/audit.js';
+import { executeTool } from '../lib/tool-executor.js';
+
+const A = '1A4000000000000000000001';
+const B = '1A4000000000000000000002';
+
+function journalEntry(overrides) {
+  return {
+    operation_id: 'op-1',
+    timestamp: '2026-10-01T12:00:00.000Z',
+    actor: { tenant: null, client: null },
+    license: 'LIC-1',
+    ok: true,
+    ...overrides,
+  };
+}
+
+test('planUndo: finish is undone by unfinish with the same date', async () => {
+  const plan = await planUndo(journalEntry({
+    method: 'PUT',
+    endpoint: '/packages/v2/finish',
+    request_body: [{ Label: A, ActualDate: '2026-10-01' }],
+  }));
+  assert.equal(plan.reversible, true);
+  assert.deepEqual(plan.steps, [
+    { tool: 'metrc_unfinish_package', args: { license_number: 'LIC-1', label: A, actual_date: '2026-10-01' } },
+  ]);
+});
+
+test('planUndo: adjustment is undone by the opposite adjustment', async () => {
+  const plan = await planUndo(journalEntry({
+    method: 'POST',
+    endpoint: '/packages/v2/adjust',
+    request_body: [{ Label: A, Quantity: -2, UnitOfMeasure: 'Grams', AdjustmentReason: 'Drying', AdjustmentDate: '2026-10-01' }],
+  }));
+  assert.equal(plan.steps[0].tool, 'metrc_adjust_package');
+  assert.equal(plan.steps[0].args.quantity, 2);
+  assert.match(plan.steps[0].args.reason_note, /op-1/);
+});
+
+test('planUndo: location change without captured state is not reversible', async () => {
+  const plan = await planUndo(journalEntry({
+    method: 'PUT',
+    endpoint: '/packages/v2/location',
+    request_body: [{ Label: A, LocationId: 7 }],
+  }));
+  assert.equal(plan.reversible, false);
+  assert.match(plan.reason, /not captured/);
+});
+
+test('planUndo: failed writes and irreversible endpoints are refused with a reason', async () => {
+  const failed = await planUndo(journalEntry({ ok: false, method: 'PUT', endpoint: '/packages/v2/finish', request_body: [] }));
+  assert.equal(failed.reversible, false);
+  const destroyed = await planUndo(journalEntry({ method: 'POST', endpoint: '/plants/v2/destroyplants', request_body: [{ Id: 1 }] }));
+  assert.equal(destroyed.reversible, false);
+  assert.match(destroyed.reason, /cannot be restored/);
+});
+
+test('planUndo: harvest waste already deleted by an earlier attempt is planned from the journal', async () => {
+  const entry = journalEntry({
+    method: 'POST',
+    endpoint: '/harvests/v2/waste',
+    request_body: [
+      { HarvestId: 5, WasteAmount: 3, WasteDate: '2026-10-01' },
+      { HarvestId: 5, WasteAmount: 4, WasteDate: '2026-10-01' },
+    ],
+  });
+  const metrcFetch = async () => [{ Id: 91, WasteWeight: 4, ActualDate: '2026-10-01' }];
+  const applied = new Map([[0, { endpoint: '/harvests/v2/waste/90' }]]);
+  const plan = await planUndo(entry, metrcFetch, { applied });
+  assert.deepEqual(plan.steps.map((s) => s.args.waste_id), [90, 91]);
+});
+
+const WASTE_ROW = { HarvestId: 5, WasteAmount: 3, WasteDate: '2026-10-01' };
+const wasteEntry = (overrides) => journalEntry({ method: 'POST', endpoint: '/harvests/v2/waste', request_body: [WASTE_ROW], ...overrides });
+const wasteRecord = (Id) => ({ Id, WasteWeight: 3, ActualDate: '2026-10-01' });
+
+test('captureBeforeState: harvest waste records the ids that existed before the write', async () => {
+  const metrcFetch = async (path, params) => (params.harvestId === 5 ? [wasteRecord(80)] : { Data: [] });
+  const before = await captureBeforeState(
+    { path: '/harvests/v2/waste', params: { licenseNumber: 'LIC-1' }, body: [WASTE_ROW, { ...WASTE_ROW, HarvestId: 6 }] },
+    metrcFetch
+  );
+  assert.deepEqual(before, { 5: { WasteIds: [80] }, 6: { WasteIds: [] } });
+});
+
+test('planUndo: harvest waste deletes the record the write added, not an identical older one', async () => {
+  const metrcFetch = async () => [wasteRecord(120), wasteRecord(95)];
+  const plan = await planUndo(wasteEntry({ before: { 5: { WasteIds: [120] } } }), metrcFetch);
+  assert.equal(plan.reversible, true);
+  assert.deepEqual(plan.steps, [{ tool: 'metrc_delete_harvest_waste', args: { license_number: 'LIC-1', waste_id: 95 } }]);
+});
+
+test('planUndo: harvest waste that cannot be told apart from other records is not reversible', async () => {
+  // Someone posted the same amount on the same day after this write
+  const later = await planUndo(wasteEntry({ before: { 5: { WasteIds: [] } } }), async () => [wasteRecord(95), wasteRecord(96)]);
+  assert.equal(later.reversible, false);
+  assert.match(later.reason, /More than one waste record on harvest 5 matches 3 on 2026-10-01/);
+  // Journaled before the ids were captured
+  const legacy = await planUndo(wasteEntry(), async () => [wasteRecord(80), wasteRecord(95)]);
+  assert.equal(legacy.reversible, false);
+  // Two identical rows in one write are two records to delete, not an ambiguity
+  const twice = await planUndo(wasteEntry({ request_body: [WASTE_ROW, WASTE_ROW], before: { 5: { WasteIds: [80] } } }), async () => [wasteRecord(80), wasteRecord(95), wasteRecord(96)]);
+  assert.deepEqual(twice.steps.map((s) => s.args.waste_id), [95, 96]);
+});
+
+test('metrc_undo_operation: posted harvest waste is undone by the id captured around the write', async () => {
+  const journal = createMemoryJournal();
+  const waste = [wasteRecord(120)];
+  const deleted = [];
+  const metrcFetch = async (path, params, options = {}) => {
+    if (options.method === 'POST') waste.push(wasteRecord(waste.length + 200));
+    if (options.method === 'DELETE') deleted.push(Number(path.split('/').pop()));
+    return options.method ? null : waste;
+  };
+  const context = { journal, cache: null, confirmed: true };
+  await executeTool('metrc_post_harvest_waste', {
+    license_number: 'LIC-1', harvest_id: 5, harvest_name: 'H-5', waste_method_id: 1, waste_amount: 3, waste_unit_of_measure: 'Grams', waste_date: '2026-10-01',
+  }, metrcFetch, context);
+  const [posted] = await journal.query({});
+  assert.deepEqual(posted.before, { 5: { WasteIds: [120] } });
+
+  const result = JSON.parse(await executeTool('metrc_undo_operation', { operation_id: posted.operation_id }, metrcFetch, context));
+  assert.equal(result.undone, true);
+  assert.deepEqual(deleted, [201]);
+});
+
+test('metrc_undo_operation: a retry after a partial failure runs only the steps that did not succeed', async () => {
+  const journal = createMemoryJournal();
+  await journal.append(journalEntry({
+    tool: 'metrc_bulk_adjust_packages',
+    method: 'POST',
+    endpoint: '/packages/v2/adjust',
+    request_body: [
+      { Label: A, Quantity: -2, UnitOfMeasure: 'Grams', AdjustmentReason: 'Drying', AdjustmentDate: '2026-10-01' },
+      { Label: B, Quantity: -3, UnitOfMeasure: 'Grams', AdjustmentReason: 'Drying', AdjustmentDate: '2026-10-01' },
+    ],
+  }));
+
+  const sent = [];
+  let failLabel = B;
+  const metrcFetch = async (path, params, options = {}) => {
+    if (!options.method || options.method === 'GET') return null;
+    const label = options.body[0].Label;
+    sent.push(label);
+    if (label === failLabel) throw new Error('METRC returned 500');
+    return null;
+  };
+  const context = { journal, cache: null, confirmed: true };
+  const undo = async () => JSON.parse(await executeTool('metrc_undo_operation', { operation_id: 'op-1' }, metrcFetch, context));
+
+  const first = await undo();
+  assert.equal(first.undone, false);
+  assert.deepEqual(first.steps.map((s) => s.ok), [true, false]);
+  assert.deepEqual(sent, [A, B]);
+
+  failLabel = null;
+  const retry = await undo();
+  assert.equal(retry.undone, true);
+  assert.equal(retry.steps[0].already_applied, true);
+  assert.deepEqual(sent, [A, B, B], 'the adjustment of A must not be applied twice');
+
+  const again = await undo();
+  assert.match(again.reason, /Already undone/);
+  assert.deepEqual(sent, [A, B, B]);
+
+  const stepEntries = await journal.query({ undo_of: 'op-1', limit: Infinity });
+  assert.deepEqual(stepEntries.filter((e) => e.ok).map((e) => e.undo_step).sort(), [0, 1]);
+});
+
+test('metrc_undo_operation: progress increases across the steps it runs', async () => {
+  const journal = createMemoryJournal();
+  await journal.append(journalEntry({
+    tool: 'metrc_bulk_adjust_packages',
+    method: 'POST',
+    endpoint: '/packages/v2/adjust',
+    request_body: [
+      { Label: A, Quantity: -2, UnitOfMeasure: 'Grams', AdjustmentReason: 'Drying', AdjustmentDate: '2026-10-01' },
+      { Label: B, Quantity: -3, UnitOfMeasure: 'Grams', AdjustmentReason: 'Drying', AdjustmentDate: '2026-10-01' },
+    ],
+  }));
+  const values = [];
+  const context = { journal, cache: null, confirmed: true, onProgress: (progress) => values.push(progress) };
+  await executeTool('metrc_undo_operation', { operation_id: 'op-1' }, async () => null, context);
+  assert.ok(values.length > 2);
+  assert.ok(values.every((v, i) => i === 0 || v > values[i - 1]), `not increasing: ${values.join(', ')}`);
+  assert.equal(values.at(-1), 1);
+});
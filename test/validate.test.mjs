@@ -0,0 +1,102 @@
+/**
+ * Unit tests: tool input validation (lib/validate.js).
+ * Run from repo root: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateToolInput } from '../lib/validate.js';
+import { getToolByName } from '../lib/tools.js';
+import { executeTool } from '../lib/tool-executor.js';
+
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    license_number: { type: 'string', description: 'Facility license' },
+    phase: { type: 'string', enum: ['Vegetative', 'Flowering'] },
+    tag: { type: 'string', pattern: '^[0-9A-Z]{24}$' },
+    actual_date: { type: 'string', format: 'date' },
+    at: { type: 'string', format: 'date-time' },
+    count: { type: 'integer', minimum: 1, maximum: 10 },
+    since: { type: 'string', oneOf: [{ format: 'date' }, { format: 'date-time' }] },
+    packages: {
+      type: 'array',
+      minItems: 1,
+      items: { type: 'object', properties: { Quantity: { type: 'number', minimum: 0 }, 'a/b': { type: 'string' } }, required: ['Quantity'] },
+    },
+  },
+  required: ['license_number'],
+};
+
+function errorsFor(args) {
+  return validateToolInput('t', args, SCHEMA).errors;
+}
+
+test('valid input passes; null and undefined optional fields are ignored', () => {
+  const result = validateToolInput('t', {
+    license_number: 'LIC-1',
+    phase: 'Flowering',
+    tag: '1A4000000000000000000001',
+    actual_date: '2026-02-28',
+    at: '2026-02-28T10:00:00-07:00',
+    count: 10,
+    since: '2026-02-28',
+    packages: [{ Quantity: 0 }],
+    note: 'not in the schema',
+    extra: null,
+  }, SCHEMA);
+  assert.deepEqual(result, { valid: true, errors: [] });
+});
+
+test('errors name each offending value by JSON pointer', () => {
+  assert.deepEqual(errorsFor({ license_number: 'LIC-1', packages: [{ Quantity: '5' }, {}, { Quantity: -1, 'a/b': 1 }] }), [
+    '/packages/0/Quantity: expected number, got string',
+    '/packages/1/Quantity: missing required field',
+    '/packages/2/Quantity: must be >= 0, got -1',
+    '/packages/2/a~1b: expected string, got number',
+  ]);
+});
+
+test('missing required fields carry the field description as a hint', () => {
+  assert.deepEqual(errorsFor({}), ['/license_number: missing required field (Facility license)']);
+  assert.deepEqual(validateToolInput('t', 'nope', SCHEMA).errors, ['/: expected object, got string']);
+});
+
+test('enum, pattern, bounds and minItems', () => {
+  const errors = errorsFor({ license_number: 'LIC-1', phase: 'Drying', tag: 'abc', count: 11, packages: [] });
+  assert.deepEqual(errors, [
+    '/phase: must be one of "Vegetative", "Flowering", got "Drying"',
+    '/tag: "abc" does not match ^[0-9A-Z]{24}$',
+    '/count: must be <= 10, got 11',
+    '/packages: expected at least 1 item, got 0',
+  ]);
+  assert.deepEqual(errorsFor({ license_number: 'LIC-1', count: 2.5 }), ['/count: expected integer, got number']);
+});
+
+test('dates must exist on the calendar; date-times need a valid date part', () => {
+  assert.match(errorsFor({ license_number: 'LIC-1', actual_date: '2026-02-30' })[0], /^\/actual_date: expected a date \(YYYY-MM-DD\)/);
+  assert.match(errorsFor({ license_number: 'LIC-1', actual_date: '2026-2-3' })[0], /expected a date/);
+  assert.match(errorsFor({ license_number: 'LIC-1', at: '2026-02-30T10:00:00Z' })[0], /expected an ISO 8601 date-time/);
+  assert.match(errorsFor({ license_number: 'LIC-1', at: '2026-02-28' })[0], /expected an ISO 8601 date-time/);
+});
+
+test('oneOf requires exactly one matching branch', () => {
+  assert.deepEqual(errorsFor({ license_number: 'LIC-1', since: '2026-02-28T10:00:00Z' }), []);
+  assert.deepEqual(errorsFor({ license_number: 'LIC-1', since: 'yesterday' }), ['/since: must match exactly one of: date | date-time (matched 0)']);
+});
+
+test('tool schemas: a bad payload is rejected before any METRC call', async () => {
+  assert.ok(getToolByName('metrc_finish_package'));
+  let called = false;
+  const metrcFetch = async () => { called = true; };
+  await assert.rejects(
+    executeTool('metrc_finish_package', { license_number: 'LIC-1', label: 'short', actual_date: '2026-13-01' }, metrcFetch, { cache: null }),
+    (err) => {
+      assert.match(err.message, /^Invalid input for metrc_finish_package: /);
+      assert.match(err.message, /\/label: "short" does not match/);
+      assert.match(err.message, /\/actual_date: expected a date/);
+      return true;
+    }
+  );
+  assert.equal(called, false);
+});